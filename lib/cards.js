@@ -0,0 +1,76 @@
+// Test cards for saved payment instruments. Only the numbers in TEST_CARDS can be saved, the way a
+// real gateway's sandbox only takes its published test cards, and each one picks the gateway scenario
+// its payments run. A saved card keeps its brand, last four digits, expiry and a hash of the number
+// that spots the same card saved twice; the number and CVC themselves are never stored.
+
+const crypto = require('crypto');
+
+const TEST_CARDS = [
+  { number: '4242424242424242', brand: 'visa', scenario: 'success' },
+  { number: '5555555555554444', brand: 'mastercard', scenario: 'success' },
+  { number: '3566002020360505', brand: 'jcb', scenario: 'success' },
+  { number: '378282246310005', brand: 'amex', scenario: 'success' },
+  { number: '4000000000000002', brand: 'visa', scenario: 'declined_card' },
+  { number: '4000000000009995', brand: 'visa', scenario: 'insufficient_funds' },
+  { number: '4000000000003220', brand: 'visa', scenario: 'three_ds_challenge' },
+  { number: '4000000000000119', brand: 'visa', scenario: 'gateway_error' },
+];
+
+// Reasons a card cannot be saved, with the message shown to callers.
+const CARD_ERRORS = {
+  CARD_NUMBER_INVALID: 'Card number failed the Luhn check',
+  CARD_NOT_TEST_CARD: 'Only test cards can be saved; see GET /api/payment-instruments/test-cards',
+  CARD_CVC_INVALID: 'CVC must be 4 digits for American Express cards and 3 digits for the others',
+  CARD_EXPIRED: 'Card has expired',
+};
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// A card works until the end of its expiry month.
+function isCardExpired({ expMonth, expYear }, now = new Date()) {
+  return new Date(Date.UTC(expYear, expMonth, 1)) <= now;
+}
+
+function numberHash(digits) {
+  return crypto.createHash('sha256').update(digits).digest('hex');
+}
+
+// Checks a card to save. Resolves to { card: { brand, last4, scenario, numberHash } } or
+// { error: { code, message } }. Spaces and dashes in the number are ignored.
+function checkCard({ number, expMonth, expYear, cvc }, now = new Date()) {
+  const digits = String(number).replace(/[\s-]/g, '');
+  const fail = (code) => ({ error: { code, message: CARD_ERRORS[code] } });
+  if (!/^\d{12,19}$/.test(digits) || !luhnValid(digits)) return fail('CARD_NUMBER_INVALID');
+
+  const testCard = TEST_CARDS.find((card) => card.number === digits);
+  if (!testCard) return fail('CARD_NOT_TEST_CARD');
+  if (String(cvc).length !== (testCard.brand === 'amex' ? 4 : 3)) return fail('CARD_CVC_INVALID');
+  if (isCardExpired({ expMonth, expYear }, now)) return fail('CARD_EXPIRED');
+
+  return {
+    card: {
+      brand: testCard.brand,
+      last4: digits.slice(-4),
+      scenario: testCard.scenario,
+      numberHash: numberHash(digits),
+    },
+  };
+}
+
+module.exports = {
+  TEST_CARDS,
+  checkCard,
+  isCardExpired,
+  luhnValid,
+};
@@ -0,0 +1,218 @@
+// Fault injection for resilience tests. A rule matches requests by method and path and, with its
+// probability, delays them by latencyMs plus up to jitterMs and then injects its fault:
+//   none      only the delay
+//   error     answers `status` (5xx) instead of running the route
+//   drop      destroys the connection without an answer
+//   truncate  runs the route, then sends only the first half of its body
+//   database  runs the route with every storage call failing, so its own error handling answers
+//
+// Rules come from /api/chaos, or from an X-Chaos header for a single request, e.g.
+// "fault=error; status=502; probability=0.5". They live in this process and reset on restart.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const FAULTS = ['none', 'error', 'drop', 'truncate', 'database'];
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_DELAY_MS = 60 * 1000;
+const MAX_RULES = 50;
+const DEFAULT_ERROR_STATUS = 503;
+
+class ChaosError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChaosError';
+  }
+}
+
+// Storage calls reject with this while a database fault is active.
+class ChaosDatabaseError extends Error {
+  constructor(ruleId) {
+    super(`Injected database error (chaos rule ${ruleId})`);
+    this.name = 'ChaosDatabaseError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function integerIn(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ChaosError(`${name} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// "/api/transactions/*/refunds" -> /^\/api\/transactions\/.*\/refunds$/
+function pathMatcher(path) {
+  const source = path
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Checks a rule and fills in the defaults; throws ChaosError when it does not fit. Header rules
+// apply to their own request, so they have no method or path.
+function normalizeRule(input, { matchable = true } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ChaosError('A chaos rule must be an object');
+  }
+  const known = ['probability', 'latencyMs', 'jitterMs', 'fault', 'status', ...(matchable ? ['method', 'path'] : [])];
+  const unknown = Object.keys(input).find((key) => !known.includes(key));
+  if (unknown) {
+    throw new ChaosError(`Unknown chaos field "${unknown}". Use: ${known.join(', ')}`);
+  }
+
+  const {
+    method = null,
+    path,
+    probability = 1,
+    latencyMs = 0,
+    jitterMs = 0,
+    fault = 'none',
+    status = DEFAULT_ERROR_STATUS,
+  } = input;
+  if (matchable && (typeof path !== 'string' || !path.startsWith('/'))) {
+    throw new ChaosError('path must start with "/"; use * as a wildcard, e.g. /api/auth/*');
+  }
+  if (method !== null && !METHODS.includes(method)) {
+    throw new ChaosError(`method must be one of ${METHODS.join(', ')}`);
+  }
+  if (typeof probability !== 'number' || !(probability > 0 && probability <= 1)) {
+    throw new ChaosError('probability must be a number above 0 and at most 1');
+  }
+  if (!FAULTS.includes(fault)) {
+    throw new ChaosError(`fault must be one of ${FAULTS.join(', ')}`);
+  }
+  if (input.status !== undefined && fault !== 'error') {
+    throw new ChaosError('status only applies to fault "error"');
+  }
+  integerIn('status', status, 500, 599);
+  integerIn('latencyMs', latencyMs, 0, MAX_DELAY_MS);
+  integerIn('jitterMs', jitterMs, 0, MAX_DELAY_MS);
+  if (fault === 'none' && latencyMs === 0 && jitterMs === 0) {
+    throw new ChaosError('A rule with fault "none" needs latencyMs or jitterMs');
+  }
+
+  const rule = { probability, latencyMs, jitterMs, fault, status: fault === 'error' ? status : null };
+  return matchable ? { method, path, ...rule } : rule;
+}
+
+// "fault=error; status=502; probability=0.5" -> a rule for this request only.
+function parseChaosHeader(text) {
+  const input = {};
+  for (const pair of String(text).split(';')) {
+    if (!pair.trim()) continue;
+    const [key, value = ''] = pair.split('=').map((part) => part.trim());
+    input[key] = key === 'fault' || value === '' || !Number.isFinite(Number(value)) ? value : Number(value);
+  }
+  return normalizeRule(input, { matchable: false });
+}
+
+// Mutates `res` so the next body it sends is cut in half, like a connection lost mid-response.
+// Only bodies sent in one piece are cut; streamed responses such as exports go out whole.
+function truncateBody(res) {
+  const send = res.send;
+  res.send = function sendTruncated(body) {
+    if (typeof body !== 'string' && !Buffer.isBuffer(body)) return send.call(this, body);
+    res.send = send;
+    const cut = Math.floor(body.length / 2);
+    return send.call(this, typeof body === 'string' ? body.slice(0, cut) : body.subarray(0, cut));
+  };
+}
+
+function describeRule(rule) {
+  const effect = rule.fault === 'error' ? `error ${rule.status}` : rule.fault;
+  const delay = rule.jitterMs ? `${rule.latencyMs}-${rule.latencyMs + rule.jitterMs}ms` : `${rule.latencyMs}ms`;
+  const target = `${rule.method || 'any method'} ${rule.path}`;
+  return `#${rule.id} ${target}: ${effect}, delay ${delay}, probability ${rule.probability}`;
+}
+
+function createChaos({ random = Math.random } = {}) {
+  let rules = [];
+  let nextId = 1;
+  // Rule id -> compiled path pattern.
+  const matchers = new Map();
+  // The rule behind the current request's database fault, if any.
+  const databaseFault = new AsyncLocalStorage();
+
+  const fires = (rule) => random() < rule.probability;
+
+  return {
+    rules: () => structuredClone(rules),
+
+    add(input) {
+      if (rules.length >= MAX_RULES) {
+        throw new ChaosError(`At most ${MAX_RULES} chaos rules can be active`);
+      }
+      const rule = { id: nextId, ...normalizeRule(input), fired: 0 };
+      matchers.set(rule.id, pathMatcher(rule.path));
+      nextId += 1;
+      rules.push(rule);
+      return structuredClone(rule);
+    },
+
+    remove(id) {
+      const before = rules.length;
+      rules = rules.filter((rule) => rule.id !== id);
+      matchers.delete(id);
+      return rules.length < before;
+    },
+
+    // Removes every rule; ids start again from 1.
+    clear() {
+      rules = [];
+      matchers.clear();
+      nextId = 1;
+    },
+
+    // The rule to apply to { method, path }: the header rule first, then the configured rules in
+    // order. Each matching rule rolls its own probability; the first that fires wins.
+    pick({ method, path }, headerRule) {
+      if (headerRule && fires(headerRule)) return { id: 'header', ...headerRule };
+      const matches = (candidate) =>
+        (!candidate.method || candidate.method === method) && matchers.get(candidate.id).test(path);
+      const rule = rules.find((candidate) => matches(candidate) && fires(candidate));
+      if (!rule) return null;
+      rule.fired += 1;
+      return rule;
+    },
+
+    delay: (rule) => sleep(rule.latencyMs + Math.floor(random() * (rule.jitterMs + 1))),
+
+    // Runs `work` (the rest of the request) with every guarded storage call rejecting.
+    withDatabaseFault: (rule, work) => databaseFault.run(rule, work),
+
+    // Wraps every storage method the way the memory backend wraps its repositories for its lock,
+    // so the fault reaches the data layer without either backend knowing about it.
+    guardStorage(storage) {
+      const guard = (fn) => (...args) => {
+        const rule = databaseFault.getStore();
+        return rule ? Promise.reject(new ChaosDatabaseError(rule.id)) : fn(...args);
+      };
+      const guarded = {};
+      for (const [name, value] of Object.entries(storage)) {
+        if (typeof value === 'function') {
+          guarded[name] = guard(value);
+        } else if (value && typeof value === 'object') {
+          guarded[name] = {};
+          for (const [method, fn] of Object.entries(value)) guarded[name][method] = guard(fn);
+        } else {
+          guarded[name] = value;
+        }
+      }
+      return guarded;
+    },
+  };
+}
+
+module.exports = {
+  FAULTS,
+  METHODS,
+  ChaosError,
+  createChaos,
+  describeRule,
+  parseChaosHeader,
+  truncateBody,
+};
@@ -0,0 +1,72 @@
+// Row formatting for GET /api/transactions/export. Both formats take serialized transactions, so
+// exported timestamps read the same as the API's (Asia/Bangkok, +07:00).
+//
+// CSV follows RFC 4180: CRLF line endings, and fields holding a quote, comma or line break are
+// quoted with inner quotes doubled. Text that a spreadsheet would run as a formula (a leading
+// =, +, -, @, tab or carriage return) gets a leading apostrophe. Numbers are written as they are.
+
+const CSV_COLUMNS = [
+  'txn_id',
+  'created_at',
+  'email',
+  'phone',
+  'package_id',
+  'package_name',
+  'addons',
+  'payment_method',
+  'discount_code',
+  'subtotal',
+  'discount',
+  'vat',
+  'amount',
+  'refunded_amount',
+  'status',
+  'failure_code',
+  'failure_reason',
+];
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => csvLine(CSV_COLUMNS),
+    row: (transaction) => csvLine(CSV_COLUMNS.map((column) => csvValue(transaction, column))),
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    header: () => '',
+    row: (transaction) => `${JSON.stringify(transaction)}\n`,
+  },
+};
+
+function csvValue(transaction, column) {
+  const value = transaction[column];
+  // Catalog ids are letters, digits, '_' and '-' only, so ';' can join the list in one cell.
+  return column === 'addons' ? (value || []).join(';') : value;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+// e.g. transactions-20250131-142501.csv, stamped in Bangkok time.
+function exportFilename(format, now = new Date()) {
+  const local = now.toLocaleString('sv-SE', { timeZone: 'Asia/Bangkok', hour12: false });
+  const stamp = local.replace(/-/g, '').replace(/:/g, '').replace(' ', '-');
+  return `transactions-${stamp}.${format}`;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  EXPORT_FORMATS,
+  exportFilename,
+};
@@ -0,0 +1,128 @@
+// Named presets for POST /api/test/seed. Each builds a plain fixture, the same JSON a test
+// could send itself:
+//   {
+//     users: [{ email, password, gatewayScenario, role, walletBalance }],
+//     packages: [...], addons: [...], promotions: [...],   same fields as the catalog APIs
+//     transactions: [{ email, packageId, addons, paymentMethod, phone, discountCode,
+//                      status, failureCode, failureReason, createdAt, txnId }]
+//   }
+// Presets only use fixed values, so seeding the same preset twice gives the same data.
+
+const DEFAULT_PASSWORD = 'Sandbox123';
+// Preset transactions are spaced an hour apart counting back from here, unless `until` is given.
+const DEFAULT_UNTIL = '2025-01-01T12:00:00+07:00';
+const MAX_PRESET_USERS = 50;
+const MAX_PRESET_TRANSACTIONS = 500;
+
+const PACKAGE_CYCLE = ['5g-max-speed', 'super-save-marathon', 'daily-unlimited'];
+const PAYMENT_METHOD_CYCLE = ['credit_card', 'wallet', 'qr'];
+
+class FixtureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FixtureError';
+  }
+}
+
+function readCount(params, name, fallback, max) {
+  if (params[name] === undefined) return fallback;
+  const value = Number(params[name]);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new FixtureError(`${name} must be an integer from 1 to ${max}`);
+  }
+  return value;
+}
+
+function readUntil(params) {
+  const until = new Date(params.until === undefined ? DEFAULT_UNTIL : params.until);
+  if (Number.isNaN(until.getTime())) {
+    throw new FixtureError('until must be a date');
+  }
+  return until;
+}
+
+function presetUser(params) {
+  return {
+    email: params.email || 'qa@example.com',
+    password: params.password || DEFAULT_PASSWORD,
+  };
+}
+
+// Mostly SUCCESS, with a FAILED every 10th and a REFUNDED every 7th so filters have something to find.
+function presetTransaction(email, index, createdAt) {
+  const transaction = {
+    email,
+    packageId: PACKAGE_CYCLE[index % PACKAGE_CYCLE.length],
+    addons: index % 3 === 0 ? ['movie'] : [],
+    paymentMethod: PAYMENT_METHOD_CYCLE[index % PAYMENT_METHOD_CYCLE.length],
+    phone: `08${String(10000000 + index).slice(-8)}`,
+    status: 'SUCCESS',
+    createdAt: createdAt.toISOString(),
+  };
+  if (index % 10 === 9) {
+    return { ...transaction, status: 'FAILED', failureCode: 'CARD_DECLINED', failureReason: 'Card declined' };
+  }
+  if (index % 7 === 6) {
+    return { ...transaction, status: 'REFUNDED' };
+  }
+  return transaction;
+}
+
+const PRESETS = {
+  // One user. params: email, password
+  user: (params) => ({ users: [presetUser(params)] }),
+
+  // `count` users named qa1@example.com, qa2@example.com, ... params: count (default 2), password
+  users: (params) => {
+    const count = readCount(params, 'count', 2, MAX_PRESET_USERS);
+    return {
+      users: Array.from({ length: count }, (_, index) => ({
+        email: `qa${index + 1}@example.com`,
+        password: params.password || DEFAULT_PASSWORD,
+      })),
+    };
+  },
+
+  // One admin and one support user for the admin API. params: password
+  staff: (params) => ({
+    users: [
+      { email: 'admin@example.com', password: params.password || DEFAULT_PASSWORD, role: 'admin' },
+      { email: 'support@example.com', password: params.password || DEFAULT_PASSWORD, role: 'support' },
+    ],
+  }),
+
+  // One user with `count` transactions, newest first at `until`. params: email, password,
+  // count (default 50), until
+  'user-with-transactions': (params) => {
+    const user = presetUser(params);
+    const count = readCount(params, 'count', 50, MAX_PRESET_TRANSACTIONS);
+    const until = readUntil(params);
+    const transactions = [];
+    // Oldest first, so ids grow with created_at as they do for real orders.
+    for (let index = count - 1; index >= 0; index -= 1) {
+      transactions.push(presetTransaction(user.email, index, new Date(until.getTime() - index * 60 * 60 * 1000)));
+    }
+    return { users: [user], transactions };
+  },
+};
+
+function buildPreset(name, params = {}) {
+  const preset = Object.prototype.hasOwnProperty.call(PRESETS, name) ? PRESETS[name] : null;
+  if (!preset) {
+    throw new FixtureError(`Unknown preset "${name}". Use one of: ${Object.keys(PRESETS).join(', ')}`);
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new FixtureError('params must be an object');
+  }
+  return preset(params);
+}
+
+function listPresets() {
+  return Object.keys(PRESETS);
+}
+
+module.exports = {
+  FixtureError,
+  buildPreset,
+  listPresets,
+};
@@ -0,0 +1,200 @@
+// Payment gateway simulator. Each scenario is a named behaviour that /api/order runs
+// instead of talking to a real gateway. Register new ones with registerScenario().
+//
+// A scenario's run(context) resolves to an outcome:
+//   { approved: true }                                  charge succeeds
+//   { approved: true, respond(res, payload) }           charge succeeds, custom wire response
+//   { approved: false, httpStatus, code, message, ... } charge is declined
+//   { approved: false, respond(res) }                   no charge, custom wire response
+
+const DEFAULT_SCENARIO = 'success';
+const THREE_DS_CODE = '1234';
+
+const scenarios = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function decline(httpStatus, code, message, extra) {
+  return { approved: false, httpStatus, code, message, ...extra };
+}
+
+function registerScenario(name, { description, phonePrefixes = [], run }) {
+  if (!/^[a-z0-9_]+$/.test(name)) {
+    throw new Error(`Invalid gateway scenario name: ${name}`);
+  }
+  if (typeof run !== 'function') {
+    throw new Error(`Gateway scenario ${name} needs a run function`);
+  }
+  scenarios.set(name, { name, description: description || '', phonePrefixes, run });
+}
+
+function getScenario(name) {
+  return scenarios.get(name) || null;
+}
+
+function listScenarios() {
+  return [...scenarios.values()].map(({ name, description, phonePrefixes }) => ({
+    name,
+    description,
+    phonePrefixes,
+  }));
+}
+
+function findScenarioByPhone(phone) {
+  let match = null;
+  for (const scenario of scenarios.values()) {
+    for (const prefix of scenario.phonePrefixes) {
+      if (phone.startsWith(prefix) && (!match || prefix.length > match.prefix.length)) {
+        match = { scenario, prefix };
+      }
+    }
+  }
+  return match ? match.scenario : null;
+}
+
+// Selection order: explicit test header, then the saved test card paying, then the user's
+// saved scenario, then the longest matching phone prefix, then the default.
+function resolveScenario({ headerScenario, cardScenario, userScenario, phone }) {
+  if (headerScenario) return getScenario(headerScenario);
+  if (cardScenario && getScenario(cardScenario)) return getScenario(cardScenario);
+  if (userScenario && getScenario(userScenario)) return getScenario(userScenario);
+  return findScenarioByPhone(String(phone || '')) || getScenario(DEFAULT_SCENARIO);
+}
+
+registerScenario('success', {
+  description: 'Approves after 1.5s.',
+  run: async () => {
+    await sleep(1500);
+    return { approved: true };
+  },
+});
+
+registerScenario('gateway_error', {
+  description: 'Fails immediately with HTTP 500.',
+  phonePrefixes: ['099'],
+  run: async () => decline(500, 'GATEWAY_ERROR', 'Gateway error'),
+});
+
+registerScenario('network_timeout', {
+  description: 'Approves after 5s to mimic a client-side timeout.',
+  phonePrefixes: ['088'],
+  run: async () => {
+    await sleep(5000);
+    return { approved: true };
+  },
+});
+
+registerScenario('declined_card', {
+  description: 'Issuer declines the card with HTTP 402.',
+  phonePrefixes: ['0610'],
+  run: async () => {
+    await sleep(500);
+    return decline(402, 'CARD_DECLINED', 'Card declined by issuer');
+  },
+});
+
+registerScenario('insufficient_funds', {
+  description: 'Declines with HTTP 402 for insufficient funds.',
+  phonePrefixes: ['0611'],
+  run: async () => {
+    await sleep(500);
+    return decline(402, 'INSUFFICIENT_FUNDS', 'Insufficient funds');
+  },
+});
+
+registerScenario('three_ds_challenge', {
+  description: `Requires a 3-D Secure code. Resend the order with threeDsCode "${THREE_DS_CODE}" to approve.`,
+  phonePrefixes: ['0612'],
+  run: async ({ body }) => {
+    const code = body && body.threeDsCode !== undefined ? String(body.threeDsCode) : '';
+    if (!code) {
+      return decline(402, 'THREE_DS_REQUIRED', '3-D Secure verification required', {
+        challenge: { type: 'otp', field: 'threeDsCode' },
+      });
+    }
+    if (code !== THREE_DS_CODE) {
+      return decline(402, 'THREE_DS_FAILED', '3-D Secure verification failed');
+    }
+    await sleep(500);
+    return { approved: true };
+  },
+});
+
+registerScenario('partial_outage', {
+  description: 'Half of the requests fail with HTTP 503; the rest approve after 1.5s.',
+  phonePrefixes: ['0613'],
+  run: async () => {
+    if (Math.random() < 0.5) {
+      return decline(503, 'GATEWAY_UNAVAILABLE', 'Gateway temporarily unavailable');
+    }
+    await sleep(1500);
+    return { approved: true };
+  },
+});
+
+registerScenario('rate_limited', {
+  description: 'Gateway throttles the merchant with HTTP 429 and Retry-After.',
+  phonePrefixes: ['0614'],
+  run: async () =>
+    decline(429, 'GATEWAY_RATE_LIMITED', 'Too many requests to the payment gateway', {
+      headers: { 'Retry-After': '30' },
+    }),
+});
+
+registerScenario('malformed_json', {
+  description: 'Charges the customer, then returns a truncated JSON body.',
+  phonePrefixes: ['0615'],
+  run: async () => {
+    await sleep(1000);
+    return {
+      approved: true,
+      respond: (res, payload) => {
+        const body = JSON.stringify(payload);
+        res.status(200).type('application/json').send(body.slice(0, Math.floor(body.length / 2)));
+      },
+    };
+  },
+});
+
+registerScenario('connection_reset', {
+  description: 'Drops the connection without charging.',
+  phonePrefixes: ['0616'],
+  run: async () => {
+    await sleep(1000);
+    return {
+      approved: false,
+      respond: (res) => {
+        res.socket.destroy();
+      },
+    };
+  },
+});
+
+registerScenario('slow_success', {
+  description: 'Approves after 12s.',
+  phonePrefixes: ['0617'],
+  run: async () => {
+    await sleep(12000);
+    return { approved: true };
+  },
+});
+
+registerScenario('no_callback', {
+  description:
+    'Gateway never confirms. Sync orders fail with HTTP 504 after 60s; async orders stay PENDING until they expire.',
+  phonePrefixes: ['0618'],
+  run: async () => {
+    await sleep(60000);
+    return decline(504, 'GATEWAY_TIMEOUT', 'Gateway did not respond');
+  },
+});
+
+module.exports = {
+  DEFAULT_SCENARIO,
+  registerScenario,
+  getScenario,
+  listScenarios,
+  resolveScenario,
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// IDs look like TXN-01JAB3C4D5E6F7G8H9J0KMNPQ: a 10-character millisecond timestamp, 12 random
+// characters (60 bits) and an optional check character, all in Crockford base32. They sort by
+// creation time and two IDs minted in the same millisecond still differ.
+
+// Crockford base32 has no I, L, O or U, so IDs survive being read aloud or retyped.
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 12;
+const BODY_LENGTH = TIME_LENGTH + RANDOM_LENGTH;
+
+function encodeTime(milliseconds) {
+  let value = milliseconds;
+  let encoded = '';
+  for (let i = 0; i < TIME_LENGTH; i += 1) {
+    encoded = ALPHABET[value % 32] + encoded;
+    value = Math.floor(value / 32);
+  }
+  return encoded;
+}
+
+// With a seed the characters come from its SHA-256, so the same seed always gives the same ID.
+function encodeRandom(length, seed) {
+  const bytes =
+    seed === undefined ? crypto.randomBytes(length) : crypto.createHash('sha256').update(String(seed)).digest();
+  // 256 is a multiple of 32, so masking each byte keeps the characters uniform.
+  return [...bytes.subarray(0, length)].map((byte) => ALPHABET[byte & 31]).join('');
+}
+
+// Luhn mod 32: catches every single-character typo and most swaps of neighbouring characters.
+function checkCharacter(body) {
+  let factor = 2;
+  let sum = 0;
+  for (let i = body.length - 1; i >= 0; i -= 1) {
+    const addend = factor * ALPHABET.indexOf(body[i]);
+    sum += Math.floor(addend / 32) + (addend % 32);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return ALPHABET[(32 - (sum % 32)) % 32];
+}
+
+// `now` and `seed` pin the timestamp and random parts, for test fixtures that need stable IDs.
+function generateId(prefix, { checksum = true, now = Date.now(), seed } = {}) {
+  const body = encodeTime(now) + encodeRandom(RANDOM_LENGTH, seed);
+  return `${prefix}-${body}${checksum ? checkCharacter(body) : ''}`;
+}
+
+// True only for IDs in the checksummed format whose check character is wrong. IDs without a
+// check character, and older formats such as TXN-<epoch ms>, are never reported as bad.
+function hasBadChecksum(id, prefix) {
+  const value = String(id || '');
+  const start = prefix.length + 1;
+  if (!value.startsWith(`${prefix}-`) || value.length !== start + BODY_LENGTH + 1) {
+    return false;
+  }
+  const body = value.slice(start, start + BODY_LENGTH);
+  if ([...body].some((char) => !ALPHABET.includes(char))) {
+    return false;
+  }
+  return checkCharacter(body) !== value[value.length - 1];
+}
+
+module.exports = {
+  generateId,
+  hasBadChecksum,
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Numbered SQL migrations. Each version is a pair of files in migrations/:
+//   0002_add_refunds.up.sql    applied by migrate()
+//   0002_add_refunds.down.sql  applied by rollback(); optional, without it the version cannot be undone
+// Applied versions are recorded in schema_migrations with a checksum of their up file.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Held for the whole run so two processes starting at once cannot apply the same version twice.
+const ADVISORY_LOCK_ID = 727369;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = byVersion.get(version) || { version, name, id: `${digits}_${name}`, up: null, down: null };
+    if (migration.name !== name) {
+      throw new MigrationError(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up) {
+      throw new MigrationError(`Migration ${migration.id} has no up file`);
+    }
+    migration.checksum = checksum(migration.up);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map((row) => [row.version, row]));
+}
+
+async function withMigrationLock(pool, work) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await work(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, sql, record) {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+// Applies pending migrations up to `to` (default: the latest). Resolves to the versions applied.
+async function migrate(pool, { dir, to, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+
+    for (const migration of migrations) {
+      const row = applied.get(migration.version);
+      if (row && row.checksum !== migration.checksum) {
+        throw new MigrationError(`Migration ${migration.id} was edited after it was applied; add a new one instead`);
+      }
+    }
+    const known = new Set(migrations.map((migration) => migration.version));
+    for (const version of applied.keys()) {
+      if (!known.has(version)) {
+        log(`Database has migration ${version}, which this build does not know about`);
+      }
+    }
+
+    const done = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      if (to !== undefined && migration.version > to) break;
+
+      await runInTransaction(client, migration.up, () =>
+        client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)', [
+          migration.version,
+          migration.name,
+          migration.checksum,
+        ])
+      );
+      log(`Applied migration ${migration.id}`);
+      done.push(migration.version);
+    }
+    return done;
+  });
+}
+
+// Reverts the newest `steps` applied migrations (default 1). Resolves to the versions reverted.
+async function rollback(pool, { dir, steps = 1, log = console.log } = {}) {
+  const migrations = new Map(loadMigrations(dir).map((migration) => [migration.version, migration]));
+  return withMigrationLock(pool, async (client) => {
+    const applied = [...(await appliedVersions(client)).keys()].sort((a, b) => b - a).slice(0, steps);
+
+    const done = [];
+    for (const version of applied) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new MigrationError(`Migration ${version} is applied but its files are missing`);
+      }
+      if (!migration.down) {
+        throw new MigrationError(`Migration ${migration.id} has no down file`);
+      }
+
+      await runInTransaction(client, migration.down, () =>
+        client.query('DELETE FROM schema_migrations WHERE version = $1', [version])
+      );
+      log(`Reverted migration ${migration.id}`);
+      done.push(version);
+    }
+    return done;
+  });
+}
+
+async function migrationStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    return migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        id: migration.id,
+        name: migration.name,
+        appliedAt: row ? row.applied_at : null,
+        modified: Boolean(row && row.checksum !== migration.checksum),
+        reversible: Boolean(migration.down),
+      };
+    });
+  });
+}
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+};
@@ -0,0 +1,82 @@
+// Thai mobile numbers for top-up targets. lookupNumber() normalises what people type (+66, 66,
+// spaces, dashes, dots and brackets), checks the number is in a mobile range (10 digits starting
+// 06, 08 or 09) and maps it to one of the sandbox's simulated operators.
+//
+// Operators go by the first three digits, split by the third digit so every operator is easy to
+// reach in tests. Blacklisted numbers are the built-in 0899999xxx test range plus any listed in
+// BLACKLISTED_NUMBERS.
+
+const OPERATORS = [
+  { id: 'lotus', name: 'Lotus Mobile', thirdDigits: '0369' },
+  { id: 'orchid', name: 'Orchid Tel', thirdDigits: '147' },
+  { id: 'mekong', name: 'Mekong Wireless', thirdDigits: '258' },
+];
+
+const BLACKLISTED_PREFIX = '0899999';
+
+// Reasons a number is not valid, with the message shown to callers.
+const INVALID_REASONS = {
+  INVALID_FORMAT: 'is not a phone number. Use 10 digits such as 0812345678, or +66 followed by 9 digits',
+  NOT_MOBILE: 'is not a Thai mobile number. Mobile numbers have 10 digits and start with 06, 08 or 09',
+};
+
+// "+66 81-234-5678" -> "0812345678"; null when what is left is not a national number.
+function normalizeMsisdn(input) {
+  const compact = String(input || '').replace(/[\s().-]/g, '');
+  const national = compact.replace(/^(\+66|0066|66)(?=\d{8,9}$)/, '0');
+  return /^0\d{8,9}$/.test(national) ? national : null;
+}
+
+function operatorFor(msisdn) {
+  return OPERATORS.find((operator) => operator.thirdDigits.includes(msisdn[2])) || null;
+}
+
+// Comma-separated BLACKLISTED_NUMBERS in any format lookupNumber() accepts.
+function loadBlacklist(env) {
+  const numbers = String(env.BLACKLISTED_NUMBERS || '')
+    .split(',')
+    .map(normalizeMsisdn)
+    .filter(Boolean);
+  return new Set(numbers);
+}
+
+// Resolves `input` to { input, msisdn, e164, valid, reason, message, operator, blacklisted }.
+// msisdn is the normalised national form, or null when the input is not a phone number at all.
+function lookupNumber(input, { blacklist = new Set() } = {}) {
+  const msisdn = normalizeMsisdn(input);
+  const result = {
+    input: String(input),
+    msisdn,
+    e164: msisdn ? `+66${msisdn.slice(1)}` : null,
+    valid: false,
+    reason: null,
+    message: null,
+    operator: null,
+    blacklisted: false,
+  };
+
+  let reason = null;
+  if (!msisdn) {
+    reason = 'INVALID_FORMAT';
+  } else if (!/^0[689]\d{8}$/.test(msisdn)) {
+    reason = 'NOT_MOBILE';
+  }
+  if (reason) {
+    return { ...result, reason, message: `${result.input} ${INVALID_REASONS[reason]}` };
+  }
+
+  const { id, name } = operatorFor(msisdn);
+  return {
+    ...result,
+    valid: true,
+    operator: { id, name },
+    blacklisted: msisdn.startsWith(BLACKLISTED_PREFIX) || blacklist.has(msisdn),
+  };
+}
+
+module.exports = {
+  OPERATORS: OPERATORS.map(({ id, name }) => ({ id, name })),
+  loadBlacklist,
+  lookupNumber,
+  normalizeMsisdn,
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<N>$<r>$<p>$<salt>$<hash>, salt and hash in base64.
+const HASH_PREFIX = 'scrypt$';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const POLICY_RULES = {
+  min_length: (password, policy) => password.length >= policy.minLength,
+  lowercase: (password) => /[a-z]/.test(password),
+  uppercase: (password) => /[A-Z]/.test(password),
+  digit: (password) => /[0-9]/.test(password),
+  symbol: (password) => /[^A-Za-z0-9]/.test(password),
+};
+
+const RULE_MESSAGES = {
+  min_length: (policy) => `be at least ${policy.minLength} characters`,
+  lowercase: () => 'contain a lowercase letter',
+  uppercase: () => 'contain an uppercase letter',
+  digit: () => 'contain a digit',
+  symbol: () => 'contain a symbol',
+};
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return `${HASH_PREFIX}${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Rows written before hashing was introduced hold plain text. They still verify, and
+// needsRehash tells the caller to upgrade them.
+async function verifyPassword(password, stored) {
+  const storedValue = String(stored || '');
+  if (!storedValue.startsWith(HASH_PREFIX)) {
+    const expected = Buffer.from(storedValue);
+    const actual = Buffer.from(String(password));
+    const valid = storedValue.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, salt, hash] = storedValue.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  const valid = crypto.timingSafeEqual(expected, actual);
+  return { valid, needsRehash: valid && Number(N) !== SCRYPT_PARAMS.N };
+}
+
+function readFlag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true' || value === '1';
+}
+
+function loadPasswordPolicy(env) {
+  return {
+    minLength: Number(env.PASSWORD_MIN_LENGTH) || 8,
+    requireLowercase: readFlag(env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireUppercase: readFlag(env.PASSWORD_REQUIRE_UPPERCASE, false),
+    requireDigit: readFlag(env.PASSWORD_REQUIRE_DIGIT, true),
+    requireSymbol: readFlag(env.PASSWORD_REQUIRE_SYMBOL, false),
+  };
+}
+
+function activeRules(policy) {
+  return [
+    'min_length',
+    policy.requireLowercase && 'lowercase',
+    policy.requireUppercase && 'uppercase',
+    policy.requireDigit && 'digit',
+    policy.requireSymbol && 'symbol',
+  ].filter(Boolean);
+}
+
+// Returns the ids of the rules the password fails; an empty array means it passes.
+function checkPasswordPolicy(password, policy) {
+  return activeRules(policy).filter((rule) => !POLICY_RULES[rule](String(password), policy));
+}
+
+function describeFailedRules(failedRules, policy) {
+  return `Password must ${failedRules.map((rule) => RULE_MESSAGES[rule](policy)).join(', ')}`;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  loadPasswordPolicy,
+  activeRules,
+  checkPasswordPolicy,
+  describeFailedRules,
+};
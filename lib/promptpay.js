@@ -0,0 +1,63 @@
+// PromptPay-style QR payloads for `qr` orders. buildPromptPayPayload() writes the EMVCo merchant
+// presented QR string Thai banking apps scan: a PromptPay credit transfer to the merchant's 13-digit
+// ID for the exact amount, with the transaction id (shortened by promptPayReference()) as the
+// reference label and a CRC-16/CCITT checksum at the end. It is deterministic, so a payload can be
+// rebuilt from the transaction to compare with the one a payer confirms.
+
+const PROMPTPAY_AID = 'A000000677010111';
+const CURRENCY_THB = '764';
+const COUNTRY_TH = 'TH';
+// EMVCo caps the reference label (tag 62, sub-tag 05) at 25 characters.
+const MAX_REFERENCE_LENGTH = 25;
+
+// ID, two-digit length, value.
+function field(id, value) {
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+// CRC-16/CCITT-FALSE (polynomial 0x1021, initial 0xFFFF), as upper-case hex.
+function crc16(text) {
+  let crc = 0xffff;
+  for (const byte of Buffer.from(text, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// TXN-01M595EENNVBDZCVNP59P4C -> 01M595EENNVBDZCVNP59P4C. Longer ids keep their last 25
+// characters, the random part of a generated id.
+function promptPayReference(txnId) {
+  return String(txnId).replace(/^TXN-/, '').slice(-MAX_REFERENCE_LENGTH);
+}
+
+function isPromptPayId(value) {
+  return /^\d{13}$/.test(String(value));
+}
+
+function buildPromptPayPayload({ merchantId, amount, reference }) {
+  if (reference.length > MAX_REFERENCE_LENGTH) {
+    throw new RangeError(`PromptPay reference is longer than ${MAX_REFERENCE_LENGTH} characters`);
+  }
+  const body = [
+    field('00', '01'),
+    // 12: dynamic QR, valid for one payment.
+    field('01', '12'),
+    field('29', field('00', PROMPTPAY_AID) + field('02', merchantId)),
+    field('53', CURRENCY_THB),
+    field('54', Number(amount).toFixed(2)),
+    field('58', COUNTRY_TH),
+    field('62', field('05', reference)),
+  ].join('');
+  const unsigned = `${body}6304`;
+  return `${unsigned}${crc16(unsigned)}`;
+}
+
+module.exports = {
+  buildPromptPayPayload,
+  crc16,
+  isPromptPayId,
+  promptPayReference,
+};
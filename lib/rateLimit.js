@@ -0,0 +1,139 @@
+// In-process rate limiting for the sign-in, OTP and order endpoints. Each policy allows `max`
+// requests per `windowSeconds` (a fixed window that starts with the first request), counted
+// separately per key. Callers pass one key per client IP and one per email, so a request is
+// refused once either of them is used up.
+//
+// Counters live in this process only: they reset on restart and are not shared between instances.
+
+const DEFAULT_POLICIES = {
+  login: { max: 20, windowSeconds: 60 },
+  otpVerify: { max: 10, windowSeconds: 60 },
+  otpRequest: { max: 5, windowSeconds: 60 },
+  order: { max: 60, windowSeconds: 60 },
+};
+
+// Expired windows are dropped at most this often, so idle keys do not pile up.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RateLimitError';
+  }
+}
+
+// otpVerify -> OTP_VERIFY
+function envPrefix(name) {
+  return `RATE_LIMIT_${name.replace(/[A-Z]/g, (char) => `_${char}`).toUpperCase()}`;
+}
+
+// RATE_LIMIT_LOGIN_MAX, RATE_LIMIT_LOGIN_WINDOW_SECONDS, RATE_LIMIT_OTP_VERIFY_MAX and so on.
+function loadRateLimitPolicies(env) {
+  const policies = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_POLICIES)) {
+    const prefix = envPrefix(name);
+    policies[name] = {
+      max: Number(env[`${prefix}_MAX`]) || defaults.max,
+      windowSeconds: Number(env[`${prefix}_WINDOW_SECONDS`]) || defaults.windowSeconds,
+    };
+  }
+  return policies;
+}
+
+// Checks a { max, windowSeconds } update for `name`; throws RateLimitError when it does not fit.
+function validatePolicy(name, value) {
+  if (!DEFAULT_POLICIES[name]) {
+    throw new RateLimitError(`Unknown policy "${name}". Use one of: ${Object.keys(DEFAULT_POLICIES).join(', ')}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new RateLimitError(`${name} must be an object with max and/or windowSeconds`);
+  }
+  for (const field of ['max', 'windowSeconds']) {
+    if (value[field] !== undefined && (!Number.isInteger(value[field]) || value[field] < 1)) {
+      throw new RateLimitError(`${name}.${field} must be a positive integer`);
+    }
+  }
+}
+
+function createRateLimiter(configured) {
+  let policies = structuredClone(configured);
+  // "<policy> <key>" -> { count, resetAt } in epoch milliseconds.
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  const sweep = (now) => {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    for (const [id, window] of windows) {
+      if (window.resetAt <= now) windows.delete(id);
+    }
+  };
+
+  const clear = (name) => {
+    for (const id of windows.keys()) {
+      if (name === undefined || id.startsWith(`${name} `)) windows.delete(id);
+    }
+  };
+
+  return {
+    policies: () => structuredClone(policies),
+
+    // Counts one request for every key unless one of them is already at the limit. Returns
+    // { allowed, limit, remaining, resetSeconds, policy }; resetSeconds is when the most used key
+    // frees up again, which is also the Retry-After of a refused request.
+    consume(name, keys, now = Date.now()) {
+      const policy = policies[name];
+      sweep(now);
+      const current = keys.map((key) => {
+        const id = `${name} ${key}`;
+        let window = windows.get(id);
+        if (!window || window.resetAt <= now) {
+          window = { count: 0, resetAt: now + policy.windowSeconds * 1000 };
+          windows.set(id, window);
+        }
+        return window;
+      });
+
+      const allowed = current.every((window) => window.count < policy.max);
+      if (allowed) {
+        current.forEach((window) => {
+          window.count += 1;
+        });
+      }
+      const fullest = current.reduce((most, window) => (window.count > most.count ? window : most));
+      return {
+        allowed,
+        limit: policy.max,
+        remaining: Math.max(policy.max - fullest.count, 0),
+        resetSeconds: Math.max(Math.ceil((fullest.resetAt - now) / 1000), 1),
+        policy,
+      };
+    },
+
+    // Applies partial { name: { max, windowSeconds } } updates and restarts the changed policies' windows.
+    update(changes) {
+      Object.entries(changes).forEach(([name, value]) => validatePolicy(name, value));
+      for (const [name, value] of Object.entries(changes)) {
+        const { max = policies[name].max, windowSeconds = policies[name].windowSeconds } = value;
+        policies[name] = { max, windowSeconds };
+        clear(name);
+      }
+      return structuredClone(policies);
+    },
+
+    // Back to the configured policies, with every counter cleared.
+    restore() {
+      policies = structuredClone(configured);
+      clear();
+      return structuredClone(policies);
+    },
+
+    clear: () => clear(),
+  };
+}
+
+module.exports = {
+  RateLimitError,
+  createRateLimiter,
+  loadRateLimitPolicies,
+};
@@ -0,0 +1,205 @@
+// Printable HTML receipt / tax invoice for GET /api/transactions/:id/receipt. The page is
+// self-contained (inline CSS, print styles hide the Print button) so it can be saved as it is.
+// Every stored value is HTML-escaped; emails, discount codes and refund reasons are user input.
+
+const SELLER_NAME = 'Mobile Internet Service Sandbox';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+function formatMoney(value) {
+  return Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// "2025-01-31T14:25:01+07:00" -> "2025-01-31 14:25:01 (UTC+07:00)"
+function formatTimestamp(value) {
+  const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}:\d{2})([+-]\d{2}:\d{2})$/);
+  return match ? `${match[1]} ${match[2]} (UTC${match[3]})` : String(value || '');
+}
+
+function amountRow(label, value, className) {
+  const classAttribute = className ? ` class="${className}"` : '';
+  return `<tr${classAttribute}><th scope="row">${escapeHtml(label)}</th><td>${formatMoney(value)}</td></tr>`;
+}
+
+function refundRow(refund) {
+  const cells = [refund.refund_id, formatTimestamp(refund.created_at), refund.reason].map(
+    (value) => `<td>${escapeHtml(value)}</td>`
+  );
+  return `<tr>${cells.join('')}<td class="num">${formatMoney(refund.amount)}</td></tr>`;
+}
+
+// `transaction` and `refunds` are serialized API objects. `items` are { name, kind } lines and
+// `breakdown` is { subtotal, discount, taxable, vat, total, vatRate } in THB.
+function renderReceipt({ transaction, items, breakdown, refunds }) {
+  const refunded = Number(transaction.refunded_amount);
+  const vatPercent = `${Math.round(breakdown.vatRate * 100)}%`;
+  const discountLabel = transaction.discount_code ? `Discount (${transaction.discount_code})` : 'Discount';
+
+  const itemRows = items
+    .map((item) => `<tr><td>${escapeHtml(item.name)}</td><td>${escapeHtml(item.kind)}</td></tr>`)
+    .join('\n        ');
+  const totals = [
+    amountRow('Subtotal', breakdown.subtotal),
+    breakdown.discount > 0 ? amountRow(discountLabel, -breakdown.discount) : '',
+    amountRow('Amount before VAT', breakdown.taxable),
+    amountRow(`VAT ${vatPercent}`, breakdown.vat),
+    amountRow('Total (THB, VAT included)', breakdown.total, 'grand-total'),
+  ].filter(Boolean);
+
+  const refundSection = refunds.length
+    ? `<h2>Refunds</h2>
+    <table class="lines">
+      <thead>
+        <tr><th>Refund ID</th><th>Date</th><th>Reason</th><th class="num">Amount (THB)</th></tr>
+      </thead>
+      <tbody>
+        ${refunds.map(refundRow).join('\n        ')}
+      </tbody>
+    </table>
+    <table class="totals">
+      ${amountRow('Refunded', -refunded)}
+      ${amountRow('Net paid', breakdown.total - refunded, 'grand-total')}
+    </table>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>Receipt ${escapeHtml(transaction.txn_id)}</title>
+    <style>
+      body {
+        font-family: Arial, Helvetica, sans-serif;
+        color: #222;
+        max-width: 720px;
+        margin: 24px auto;
+        padding: 0 16px;
+      }
+      header {
+        display: flex;
+        justify-content: space-between;
+        border-bottom: 2px solid #222;
+        padding-bottom: 12px;
+      }
+      h1 {
+        font-size: 22px;
+        margin: 0;
+      }
+      h2 {
+        font-size: 16px;
+        margin: 24px 0 8px;
+      }
+      .notice {
+        background: #fff4e5;
+        border: 1px solid #f0b35a;
+        padding: 8px 12px;
+        margin: 16px 0;
+        font-size: 13px;
+      }
+      dl {
+        display: grid;
+        grid-template-columns: 160px 1fr;
+        gap: 4px 12px;
+        margin: 16px 0;
+      }
+      dt {
+        font-weight: bold;
+      }
+      dd {
+        margin: 0;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      .lines th,
+      .lines td {
+        border-bottom: 1px solid #ddd;
+        padding: 6px 4px;
+        text-align: left;
+      }
+      .totals {
+        width: 320px;
+        margin: 12px 0 0 auto;
+      }
+      .totals th,
+      .totals td,
+      .num {
+        padding: 4px;
+        text-align: right;
+      }
+      .totals th {
+        font-weight: normal;
+      }
+      .grand-total th,
+      .grand-total td {
+        font-weight: bold;
+        border-top: 1px solid #222;
+      }
+      .print {
+        margin-top: 24px;
+      }
+      @media print {
+        body {
+          margin: 0;
+          max-width: none;
+        }
+        .print {
+          display: none;
+        }
+        .notice {
+          border-color: #999;
+          background: none;
+        }
+      }
+    </style>
+  </head>
+  <body>
+    <header>
+      <div>
+        <h1>Receipt / Tax Invoice</h1>
+        <div>${escapeHtml(SELLER_NAME)}</div>
+      </div>
+      <div><strong>${escapeHtml(transaction.status)}</strong></div>
+    </header>
+    <div class="notice">Sandbox document for testing only. Not a valid tax invoice.</div>
+    <dl>
+      <dt>Transaction ID</dt>
+      <dd>${escapeHtml(transaction.txn_id)}</dd>
+      <dt>Date</dt>
+      <dd>${escapeHtml(formatTimestamp(transaction.created_at))}</dd>
+      <dt>Customer</dt>
+      <dd>${escapeHtml(transaction.email)}</dd>
+      <dt>Phone number</dt>
+      <dd>${escapeHtml(transaction.phone || '-')}</dd>
+      <dt>Payment method</dt>
+      <dd>${escapeHtml(transaction.payment_method)}</dd>
+    </dl>
+    <h2>Items</h2>
+    <table class="lines">
+      <thead>
+        <tr><th>Description</th><th>Type</th></tr>
+      </thead>
+      <tbody>
+        ${itemRows}
+      </tbody>
+    </table>
+    <table class="totals">
+      ${totals.join('\n      ')}
+    </table>
+    ${refundSection}
+    <p class="print"><button type="button" onclick="window.print()">Print</button></p>
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderReceipt,
+};
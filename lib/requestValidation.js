@@ -0,0 +1,231 @@
+// Request validation against the OpenAPI document, so the documented schemas are the ones
+// enforced. validate() checks an operation's path and query parameters and its JSON body and
+// returns a list of { in, field, rule, message } problems, empty when the request is valid.
+//
+// Covers the part of OpenAPI 3.0 the spec uses: $ref, type, nullable, enum, required, properties,
+// additionalProperties, minProperties, items, minItems, maxItems, minimum, maximum,
+// exclusiveMinimum, multipleOf, minLength, maxLength, pattern and format (email, date, date-time).
+//
+// Strings are checked trimmed, the way the handlers read them, so "  " fails minLength: 1.
+// Query and path values arrive as text and are converted to the parameter's type first; array
+// parameters accept ?status=A,B as well as ?status=A&status=B.
+
+const FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, description: 'an email address' },
+  date: { pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a date (YYYY-MM-DD)' },
+  'date-time': {
+    pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i,
+    description: 'a date-time with a time zone (e.g. 2025-01-31T23:59:59+07:00)',
+  },
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+};
+
+function hasType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+// Query and path text -> the schema's type. Text that does not convert is returned as it is and
+// then fails the type check.
+function fromText(text, type) {
+  if ((type === 'integer' || type === 'number') && text !== '' && Number.isFinite(Number(text))) {
+    return Number(text);
+  }
+  if (type === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return text;
+}
+
+// ['addons', 0, 'id'] -> "addons[0].id"
+function fieldName(path) {
+  return path.reduce((name, part) => {
+    if (typeof part === 'number') return `${name}[${part}]`;
+    return name ? `${name}.${part}` : part;
+  }, '');
+}
+
+function createRequestValidator(spec) {
+  const resolve = (schema) => {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+      resolved = resolved.$ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((node, key) => node && node[key], spec);
+      if (!resolved) throw new Error(`Cannot resolve ${schema.$ref}`);
+    }
+    return resolved || {};
+  };
+
+  // Appends every problem with `value` to `errors`. `location` is body, query or path.
+  const check = (rawSchema, value, location, path, errors) => {
+    const schema = resolve(rawSchema);
+    const report = (rule, at, message) => {
+      const field = at.length ? fieldName(at) : null;
+      errors.push({ in: location, field, rule, message: `${field || 'Request body'} ${message}` });
+    };
+    const fail = (rule, message) => report(rule, path, message);
+
+    if (value === null) {
+      if (!schema.nullable) fail('type', `must be ${TYPE_NAMES[schema.type] || 'set'}, not null`);
+      return;
+    }
+    if (schema.type && !hasType(schema.type, value)) {
+      fail('type', `must be ${TYPE_NAMES[schema.type]}`);
+      return;
+    }
+
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (schema.enum && !schema.enum.includes(trimmed)) {
+      fail('enum', `must be one of ${schema.enum.filter((option) => option !== null).join(', ')}`);
+      return;
+    }
+
+    if (typeof trimmed === 'string') {
+      if (schema.minLength !== undefined && trimmed.length < schema.minLength) {
+        const minimum = `must be at least ${schema.minLength} characters`;
+        fail('minLength', schema.minLength === 1 ? 'must not be empty' : minimum);
+      }
+      if (schema.maxLength !== undefined && trimmed.length > schema.maxLength) {
+        fail('maxLength', `must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(trimmed)) {
+        fail('pattern', `must match ${schema.pattern}`);
+      }
+      const format = FORMATS[schema.format];
+      const badDate = schema.format !== 'email' && Number.isNaN(new Date(trimmed).getTime());
+      if (format && trimmed && (!format.pattern.test(trimmed) || badDate)) {
+        fail('format', `must be ${format.description}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && schema.exclusiveMinimum && value <= schema.minimum) {
+        fail('exclusiveMinimum', `must be greater than ${schema.minimum}`);
+      } else if (schema.minimum !== undefined && value < schema.minimum) {
+        fail('minimum', `must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail('maximum', `must be at most ${schema.maximum}`);
+      }
+      // With a tolerance, since e.g. 0.1 + 0.2 is not an exact multiple of 0.01 in floating point.
+      const ratio = schema.multipleOf === undefined ? 0 : value / schema.multipleOf;
+      if (Math.abs(ratio - Math.round(ratio)) > 1e-9) {
+        fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail('minItems', schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail('maxItems', `must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => check(schema.items, item, location, [...path, index], errors));
+      }
+    }
+
+    if (hasType('object', value) && (schema.type === 'object' || schema.properties)) {
+      const properties = schema.properties || {};
+      for (const name of schema.required || []) {
+        if (value[name] === undefined) report('required', [...path, name], 'is required');
+      }
+      if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        fail('minProperties', `must contain at least ${schema.minProperties} of ${Object.keys(properties).join(', ')}`);
+      }
+      for (const [name, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        if (properties[name]) {
+          check(properties[name], item, location, [...path, name], errors);
+        } else if (schema.additionalProperties === false) {
+          report('additionalProperties', [...path, name], 'is not a known field');
+        } else if (typeof schema.additionalProperties === 'object') {
+          check(schema.additionalProperties, item, location, [...path, name], errors);
+        }
+      }
+    }
+  };
+
+  const checkParameter = (parameter, source, errors) => {
+    const { name, required } = parameter;
+    const schema = resolve(parameter.schema);
+    const raw = source[name];
+    if (raw === undefined) {
+      if (required) errors.push({ in: parameter.in, field: name, rule: 'required', message: `${name} is required` });
+      return;
+    }
+    if (schema.type === 'array') {
+      const items = [raw]
+        .flat()
+        .flatMap((value) => String(value).split(','))
+        .map((value) => value.trim())
+        .filter(Boolean);
+      const itemType = resolve(schema.items).type;
+      check(schema, items.map((item) => fromText(item, itemType)), parameter.in, [name], errors);
+      return;
+    }
+    if (Array.isArray(raw)) {
+      errors.push({ in: parameter.in, field: name, rule: 'type', message: `${name} must be given once` });
+      return;
+    }
+    check(schema, fromText(String(raw).trim(), schema.type), parameter.in, [name], errors);
+  };
+
+  return {
+    // `routePath` is the Express route, e.g. /api/transactions/:id. Throws for a route the spec
+    // does not document, so a new route cannot skip its docs.
+    validate(method, routePath, { params = {}, query = {}, body }) {
+      const specPath = routePath.replace(/:(\w+)/g, '{$1}');
+      const pathItem = spec.paths && spec.paths[specPath];
+      const operation = pathItem && pathItem[method.toLowerCase()];
+      if (!operation) {
+        throw new Error(`No OpenAPI operation documents ${method} ${specPath}`);
+      }
+
+      const errors = [];
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolve);
+      for (const parameter of parameters) {
+        if (parameter.in === 'path') checkParameter(parameter, params, errors);
+        if (parameter.in === 'query') checkParameter(parameter, query, errors);
+      }
+
+      const requestBody = operation.requestBody && resolve(operation.requestBody);
+      const content = requestBody && requestBody.content && requestBody.content['application/json'];
+      if (content && content.schema && (body !== undefined || requestBody.required)) {
+        // A required body that was not sent (or not sent as JSON) is checked as {}, so each
+        // missing field is listed rather than one "body required".
+        check(content.schema, body === undefined ? {} : body, 'body', [], errors);
+      }
+      return errors;
+    },
+  };
+}
+
+module.exports = {
+  createRequestValidator,
+};
@@ -0,0 +1,24 @@
+// Both storage backends throw StorageError for constraint violations so routes can map them to
+// HTTP answers without knowing which backend is running. Not-found is never an error: finders
+// and mutations resolve to null (or false) instead.
+//   UNIQUE_VIOLATION       a unique key already exists (Postgres 23505)
+//   FOREIGN_KEY_VIOLATION  a referenced row does not exist (Postgres 23503)
+//   CHECK_VIOLATION        a CHECK constraint failed (Postgres 23514)
+
+class StorageError extends Error {
+  constructor(code, message, constraint) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.constraint = constraint || null;
+  }
+}
+
+function isStorageError(error, code) {
+  return error instanceof StorageError && error.code === code;
+}
+
+module.exports = {
+  StorageError,
+  isStorageError,
+};
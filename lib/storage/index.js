@@ -0,0 +1,30 @@
+const { createPgStorage } = require('./pg');
+const { createMemoryStorage } = require('./memory');
+const { StorageError, isStorageError } = require('./errors');
+
+// Every backend exposes the same surface:
+//   backend                 'pg' or 'memory'
+//   users, sessions, ...    repositories; see pg.js for what each method resolves to
+//   transaction(work)       runs work(tx) atomically, where tx has the same repositories
+//   reset()                 empties every table and reseeds the catalog and promo codes
+//   snapshot(), restore(s)  copy all data out and put it back; snapshots only fit their own backend
+//   migrate()               brings the schema up to date
+//   close()                 releases connections
+const BACKENDS = {
+  pg: createPgStorage,
+  memory: createMemoryStorage,
+};
+
+function createStorage({ backend = 'pg', databaseUrl } = {}) {
+  const create = BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown STORAGE backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return create({ databaseUrl });
+}
+
+module.exports = {
+  createStorage,
+  StorageError,
+  isStorageError,
+};
@@ -0,0 +1,1202 @@
+const { StorageError } = require('./errors');
+const { PACKAGES, ADDONS, PROMOTIONS } = require('./seed');
+
+// In-process stand-in for the pg backend, for tests that should not need Postgres.
+// It answers like pg.js does: rows keep Postgres column names and order, NUMERIC columns come
+// back as strings, timestamps as Dates, and the unique, foreign key and check constraints the
+// app relies on raise the same StorageError codes.
+//
+// Every call takes a global lock, so a storage.transaction() runs alone and is rolled back by
+// restoring a snapshot. Inside transaction work only use the `tx` repositories it is given;
+// calling the top-level storage there waits on the lock the transaction holds and never returns.
+
+const TABLES = {
+  users: [
+    'id',
+    'email',
+    'password',
+    'gateway_scenario',
+    'role',
+    'locked_at',
+    'locked_reason',
+    'failed_logins',
+    'login_locked_until',
+  ],
+  sessions: [
+    'id',
+    'email',
+    'refresh_token_hash',
+    'retired_refresh_token_hashes',
+    'created_at',
+    'expires_at',
+    'revoked_at',
+  ],
+  otpCodes: ['email', 'code_hash', 'attempts', 'expires_at', 'locked_until', 'consumed_at', 'created_at'],
+  resetTickets: ['ticket_hash', 'email', 'expires_at', 'used_at', 'created_at'],
+  packages: [
+    'id',
+    'name',
+    'description',
+    'data_quota_mb',
+    'validity_days',
+    'price',
+    'active',
+    'sort_order',
+    'operators',
+  ],
+  addons: ['id', 'name', 'price', 'active'],
+  promotions: [
+    'code',
+    'description',
+    'discount_type',
+    'discount_value',
+    'min_spend',
+    'starts_at',
+    'expires_at',
+    'usage_limit',
+    'per_user_limit',
+    'package_ids',
+    'active',
+    'created_at',
+  ],
+  promotionRedemptions: ['id', 'code', 'email', 'txn_id', 'discount', 'created_at'],
+  transactions: [
+    'id',
+    'txn_id',
+    'email',
+    'package_name',
+    'payment_method',
+    'amount',
+    'status',
+    'created_at',
+    'package_id',
+    'addons',
+    'discount_code',
+    'subtotal',
+    'discount',
+    'vat',
+    'phone',
+    'failure_code',
+    'failure_reason',
+    'expires_at',
+    'updated_at',
+    'refunded_amount',
+    'status_reason',
+    'card_id',
+  ],
+  refunds: ['id', 'refund_id', 'txn_id', 'email', 'amount', 'reason', 'created_at'],
+  subscriptions: [
+    'id',
+    'subscription_id',
+    'msisdn',
+    'email',
+    'txn_id',
+    'package_id',
+    'package_name',
+    'data_quota_mb',
+    'data_used_mb',
+    'addons',
+    'starts_at',
+    'expires_at',
+    'cancelled_at',
+    'created_at',
+  ],
+  paymentCards: [
+    'id',
+    'card_id',
+    'email',
+    'brand',
+    'last4',
+    'exp_month',
+    'exp_year',
+    'holder_name',
+    'scenario',
+    'number_hash',
+    'created_at',
+  ],
+  wallets: ['email', 'balance', 'updated_at'],
+  webhookEndpoints: ['id', 'email', 'url', 'secret', 'created_at'],
+  webhookDeliveries: [
+    'id',
+    'endpoint_id',
+    'email',
+    'event_id',
+    'event',
+    'payload',
+    'status',
+    'attempts',
+    'last_response_status',
+    'last_error',
+    'next_attempt_at',
+    'delivered_at',
+    'created_at',
+  ],
+  idempotencyKeys: [
+    'email',
+    'key',
+    'request_hash',
+    'status',
+    'response_status',
+    'response_headers',
+    'response_body',
+    'created_at',
+    'completed_at',
+    'expires_at',
+  ],
+  auditEvents: [
+    'id',
+    'request_id',
+    'action',
+    'outcome',
+    'actor_email',
+    'ip',
+    'target_type',
+    'target_id',
+    'before_state',
+    'after_state',
+    'details',
+    'created_at',
+  ],
+};
+
+// Column defaults from the schema; functions are evaluated per row.
+const DEFAULTS = {
+  users: { role: 'customer', failed_logins: 0 },
+  sessions: { retired_refresh_token_hashes: [], created_at: () => new Date() },
+  otpCodes: { attempts: 0, created_at: () => new Date() },
+  resetTickets: { created_at: () => new Date() },
+  packages: { active: true, sort_order: 0 },
+  addons: { active: true },
+  promotions: { min_spend: 0, active: true, created_at: () => new Date() },
+  promotionRedemptions: { created_at: () => new Date() },
+  transactions: { addons: [], discount: 0, created_at: () => new Date(), refunded_amount: 0 },
+  refunds: { created_at: () => new Date() },
+  subscriptions: { data_used_mb: 0, addons: [], created_at: () => new Date() },
+  paymentCards: { created_at: () => new Date() },
+  wallets: { balance: 0, updated_at: () => new Date() },
+  webhookEndpoints: { created_at: () => new Date() },
+  webhookDeliveries: { status: 'pending', attempts: 0, created_at: () => new Date() },
+  idempotencyKeys: { status: 'in_progress', created_at: () => new Date() },
+  auditEvents: { created_at: () => new Date() },
+};
+
+const SERIAL_TABLES = [
+  'users',
+  'promotionRedemptions',
+  'transactions',
+  'refunds',
+  'subscriptions',
+  'paymentCards',
+  'webhookEndpoints',
+  'webhookDeliveries',
+  'auditEvents',
+];
+
+const NUMERIC_COLUMNS = new Set([
+  'price',
+  'discount_value',
+  'min_spend',
+  'discount',
+  'subtotal',
+  'vat',
+  'amount',
+  'refunded_amount',
+  'balance',
+]);
+const JSON_COLUMNS = new Set([
+  'addons',
+  'package_ids',
+  'operators',
+  'retired_refresh_token_hashes',
+  'payload',
+  'response_headers',
+  'before_state',
+  'after_state',
+  'details',
+]);
+const TIMESTAMP_COLUMNS = new Set([
+  'created_at',
+  'updated_at',
+  'expires_at',
+  'starts_at',
+  'revoked_at',
+  'locked_until',
+  'consumed_at',
+  'used_at',
+  'next_attempt_at',
+  'delivered_at',
+  'completed_at',
+  'locked_at',
+  'login_locked_until',
+  'cancelled_at',
+]);
+
+// Converts a value the way a round trip through Postgres would.
+function toStored(column, value) {
+  if (value === null || value === undefined) return null;
+  if (NUMERIC_COLUMNS.has(column)) return String(Number(value));
+  if (JSON_COLUMNS.has(column)) return JSON.parse(JSON.stringify(value));
+  if (TIMESTAMP_COLUMNS.has(column)) return new Date(value);
+  return value;
+}
+
+function secondsFromNow(seconds) {
+  return new Date(Date.now() + Number(seconds) * 1000);
+}
+
+// NULLs sort as larger than any value, as in Postgres.
+function compare(column, a, b) {
+  if (a === null || b === null) {
+    if (a === b) return 0;
+    return a === null ? 1 : -1;
+  }
+  if (NUMERIC_COLUMNS.has(column)) return Number(a) - Number(b);
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+// Sorts like ORDER BY; prefix a column with '-' for DESC.
+function orderBy(rows, ...columns) {
+  return [...rows].sort((left, right) => {
+    for (const spec of columns) {
+      const desc = spec.startsWith('-');
+      const column = desc ? spec.slice(1) : spec;
+      const result = compare(column, left[column], right[column]);
+      if (result !== 0) return desc ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function clone(row) {
+  return row ? structuredClone(row) : null;
+}
+
+function uniqueViolation(constraint) {
+  return new StorageError('UNIQUE_VIOLATION', `duplicate key value violates unique constraint "${constraint}"`, constraint);
+}
+
+function createLock() {
+  let tail = Promise.resolve();
+  return (work) => {
+    const run = tail.then(work);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+function createState() {
+  const state = { nextId: {} };
+  for (const table of Object.keys(TABLES)) {
+    state[table] = [];
+  }
+  for (const table of SERIAL_TABLES) {
+    state.nextId[table] = 1;
+  }
+  return state;
+}
+
+function createRepositories(state) {
+  const buildRow = (table, fields) => {
+    const defaults = DEFAULTS[table] || {};
+    const row = {};
+    for (const column of TABLES[table]) {
+      let value = fields[column];
+      if (value === undefined) {
+        value = typeof defaults[column] === 'function' ? defaults[column]() : defaults[column];
+      }
+      row[column] = toStored(column, value);
+    }
+    if (SERIAL_TABLES.includes(table) && row.id === null) {
+      row.id = state.nextId[table];
+      state.nextId[table] += 1;
+    }
+    return row;
+  };
+
+  const assign = (table, row, fields) => {
+    const next = { ...row };
+    for (const [column, value] of Object.entries(fields)) {
+      if (!TABLES[table].includes(column)) {
+        throw new Error(`column "${column}" of relation "${table}" does not exist`);
+      }
+      next[column] = toStored(column, value);
+    }
+    return next;
+  };
+
+  // Checks a unique key against every other row, like a unique index that ignores NULLs.
+  const assertUnique = (table, row, column, constraint, self) => {
+    if (row[column] === null) return;
+    if (state[table].some((other) => other !== self && other[column] === row[column])) {
+      throw uniqueViolation(constraint);
+    }
+  };
+
+  const checkPromotion = (row) => {
+    if (!['percent', 'fixed'].includes(row.discount_type)) {
+      throw new StorageError(
+        'CHECK_VIOLATION',
+        'new row for relation "promotions" violates check constraint "promotions_discount_type_check"',
+        'promotions_discount_type_check'
+      );
+    }
+    if (row.discount_type === 'percent' && Number(row.discount_value) > 100) {
+      throw new StorageError(
+        'CHECK_VIOLATION',
+        'new row for relation "promotions" violates check constraint "promotions_check"',
+        'promotions_check'
+      );
+    }
+  };
+
+  const insert = (table, row) => {
+    state[table].push(row);
+    return clone(row);
+  };
+
+  const replace = (table, row, next) => {
+    state[table][state[table].indexOf(row)] = next;
+    return clone(next);
+  };
+
+  const remove = (table, predicate) => {
+    const removed = state[table].filter(predicate);
+    state[table] = state[table].filter((row) => !predicate(row));
+    return removed;
+  };
+
+  const checkUser = (row) => {
+    if (!['customer', 'support', 'admin'].includes(row.role)) {
+      throw new StorageError(
+        'CHECK_VIOLATION',
+        'new row for relation "users" violates check constraint "users_role_check"',
+        'users_role_check'
+      );
+    }
+  };
+
+  const users = {
+    async create({ email, password, gatewayScenario = null, role = 'customer' }) {
+      const row = buildRow('users', { email, password, gateway_scenario: gatewayScenario, role });
+      checkUser(row);
+      assertUnique('users', row, 'email', 'users_email_key');
+      return insert('users', row);
+    },
+    async findByEmail(email) {
+      return clone(state.users.find((row) => row.email === email));
+    },
+    async updatePassword(email, password) {
+      const row = state.users.find((candidate) => candidate.email === email);
+      if (!row) return false;
+      replace('users', row, assign('users', row, { password }));
+      return true;
+    },
+    async setGatewayScenario(email, scenario) {
+      const row = state.users.find((candidate) => candidate.email === email);
+      if (!row) return false;
+      replace('users', row, assign('users', row, { gateway_scenario: scenario }));
+      return true;
+    },
+    async search({ role, locked, emailContains, offset, limit }) {
+      const matching = state.users.filter(
+        (row) =>
+          (!role || row.role === role) &&
+          (locked === null || (row.locked_at !== null) === locked) &&
+          (!emailContains || row.email.includes(emailContains))
+      );
+      return { rows: orderBy(matching, 'id').slice(offset, offset + limit).map(clone), total: matching.length };
+    },
+    async setRole(email, role) {
+      const row = state.users.find((candidate) => candidate.email === email);
+      if (!row) return null;
+      const next = assign('users', row, { role });
+      checkUser(next);
+      return replace('users', row, next);
+    },
+    async recordLoginFailure(email, { maxFailures, lockoutSeconds }) {
+      const row = state.users.find((candidate) => candidate.email === email);
+      if (!row) return null;
+      const locking = row.failed_logins + 1 >= maxFailures;
+      return replace(
+        'users',
+        row,
+        assign('users', row, {
+          failed_logins: locking ? 0 : row.failed_logins + 1,
+          login_locked_until: locking ? secondsFromNow(lockoutSeconds) : row.login_locked_until,
+        })
+      );
+    },
+    async clearLoginFailures(email) {
+      const row = state.users.find((candidate) => candidate.email === email);
+      if (row) {
+        replace('users', row, assign('users', row, { failed_logins: 0, login_locked_until: null }));
+      }
+    },
+    async setLock(email, { lockedAt, reason }) {
+      const row = state.users.find((candidate) => candidate.email === email);
+      if (!row) return null;
+      return replace('users', row, assign('users', row, { locked_at: lockedAt, locked_reason: reason }));
+    },
+  };
+
+  const sessions = {
+    async create({ id, email, refreshTokenHash, ttlSeconds }) {
+      const row = buildRow('sessions', {
+        id,
+        email,
+        refresh_token_hash: refreshTokenHash,
+        expires_at: secondsFromNow(ttlSeconds),
+      });
+      assertUnique('sessions', row, 'id', 'sessions_pkey');
+      return insert('sessions', row);
+    },
+    async findById(id) {
+      return clone(state.sessions.find((row) => row.id === id));
+    },
+    async rotate(id, { refreshTokenHash, ttlSeconds }) {
+      const row = state.sessions.find((candidate) => candidate.id === id);
+      if (!row) return null;
+      return replace(
+        'sessions',
+        row,
+        assign('sessions', row, {
+          retired_refresh_token_hashes: [...row.retired_refresh_token_hashes, row.refresh_token_hash],
+          refresh_token_hash: refreshTokenHash,
+          expires_at: secondsFromNow(ttlSeconds),
+        })
+      );
+    },
+    async revoke(id) {
+      const row = state.sessions.find((candidate) => candidate.id === id && candidate.revoked_at === null);
+      if (!row) return false;
+      replace('sessions', row, assign('sessions', row, { revoked_at: new Date() }));
+      return true;
+    },
+    async revokeAllForEmail(email) {
+      const active = state.sessions.filter((row) => row.email === email && row.revoked_at === null);
+      for (const row of active) {
+        replace('sessions', row, assign('sessions', row, { revoked_at: new Date() }));
+      }
+      return active.length;
+    },
+  };
+
+  const otpCodes = {
+    async find(email) {
+      return clone(state.otpCodes.find((row) => row.email === email));
+    },
+    async issue({ email, codeHash, ttlSeconds }) {
+      const fields = {
+        code_hash: codeHash,
+        expires_at: secondsFromNow(ttlSeconds),
+        attempts: 0,
+        locked_until: null,
+        consumed_at: null,
+        created_at: new Date(),
+      };
+      const row = state.otpCodes.find((candidate) => candidate.email === email);
+      if (row) {
+        replace('otpCodes', row, assign('otpCodes', row, fields));
+      } else {
+        insert('otpCodes', buildRow('otpCodes', { email, ...fields }));
+      }
+    },
+    async consume({ email, codeHash, maxAttempts }) {
+      const row = state.otpCodes.find(
+        (candidate) =>
+          candidate.email === email &&
+          candidate.code_hash === codeHash &&
+          candidate.consumed_at === null &&
+          candidate.attempts < maxAttempts
+      );
+      if (!row) return false;
+      replace('otpCodes', row, assign('otpCodes', row, { consumed_at: new Date() }));
+      return true;
+    },
+    async recordFailure({ email, maxAttempts, lockoutSeconds }) {
+      const row = state.otpCodes.find((candidate) => candidate.email === email && candidate.consumed_at === null);
+      if (!row) return null;
+      const attempts = row.attempts + 1;
+      const locked = attempts >= maxAttempts;
+      const next = replace(
+        'otpCodes',
+        row,
+        assign('otpCodes', row, {
+          attempts,
+          locked_until: locked ? secondsFromNow(lockoutSeconds) : null,
+          consumed_at: locked ? new Date() : null,
+        })
+      );
+      return { attempts: next.attempts, locked_until: next.locked_until };
+    },
+  };
+
+  const resetTickets = {
+    async create({ ticketHash, email, ttlSeconds }) {
+      const row = buildRow('resetTickets', {
+        ticket_hash: ticketHash,
+        email,
+        expires_at: secondsFromNow(ttlSeconds),
+      });
+      assertUnique('resetTickets', row, 'ticket_hash', 'reset_tickets_pkey');
+      insert('resetTickets', row);
+    },
+    async use({ ticketHash, email }) {
+      const now = new Date();
+      const row = state.resetTickets.find(
+        (candidate) =>
+          candidate.ticket_hash === ticketHash &&
+          candidate.email === email &&
+          candidate.used_at === null &&
+          candidate.expires_at > now
+      );
+      if (!row) return false;
+      replace('resetTickets', row, assign('resetTickets', row, { used_at: now }));
+      return true;
+    },
+  };
+
+  const catalogRepository = (table, constraintPrefix, order) => ({
+    async listActive() {
+      return orderBy(
+        state[table].filter((row) => row.active),
+        ...order
+      ).map(clone);
+    },
+    async findById(id) {
+      return clone(state[table].find((row) => row.id === id));
+    },
+    async create(fields) {
+      const row = buildRow(table, fields);
+      assertUnique(table, row, 'id', `${constraintPrefix}_pkey`);
+      assertUnique(table, row, 'name', `${constraintPrefix}_name_key`);
+      return insert(table, row);
+    },
+    async update(id, fields) {
+      const row = state[table].find((candidate) => candidate.id === id);
+      if (!row) return null;
+      const next = assign(table, row, fields);
+      assertUnique(table, next, 'id', `${constraintPrefix}_pkey`, row);
+      assertUnique(table, next, 'name', `${constraintPrefix}_name_key`, row);
+      return replace(table, row, next);
+    },
+    async delete(id) {
+      return clone(remove(table, (row) => row.id === id)[0]);
+    },
+  });
+
+  const packages = {
+    ...catalogRepository('packages', 'packages', ['sort_order', 'price']),
+    async findActive({ id, name }) {
+      return clone(state.packages.find((row) => row.active && (id ? row.id === id : row.name === name)));
+    },
+  };
+
+  const addons = {
+    ...catalogRepository('addons', 'addons', ['price', 'id']),
+    async findActiveByIds(ids) {
+      return orderBy(
+        state.addons.filter((row) => row.active && ids.includes(row.id)),
+        'id'
+      ).map(clone);
+    },
+    async findByIds(ids) {
+      return orderBy(
+        state.addons.filter((row) => ids.includes(row.id)),
+        'id'
+      ).map(clone);
+    },
+  };
+
+  const timesRedeemed = (code) => state.promotionRedemptions.filter((row) => row.code === code).length;
+
+  const promotions = {
+    async list() {
+      return orderBy(state.promotions, 'created_at', 'code').map((row) => ({
+        ...clone(row),
+        times_redeemed: timesRedeemed(row.code),
+      }));
+    },
+    async findByCode(code) {
+      return clone(state.promotions.find((row) => row.code === code));
+    },
+    async findWithRedemptionCount(code) {
+      const row = state.promotions.find((candidate) => candidate.code === code);
+      return row ? { ...clone(row), times_redeemed: timesRedeemed(code) } : null;
+    },
+    async create(fields) {
+      const row = buildRow('promotions', fields);
+      checkPromotion(row);
+      assertUnique('promotions', row, 'code', 'promotions_pkey');
+      return { ...insert('promotions', row), times_redeemed: 0 };
+    },
+    async update(code, fields) {
+      const row = state.promotions.find((candidate) => candidate.code === code);
+      if (!row) return null;
+      const next = assign('promotions', row, fields);
+      checkPromotion(next);
+      assertUnique('promotions', next, 'code', 'promotions_pkey', row);
+      return replace('promotions', row, next);
+    },
+    async delete(code) {
+      const deleted = remove('promotions', (row) => row.code === code)[0];
+      if (!deleted) return null;
+      remove('promotionRedemptions', (row) => row.code === code);
+      return clone(deleted);
+    },
+    async countRedemptions(code, email) {
+      const redemptions = state.promotionRedemptions.filter((row) => row.code === code);
+      return {
+        total: redemptions.length,
+        byUser: redemptions.filter((row) => row.email === (email || '')).length,
+      };
+    },
+    async redeem({ code, email, txnId, discount }) {
+      if (!state.promotions.some((row) => row.code === code)) {
+        throw new StorageError(
+          'FOREIGN_KEY_VIOLATION',
+          'insert or update on table "promotion_redemptions" violates foreign key constraint ' +
+            '"promotion_redemptions_code_fkey"',
+          'promotion_redemptions_code_fkey'
+        );
+      }
+      insert('promotionRedemptions', buildRow('promotionRedemptions', { code, email, txn_id: txnId, discount }));
+    },
+    async releaseRedemptions(txnId) {
+      remove('promotionRedemptions', (row) => row.txn_id === txnId);
+    },
+  };
+
+  const transactions = {
+    async create(fields) {
+      const row = buildRow('transactions', fields);
+      assertUnique('transactions', row, 'txn_id', 'transactions_txn_id_key');
+      if (row.email !== null && !state.users.some((user) => user.email === row.email)) {
+        throw new StorageError(
+          'FOREIGN_KEY_VIOLATION',
+          'insert or update on table "transactions" violates foreign key constraint "transactions_email_fkey"',
+          'transactions_email_fkey'
+        );
+      }
+      return insert('transactions', row);
+    },
+    async findByTxnId(txnId) {
+      return clone(state.transactions.find((row) => row.txn_id === txnId));
+    },
+    async listByEmail(email) {
+      return orderBy(
+        state.transactions.filter((row) => row.email === email),
+        '-id'
+      ).map(clone);
+    },
+    async search(criteria) {
+      const { email, statuses, paymentMethods, packageIds, createdFrom, createdTo, minAmount, maxAmount } = criteria;
+      const { sort, after, offset, limit, withTotal = true } = criteria;
+      const matching = state.transactions.filter(
+        (row) =>
+          (!email || row.email === email) &&
+          (!statuses || statuses.includes(row.status)) &&
+          (!paymentMethods || paymentMethods.includes(row.payment_method)) &&
+          (!packageIds || packageIds.includes(row.package_id)) &&
+          (!createdFrom || row.created_at >= createdFrom) &&
+          (!createdTo || row.created_at < createdTo) &&
+          (minAmount === null || (row.amount !== null && Number(row.amount) >= minAmount)) &&
+          (maxAmount === null || (row.amount !== null && Number(row.amount) <= maxAmount))
+      );
+
+      const direction = sort.descending ? -1 : 1;
+      const afterCursor = (row) => {
+        const result = compare(sort.field, row[sort.field], after.value) || row.id - after.id;
+        return result * direction > 0;
+      };
+      const prefix = sort.descending ? '-' : '';
+      const rows = orderBy(after ? matching.filter(afterCursor) : matching, `${prefix}${sort.field}`, `${prefix}id`);
+      return { rows: rows.slice(offset, offset + limit).map(clone), total: withTotal ? matching.length : null };
+    },
+    async transition(txnId, from, to, failure, reason = null) {
+      const row = state.transactions.find((candidate) => candidate.txn_id === txnId && candidate.status === from);
+      if (!row) return null;
+      return replace(
+        'transactions',
+        row,
+        assign('transactions', row, {
+          status: to,
+          failure_code: failure ? failure.code : null,
+          failure_reason: failure ? failure.message : null,
+          status_reason: reason,
+          updated_at: new Date(),
+        })
+      );
+    },
+    async expirePending(failure) {
+      const now = new Date();
+      const due = state.transactions.filter(
+        (row) => row.status === 'PENDING' && row.expires_at !== null && row.expires_at <= now
+      );
+      return due.map((row) =>
+        replace(
+          'transactions',
+          row,
+          assign('transactions', row, {
+            status: 'EXPIRED',
+            failure_code: failure.code,
+            failure_reason: failure.message,
+            status_reason: null,
+            updated_at: now,
+          })
+        )
+      );
+    },
+    async addRefundedAmount(txnId, amount) {
+      const row = state.transactions.find((candidate) => candidate.txn_id === txnId);
+      if (!row) return null;
+      const next = assign('transactions', row, {
+        // NUMERIC adds exactly; rounding drops the binary floating point error, e.g. 0.1 + 0.2.
+        refunded_amount: Number((Number(row.refunded_amount) + Number(amount)).toFixed(10)),
+        updated_at: new Date(),
+      });
+      const refunded = Number(next.refunded_amount);
+      if (refunded < 0 || (next.amount !== null && refunded > Number(next.amount))) {
+        throw new StorageError(
+          'CHECK_VIOLATION',
+          'new row for relation "transactions" violates check constraint "transactions_refunded_amount_check"',
+          'transactions_refunded_amount_check'
+        );
+      }
+      return replace('transactions', row, next);
+    },
+    async delete(txnId) {
+      const deleted = remove('transactions', (row) => row.txn_id === txnId)[0];
+      if (deleted) {
+        remove('refunds', (row) => row.txn_id === txnId);
+        // ON DELETE SET NULL: the subscription outlives its history row.
+        state.subscriptions
+          .filter((row) => row.txn_id === txnId)
+          .forEach((row) => replace('subscriptions', row, assign('subscriptions', row, { txn_id: null })));
+      }
+      return clone(deleted);
+    },
+  };
+
+  const refunds = {
+    async create({ refundId, txnId, email, amount, reason }) {
+      const row = buildRow('refunds', { refund_id: refundId, txn_id: txnId, email, amount, reason });
+      assertUnique('refunds', row, 'refund_id', 'refunds_refund_id_key');
+      if (!state.transactions.some((transaction) => transaction.txn_id === row.txn_id)) {
+        throw new StorageError(
+          'FOREIGN_KEY_VIOLATION',
+          'insert or update on table "refunds" violates foreign key constraint "refunds_txn_id_fkey"',
+          'refunds_txn_id_fkey'
+        );
+      }
+      if (!(Number(row.amount) > 0)) {
+        throw new StorageError(
+          'CHECK_VIOLATION',
+          'new row for relation "refunds" violates check constraint "refunds_amount_check"',
+          'refunds_amount_check'
+        );
+      }
+      return insert('refunds', row);
+    },
+    async listByTxnId(txnId) {
+      return orderBy(
+        state.refunds.filter((row) => row.txn_id === txnId),
+        'id'
+      ).map(clone);
+    },
+  };
+
+  const checkSubscription = (row) => {
+    const used = row.data_used_mb;
+    if (used < 0 || (row.data_quota_mb !== null && used > row.data_quota_mb) || row.expires_at <= row.starts_at) {
+      throw new StorageError(
+        'CHECK_VIOLATION',
+        'new row for relation "subscriptions" violates check constraint "subscriptions_check"',
+        'subscriptions_check'
+      );
+    }
+  };
+
+  const subscriptions = {
+    async create({
+      subscriptionId,
+      msisdn,
+      email,
+      txnId,
+      packageId,
+      packageName,
+      dataQuotaMb,
+      addons,
+      startsAt,
+      expiresAt,
+    }) {
+      const row = buildRow('subscriptions', {
+        subscription_id: subscriptionId,
+        msisdn,
+        email,
+        txn_id: txnId,
+        package_id: packageId,
+        package_name: packageName,
+        data_quota_mb: dataQuotaMb,
+        addons,
+        starts_at: startsAt,
+        expires_at: expiresAt,
+      });
+      assertUnique('subscriptions', row, 'subscription_id', 'subscriptions_subscription_id_key');
+      assertUnique('subscriptions', row, 'txn_id', 'subscriptions_txn_id_key');
+      if (row.txn_id !== null && !state.transactions.some((transaction) => transaction.txn_id === row.txn_id)) {
+        throw new StorageError(
+          'FOREIGN_KEY_VIOLATION',
+          'insert or update on table "subscriptions" violates foreign key constraint "subscriptions_txn_id_fkey"',
+          'subscriptions_txn_id_fkey'
+        );
+      }
+      checkSubscription(row);
+      return insert('subscriptions', row);
+    },
+    // `lock` is accepted for the pg signature; the global lock already serializes writers.
+    async listByMsisdn(msisdn) {
+      return orderBy(
+        state.subscriptions.filter((row) => row.msisdn === msisdn),
+        'starts_at',
+        'id'
+      ).map(clone);
+    },
+    async listByEmail(email) {
+      return orderBy(
+        state.subscriptions.filter((row) => row.email === email),
+        'starts_at',
+        'id'
+      ).map(clone);
+    },
+    async cancelByTxnId(txnId) {
+      const row = state.subscriptions.find((candidate) => candidate.txn_id === txnId && !candidate.cancelled_at);
+      if (!row) return null;
+      return replace('subscriptions', row, assign('subscriptions', row, { cancelled_at: new Date() }));
+    },
+    async recordUsage(id, dataMb) {
+      const row = state.subscriptions.find((candidate) => candidate.id === id);
+      if (!row) return null;
+      const next = assign('subscriptions', row, { data_used_mb: row.data_used_mb + dataMb });
+      checkSubscription(next);
+      return replace('subscriptions', row, next);
+    },
+  };
+
+  const paymentCards = {
+    async create({ cardId, email, brand, last4, expMonth, expYear, holderName, scenario, numberHash }) {
+      const row = buildRow('paymentCards', {
+        card_id: cardId,
+        email,
+        brand,
+        last4,
+        exp_month: expMonth,
+        exp_year: expYear,
+        holder_name: holderName,
+        scenario,
+        number_hash: numberHash,
+      });
+      assertUnique('paymentCards', row, 'card_id', 'payment_cards_card_id_key');
+      if (state.paymentCards.some((other) => other.email === row.email && other.number_hash === row.number_hash)) {
+        throw uniqueViolation('payment_cards_email_number_hash_key');
+      }
+      if (!(row.exp_month >= 1 && row.exp_month <= 12)) {
+        throw new StorageError(
+          'CHECK_VIOLATION',
+          'new row for relation "payment_cards" violates check constraint "payment_cards_exp_month_check"',
+          'payment_cards_exp_month_check'
+        );
+      }
+      return insert('paymentCards', row);
+    },
+    async listByEmail(email) {
+      return orderBy(
+        state.paymentCards.filter((row) => row.email === email),
+        'id'
+      ).map(clone);
+    },
+    async find(cardId, email) {
+      return clone(state.paymentCards.find((row) => row.card_id === cardId && row.email === email));
+    },
+    async delete(cardId, email) {
+      return clone(remove('paymentCards', (row) => row.card_id === cardId && row.email === email)[0]);
+    },
+  };
+
+  // NUMERIC adds exactly; rounding drops the binary floating point error, as in addRefundedAmount().
+  const addMoney = (left, right) => Number((Number(left) + Number(right)).toFixed(10));
+
+  const wallets = {
+    async findByEmail(email) {
+      return clone(state.wallets.find((row) => row.email === email));
+    },
+    async credit(email, amount, { maxBalance = null } = {}) {
+      const row = state.wallets.find((candidate) => candidate.email === email);
+      const balance = addMoney(row ? row.balance : 0, amount);
+      if (maxBalance !== null && balance > maxBalance) return null;
+      if (!row) return insert('wallets', buildRow('wallets', { email, balance }));
+      return replace('wallets', row, assign('wallets', row, { balance, updated_at: new Date() }));
+    },
+    async debit(email, amount) {
+      const row = state.wallets.find((candidate) => candidate.email === email);
+      if (!row || Number(row.balance) < Number(amount)) return null;
+      const balance = addMoney(row.balance, -amount);
+      return replace('wallets', row, assign('wallets', row, { balance, updated_at: new Date() }));
+    },
+  };
+
+  const endpointOf = (delivery) =>
+    state.webhookEndpoints.find((endpoint) => endpoint.id === delivery.endpoint_id) || {};
+
+  const webhooks = {
+    async listEndpoints(email) {
+      return orderBy(
+        state.webhookEndpoints.filter((row) => row.email === email),
+        'id'
+      ).map(clone);
+    },
+    async createEndpoint({ email, url, secret }) {
+      return insert('webhookEndpoints', buildRow('webhookEndpoints', { email, url, secret }));
+    },
+    async deleteEndpoint(id, email) {
+      const deleted = remove('webhookEndpoints', (row) => row.id === id && row.email === email)[0];
+      if (!deleted) return null;
+      remove('webhookDeliveries', (row) => row.endpoint_id === id);
+      return clone(deleted);
+    },
+    async enqueue({ email, eventId, event, payload }) {
+      const endpoints = orderBy(
+        state.webhookEndpoints.filter((row) => row.email === email),
+        'id'
+      );
+      for (const endpoint of endpoints) {
+        insert(
+          'webhookDeliveries',
+          buildRow('webhookDeliveries', {
+            endpoint_id: endpoint.id,
+            email: endpoint.email,
+            event_id: eventId,
+            event,
+            payload,
+            next_attempt_at: new Date(),
+          })
+        );
+      }
+      return endpoints.length;
+    },
+    async listDue(limit) {
+      const now = new Date();
+      const due = state.webhookDeliveries.filter((row) => row.status === 'pending' && row.next_attempt_at <= now);
+      return orderBy(due, 'next_attempt_at', 'id')
+        .slice(0, limit)
+        .map((row) => {
+          const endpoint = endpointOf(row);
+          return clone({
+            id: row.id,
+            event: row.event,
+            payload: row.payload,
+            attempts: row.attempts,
+            url: endpoint.url,
+            secret: endpoint.secret,
+          });
+        });
+    },
+    async recordAttempt(id, { status, attempts, responseStatus, error, retryInSeconds }) {
+      const row = state.webhookDeliveries.find((candidate) => candidate.id === id);
+      if (!row) return;
+      replace(
+        'webhookDeliveries',
+        row,
+        assign('webhookDeliveries', row, {
+          status,
+          attempts,
+          last_response_status: responseStatus,
+          last_error: error,
+          next_attempt_at: status === 'pending' ? secondsFromNow(retryInSeconds) : null,
+          delivered_at: status === 'delivered' ? new Date() : null,
+        })
+      );
+    },
+    async listDeliveries({ email, status, event, limit }) {
+      const matches = state.webhookDeliveries.filter(
+        (row) =>
+          row.email === email && (status === null || row.status === status) && (event === null || row.event === event)
+      );
+      return orderBy(matches, '-id')
+        .slice(0, limit)
+        .map((row) => ({ ...clone(row), url: endpointOf(row).url }));
+    },
+  };
+
+  const findKey = (email, key) => state.idempotencyKeys.find((row) => row.email === email && row.key === key);
+
+  const idempotencyKeys = {
+    async claim({ email, key, requestHash, ttlSeconds }) {
+      const now = new Date();
+      remove('idempotencyKeys', (row) => row.email === email && row.key === key && row.expires_at <= now);
+      const existing = findKey(email, key);
+      if (existing) {
+        return { claimed: false, record: clone(existing) };
+      }
+      const row = buildRow('idempotencyKeys', {
+        email,
+        key,
+        request_hash: requestHash,
+        expires_at: secondsFromNow(ttlSeconds),
+      });
+      return { claimed: true, record: insert('idempotencyKeys', row) };
+    },
+    async complete({ email, key, responseStatus, responseHeaders, responseBody }) {
+      const row = findKey(email, key);
+      if (!row) return;
+      replace(
+        'idempotencyKeys',
+        row,
+        assign('idempotencyKeys', row, {
+          status: 'completed',
+          response_status: responseStatus,
+          response_headers: responseHeaders,
+          response_body: responseBody,
+          completed_at: new Date(),
+        })
+      );
+    },
+    async release(email, key) {
+      remove('idempotencyKeys', (row) => row.email === email && row.key === key);
+    },
+  };
+
+  // Append-only like the pg table: there is no way to change or remove an event.
+  const auditEvents = {
+    async create({ requestId, action, outcome, actorEmail, ip, targetType, targetId, before, after, details }) {
+      const row = buildRow('auditEvents', {
+        request_id: requestId,
+        action,
+        outcome,
+        actor_email: actorEmail,
+        ip,
+        target_type: targetType,
+        target_id: targetId,
+        before_state: before,
+        after_state: after,
+        details,
+      });
+      if (!['success', 'failure'].includes(row.outcome)) {
+        throw new StorageError(
+          'CHECK_VIOLATION',
+          'new row for relation "audit_events" violates check constraint "audit_events_outcome_check"',
+          'audit_events_outcome_check'
+        );
+      }
+      return insert('auditEvents', row);
+    },
+    async search(criteria) {
+      const { actions, outcome, actorEmail, targetType, targetId, requestId, createdFrom, createdTo } = criteria;
+      const matching = state.auditEvents.filter(
+        (row) =>
+          (!actions || actions.includes(row.action)) &&
+          (!outcome || row.outcome === outcome) &&
+          (!actorEmail || row.actor_email === actorEmail) &&
+          (!targetType || row.target_type === targetType) &&
+          (!targetId || row.target_id === targetId) &&
+          (!requestId || row.request_id === requestId) &&
+          (!createdFrom || row.created_at >= createdFrom) &&
+          (!createdTo || row.created_at < createdTo)
+      );
+      const page = orderBy(matching, '-id').slice(criteria.offset, criteria.offset + criteria.limit);
+      return { rows: page.map(clone), total: matching.length };
+    },
+  };
+
+  return {
+    users,
+    sessions,
+    otpCodes,
+    resetTickets,
+    packages,
+    addons,
+    promotions,
+    transactions,
+    refunds,
+    subscriptions,
+    paymentCards,
+    wallets,
+    webhooks,
+    idempotencyKeys,
+    auditEvents,
+  };
+}
+
+function seed(state) {
+  const repositories = createRepositories(state);
+  const createdAt = new Date();
+  return Promise.all([
+    ...PACKAGES.map((row) => repositories.packages.create(row)),
+    ...ADDONS.map((row) => repositories.addons.create(row)),
+    ...PROMOTIONS.map((row) => repositories.promotions.create({ ...row, created_at: createdAt })),
+  ]);
+}
+
+// Wraps every repository method so it waits for the lock.
+function lockRepositories(repositories, lock) {
+  const locked = {};
+  for (const [name, repository] of Object.entries(repositories)) {
+    locked[name] = {};
+    for (const [method, fn] of Object.entries(repository)) {
+      locked[name][method] = (...args) => lock(() => fn(...args));
+    }
+  }
+  return locked;
+}
+
+function createMemoryStorage() {
+  const state = createState();
+  const repositories = createRepositories(state);
+  const lock = createLock();
+  const ready = seed(state);
+
+  // Repositories hold on to `state`, so it is refilled in place rather than swapped.
+  const replaceState = (next) => {
+    for (const key of Object.keys(state)) delete state[key];
+    Object.assign(state, next);
+  };
+
+  return {
+    backend: 'memory',
+    ...lockRepositories(repositories, lock),
+    async transaction(work) {
+      return lock(async () => {
+        const snapshot = structuredClone(state);
+        try {
+          return await work(repositories);
+        } catch (error) {
+          Object.assign(state, snapshot);
+          throw error;
+        }
+      });
+    },
+    reset: () =>
+      lock(async () => {
+        replaceState(createState());
+        await seed(state);
+      }),
+    snapshot: () => lock(async () => ({ backend: 'memory', state: structuredClone(state) })),
+    // Like the pg backend, ids continue after the largest restored one.
+    restore: (snapshot) =>
+      lock(async () => {
+        const next = structuredClone(snapshot.state);
+        for (const table of SERIAL_TABLES) {
+          next.nextId[table] = next[table].reduce((max, row) => Math.max(max, row.id), 0) + 1;
+        }
+        replaceState(next);
+      }),
+    migrate: () => ready.then(() => []),
+    close: async () => {},
+  };
+}
+
+module.exports = {
+  createMemoryStorage,
+};
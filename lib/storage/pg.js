@@ -0,0 +1,957 @@
+const { Pool } = require('pg');
+const { migrate } = require('../migrations');
+const { StorageError } = require('./errors');
+const { PACKAGES, ADDONS, PROMOTIONS } = require('./seed');
+
+const PG_ERROR_CODES = {
+  23505: 'UNIQUE_VIOLATION',
+  23503: 'FOREIGN_KEY_VIOLATION',
+  23514: 'CHECK_VIOLATION',
+};
+
+function translateError(error) {
+  const code = error && PG_ERROR_CODES[error.code];
+  return code ? new StorageError(code, error.message, error.constraint) : error;
+}
+
+function firstRow(result) {
+  return result.rowCount === 0 ? null : result.rows[0];
+}
+
+// Sort fields accepted by transactions.search(), as SQL expressions.
+const TRANSACTION_SORT_KEYS = {
+  created_at: "date_trunc('milliseconds', created_at)",
+  amount: 'amount',
+  id: 'id',
+};
+
+// JSONB parameters are sent as text; pg would otherwise encode JS arrays as Postgres arrays.
+function toColumnValue(column, value) {
+  if (['package_ids', 'addons', 'operators'].includes(column) && value !== null && value !== undefined) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function buildAssignments(fields) {
+  const columns = Object.keys(fields);
+  return {
+    sql: columns.map((column, index) => `${column} = $${index + 1}`).join(', '),
+    values: columns.map((column) => toColumnValue(column, fields[column])),
+    next: columns.length + 1,
+  };
+}
+
+// `db` is the pool, or a client inside storage.transaction().
+function createRepositories(db) {
+  const query = async (sql, params) => {
+    try {
+      return await db.query(sql, params);
+    } catch (error) {
+      throw translateError(error);
+    }
+  };
+
+  const users = {
+    async create({ email, password, gatewayScenario = null, role = 'customer' }) {
+      return firstRow(
+        await query(
+          'INSERT INTO users (email, password, gateway_scenario, role) VALUES ($1, $2, $3, $4) RETURNING *',
+          [email, password, gatewayScenario, role]
+        )
+      );
+    },
+    async findByEmail(email) {
+      return firstRow(await query('SELECT * FROM users WHERE email = $1', [email]));
+    },
+    async updatePassword(email, password) {
+      const result = await query('UPDATE users SET password = $1 WHERE email = $2', [password, email]);
+      return result.rowCount > 0;
+    },
+    async setGatewayScenario(email, scenario) {
+      const result = await query('UPDATE users SET gateway_scenario = $1 WHERE email = $2', [scenario, email]);
+      return result.rowCount > 0;
+    },
+    // Resolves to { rows, total }, ordered by id. `emailContains` matches part of the email.
+    async search({ role, locked, emailContains, offset, limit }) {
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      const conditions = ['TRUE'];
+      if (role) conditions.push(`role = ${param(role)}`);
+      if (locked !== null) conditions.push(locked ? 'locked_at IS NOT NULL' : 'locked_at IS NULL');
+      if (emailContains) conditions.push(`strpos(email, ${param(emailContains)}) > 0`);
+
+      const where = conditions.join(' AND ');
+      const { total } = firstRow(await query(`SELECT COUNT(*)::int AS total FROM users WHERE ${where}`, params));
+      const page = `LIMIT ${param(limit)} OFFSET ${param(offset)}`;
+      const rows = (await query(`SELECT * FROM users WHERE ${where} ORDER BY id ${page}`, params)).rows;
+      return { rows, total };
+    },
+    async setRole(email, role) {
+      return firstRow(await query('UPDATE users SET role = $2 WHERE email = $1 RETURNING *', [email, role]));
+    },
+    // Counts a wrong password. Reaching `maxFailures` locks sign-in for `lockoutSeconds` and starts the count over.
+    async recordLoginFailure(email, { maxFailures, lockoutSeconds }) {
+      return firstRow(
+        await query(
+          `
+            UPDATE users
+            SET failed_logins = CASE WHEN failed_logins + 1 >= $2 THEN 0 ELSE failed_logins + 1 END,
+                login_locked_until = CASE
+                  WHEN failed_logins + 1 >= $2 THEN NOW() + make_interval(secs => $3)
+                  ELSE login_locked_until
+                END
+            WHERE email = $1
+            RETURNING *
+          `,
+          [email, maxFailures, lockoutSeconds]
+        )
+      );
+    },
+    async clearLoginFailures(email) {
+      await query('UPDATE users SET failed_logins = 0, login_locked_until = NULL WHERE email = $1', [email]);
+    },
+    // A null `lockedAt` unlocks.
+    async setLock(email, { lockedAt, reason }) {
+      return firstRow(
+        await query('UPDATE users SET locked_at = $2, locked_reason = $3 WHERE email = $1 RETURNING *', [
+          email,
+          lockedAt,
+          reason,
+        ])
+      );
+    },
+  };
+
+  const sessions = {
+    async create({ id, email, refreshTokenHash, ttlSeconds }) {
+      return firstRow(
+        await query(
+          `
+            INSERT INTO sessions (id, email, refresh_token_hash, expires_at)
+            VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+            RETURNING *
+          `,
+          [id, email, refreshTokenHash, ttlSeconds]
+        )
+      );
+    },
+    async findById(id, { lock = false } = {}) {
+      return firstRow(await query(`SELECT * FROM sessions WHERE id = $1${lock ? ' FOR UPDATE' : ''}`, [id]));
+    },
+    async rotate(id, { refreshTokenHash, ttlSeconds }) {
+      return firstRow(
+        await query(
+          `
+            UPDATE sessions
+            SET retired_refresh_token_hashes = retired_refresh_token_hashes || to_jsonb(refresh_token_hash),
+              refresh_token_hash = $1,
+              expires_at = NOW() + make_interval(secs => $2)
+            WHERE id = $3
+            RETURNING *
+          `,
+          [refreshTokenHash, ttlSeconds, id]
+        )
+      );
+    },
+    async revoke(id) {
+      const result = await query('UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [id]);
+      return result.rowCount > 0;
+    },
+    async revokeAllForEmail(email) {
+      const result = await query('UPDATE sessions SET revoked_at = NOW() WHERE email = $1 AND revoked_at IS NULL', [
+        email,
+      ]);
+      return result.rowCount;
+    },
+  };
+
+  const otpCodes = {
+    async find(email) {
+      return firstRow(await query('SELECT * FROM otp_codes WHERE email = $1', [email]));
+    },
+    // A new code replaces the old one and clears its attempts and lockout.
+    async issue({ email, codeHash, ttlSeconds }) {
+      await query(
+        `
+          INSERT INTO otp_codes (email, code_hash, expires_at)
+          VALUES ($1, $2, NOW() + make_interval(secs => $3))
+          ON CONFLICT (email) DO UPDATE
+          SET code_hash = EXCLUDED.code_hash,
+              expires_at = EXCLUDED.expires_at,
+              attempts = 0,
+              locked_until = NULL,
+              consumed_at = NULL,
+              created_at = NOW()
+        `,
+        [email, codeHash, ttlSeconds]
+      );
+    },
+    // Single conditional UPDATEs, so parallel guesses cannot exceed the attempt limit.
+    async consume({ email, codeHash, maxAttempts }) {
+      const result = await query(
+        `
+          UPDATE otp_codes
+          SET consumed_at = NOW()
+          WHERE email = $1 AND code_hash = $2 AND consumed_at IS NULL AND attempts < $3
+          RETURNING email
+        `,
+        [email, codeHash, maxAttempts]
+      );
+      return result.rowCount > 0;
+    },
+    async recordFailure({ email, maxAttempts, lockoutSeconds }) {
+      return firstRow(
+        await query(
+          `
+            UPDATE otp_codes
+            SET attempts = attempts + 1,
+                locked_until = CASE WHEN attempts + 1 >= $2 THEN NOW() + make_interval(secs => $3) END,
+                consumed_at = CASE WHEN attempts + 1 >= $2 THEN NOW() END
+            WHERE email = $1 AND consumed_at IS NULL
+            RETURNING attempts, locked_until
+          `,
+          [email, maxAttempts, lockoutSeconds]
+        )
+      );
+    },
+  };
+
+  const resetTickets = {
+    async create({ ticketHash, email, ttlSeconds }) {
+      await query(
+        `
+          INSERT INTO reset_tickets (ticket_hash, email, expires_at)
+          VALUES ($1, $2, NOW() + make_interval(secs => $3))
+        `,
+        [ticketHash, email, ttlSeconds]
+      );
+    },
+    async use({ ticketHash, email }) {
+      const result = await query(
+        `
+          UPDATE reset_tickets
+          SET used_at = NOW()
+          WHERE ticket_hash = $1 AND email = $2 AND used_at IS NULL AND expires_at > NOW()
+        `,
+        [ticketHash, email]
+      );
+      return result.rowCount > 0;
+    },
+  };
+
+  const packages = {
+    async listActive() {
+      return (await query('SELECT * FROM packages WHERE active ORDER BY sort_order, price')).rows;
+    },
+    async findById(id) {
+      return firstRow(await query('SELECT * FROM packages WHERE id = $1', [id]));
+    },
+    async findActive({ id, name }) {
+      return id
+        ? firstRow(await query('SELECT * FROM packages WHERE id = $1 AND active', [id]))
+        : firstRow(await query('SELECT * FROM packages WHERE name = $1 AND active', [name]));
+    },
+    async create({
+      id,
+      name,
+      description = null,
+      data_quota_mb = null,
+      validity_days,
+      price,
+      active = true,
+      sort_order = 0,
+      operators = null,
+    }) {
+      return firstRow(
+        await query(
+          `
+            INSERT INTO packages
+              (id, name, description, data_quota_mb, validity_days, price, active, sort_order, operators)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+          `,
+          [
+            id,
+            name,
+            description,
+            data_quota_mb,
+            validity_days,
+            price,
+            active,
+            sort_order,
+            toColumnValue('operators', operators),
+          ]
+        )
+      );
+    },
+    async update(id, fields) {
+      const assignments = buildAssignments(fields);
+      return firstRow(
+        await query(`UPDATE packages SET ${assignments.sql} WHERE id = $${assignments.next} RETURNING *`, [
+          ...assignments.values,
+          id,
+        ])
+      );
+    },
+    async delete(id) {
+      return firstRow(await query('DELETE FROM packages WHERE id = $1 RETURNING *', [id]));
+    },
+  };
+
+  const addons = {
+    async listActive() {
+      return (await query('SELECT * FROM addons WHERE active ORDER BY price, id')).rows;
+    },
+    async findActiveByIds(ids) {
+      return (await query('SELECT * FROM addons WHERE id = ANY($1::text[]) AND active ORDER BY id', [ids])).rows;
+    },
+    // Inactive add-ons included, for naming what an old order bought.
+    async findByIds(ids) {
+      return (await query('SELECT * FROM addons WHERE id = ANY($1::text[]) ORDER BY id', [ids])).rows;
+    },
+    async create({ id, name, price, active = true }) {
+      return firstRow(
+        await query('INSERT INTO addons (id, name, price, active) VALUES ($1, $2, $3, $4) RETURNING *', [
+          id,
+          name,
+          price,
+          active,
+        ])
+      );
+    },
+    async update(id, fields) {
+      const assignments = buildAssignments(fields);
+      return firstRow(
+        await query(`UPDATE addons SET ${assignments.sql} WHERE id = $${assignments.next} RETURNING *`, [
+          ...assignments.values,
+          id,
+        ])
+      );
+    },
+    async delete(id) {
+      return firstRow(await query('DELETE FROM addons WHERE id = $1 RETURNING *', [id]));
+    },
+  };
+
+  const promotions = {
+    async list() {
+      return (
+        await query(`
+          SELECT p.*, COUNT(r.id)::int AS times_redeemed
+          FROM promotions p
+          LEFT JOIN promotion_redemptions r ON r.code = p.code
+          GROUP BY p.code
+          ORDER BY p.created_at, p.code
+        `)
+      ).rows;
+    },
+    // Pass lock: true inside a transaction to hold the row while a redemption is written.
+    async findByCode(code, { lock = false } = {}) {
+      return firstRow(await query(`SELECT * FROM promotions WHERE code = $1${lock ? ' FOR UPDATE' : ''}`, [code]));
+    },
+    async findWithRedemptionCount(code) {
+      return firstRow(
+        await query(
+          `
+            SELECT p.*, (SELECT COUNT(*)::int FROM promotion_redemptions r WHERE r.code = p.code) AS times_redeemed
+            FROM promotions p
+            WHERE p.code = $1
+          `,
+          [code]
+        )
+      );
+    },
+    async create(fields) {
+      const columns = Object.keys(fields);
+      const placeholders = columns.map((column, index) => `$${index + 1}`).join(', ');
+      return firstRow(
+        await query(
+          `INSERT INTO promotions (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *, 0 AS times_redeemed`,
+          columns.map((column) => toColumnValue(column, fields[column]))
+        )
+      );
+    },
+    async update(code, fields) {
+      const assignments = buildAssignments(fields);
+      return firstRow(
+        await query(`UPDATE promotions SET ${assignments.sql} WHERE code = $${assignments.next} RETURNING *`, [
+          ...assignments.values,
+          code,
+        ])
+      );
+    },
+    async delete(code) {
+      return firstRow(await query('DELETE FROM promotions WHERE code = $1 RETURNING *', [code]));
+    },
+    async countRedemptions(code, email) {
+      const result = await query(
+        `
+          SELECT
+            COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE email = $2)::int AS by_user
+          FROM promotion_redemptions
+          WHERE code = $1
+        `,
+        [code, email || '']
+      );
+      return { total: result.rows[0].total, byUser: result.rows[0].by_user };
+    },
+    async redeem({ code, email, txnId, discount }) {
+      await query('INSERT INTO promotion_redemptions (code, email, txn_id, discount) VALUES ($1, $2, $3, $4)', [
+        code,
+        email,
+        txnId,
+        discount,
+      ]);
+    },
+    async releaseRedemptions(txnId) {
+      await query('DELETE FROM promotion_redemptions WHERE txn_id = $1', [txnId]);
+    },
+  };
+
+  const transactions = {
+    async create(fields) {
+      const columns = Object.keys(fields);
+      const placeholders = columns.map((column, index) => `$${index + 1}`).join(', ');
+      return firstRow(
+        await query(
+          `INSERT INTO transactions (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+          columns.map((column) => toColumnValue(column, fields[column]))
+        )
+      );
+    },
+    async findByTxnId(txnId, { lock = false } = {}) {
+      return firstRow(await query(`SELECT * FROM transactions WHERE txn_id = $1${lock ? ' FOR UPDATE' : ''}`, [txnId]));
+    },
+    async listByEmail(email) {
+      return (await query('SELECT * FROM transactions WHERE email = $1 ORDER BY id DESC', [email])).rows;
+    },
+    // Resolves to { rows, total }: one page of `email`'s transactions (everyone's when email is null)
+    // and how many match the filters in all (null with withTotal: false). `after` is { value, id } of
+    // the previous page's last row; ties on the sort key go by id.
+    async search(criteria) {
+      const { email, statuses, paymentMethods, packageIds, createdFrom, createdTo, minAmount, maxAmount } = criteria;
+      const { sort, after, offset, limit, withTotal = true } = criteria;
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      const conditions = ['TRUE'];
+      if (email) conditions.push(`email = ${param(email)}`);
+      if (statuses) conditions.push(`status = ANY(${param(statuses)}::text[])`);
+      if (paymentMethods) conditions.push(`payment_method = ANY(${param(paymentMethods)}::text[])`);
+      if (packageIds) conditions.push(`package_id = ANY(${param(packageIds)}::text[])`);
+      if (createdFrom) conditions.push(`created_at >= ${param(createdFrom)}`);
+      if (createdTo) conditions.push(`created_at < ${param(createdTo)}`);
+      if (minAmount !== null) conditions.push(`amount >= ${param(minAmount)}`);
+      if (maxAmount !== null) conditions.push(`amount <= ${param(maxAmount)}`);
+
+      const where = conditions.join(' AND ');
+      const total = withTotal
+        ? firstRow(await query(`SELECT COUNT(*)::int AS total FROM transactions WHERE ${where}`, params)).total
+        : null;
+
+      // Timestamps are compared at millisecond precision, the precision cursors carry them in.
+      const key = TRANSACTION_SORT_KEYS[sort.field];
+      const direction = sort.descending ? 'DESC' : 'ASC';
+      if (after) {
+        conditions.push(`(${key}, id) ${sort.descending ? '<' : '>'} (${param(after.value)}, ${param(after.id)})`);
+      }
+      const rows = (
+        await query(
+          `
+            SELECT * FROM transactions
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${key} ${direction}, id ${direction}
+            LIMIT ${param(limit)} OFFSET ${param(offset)}
+          `,
+          params
+        )
+      ).rows;
+      return { rows, total };
+    },
+    // Compare-and-set on the current status; resolves to null when the row had already left `from`.
+    // `reason` is why someone changed the status by hand; automatic transitions clear it.
+    async transition(txnId, from, to, failure, reason = null) {
+      return firstRow(
+        await query(
+          `
+            UPDATE transactions
+            SET status = $3, failure_code = $4, failure_reason = $5, status_reason = $6, updated_at = NOW()
+            WHERE txn_id = $1 AND status = $2
+            RETURNING *
+          `,
+          [txnId, from, to, failure ? failure.code : null, failure ? failure.message : null, reason]
+        )
+      );
+    },
+    async expirePending(failure) {
+      return (
+        await query(
+          `
+            UPDATE transactions
+            SET status = 'EXPIRED', failure_code = $1, failure_reason = $2, status_reason = NULL, updated_at = NOW()
+            WHERE status = 'PENDING' AND expires_at <= NOW()
+            RETURNING *
+          `,
+          [failure.code, failure.message]
+        )
+      ).rows;
+    },
+    // The transactions_refunded_amount_check constraint rejects totals above the amount charged.
+    async addRefundedAmount(txnId, amount) {
+      return firstRow(
+        await query(
+          `
+            UPDATE transactions
+            SET refunded_amount = refunded_amount + $2, updated_at = NOW()
+            WHERE txn_id = $1
+            RETURNING *
+          `,
+          [txnId, amount]
+        )
+      );
+    },
+    async delete(txnId) {
+      return firstRow(await query('DELETE FROM transactions WHERE txn_id = $1 RETURNING *', [txnId]));
+    },
+  };
+
+  const refunds = {
+    async create({ refundId, txnId, email, amount, reason }) {
+      return firstRow(
+        await query(
+          `
+            INSERT INTO refunds (refund_id, txn_id, email, amount, reason)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+          `,
+          [refundId, txnId, email, amount, reason]
+        )
+      );
+    },
+    async listByTxnId(txnId) {
+      return (await query('SELECT * FROM refunds WHERE txn_id = $1 ORDER BY id', [txnId])).rows;
+    },
+  };
+
+  const subscriptions = {
+    async create({
+      subscriptionId,
+      msisdn,
+      email,
+      txnId,
+      packageId,
+      packageName,
+      dataQuotaMb,
+      addons,
+      startsAt,
+      expiresAt,
+    }) {
+      return firstRow(
+        await query(
+          `
+            INSERT INTO subscriptions
+              (subscription_id, msisdn, email, txn_id, package_id, package_name, data_quota_mb, addons, starts_at,
+               expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+          `,
+          [
+            subscriptionId,
+            msisdn,
+            email,
+            txnId,
+            packageId,
+            packageName,
+            dataQuotaMb,
+            toColumnValue('addons', addons),
+            startsAt,
+            expiresAt,
+          ]
+        )
+      );
+    },
+    // Oldest start first. With `lock`, inside storage.transaction(), other writers for the same number wait
+    // until it commits; there may be no row to lock yet, hence the advisory lock.
+    async listByMsisdn(msisdn, { lock = false } = {}) {
+      if (lock) await query("SELECT pg_advisory_xact_lock(hashtext('subscriptions:' || $1))", [msisdn]);
+      return (await query('SELECT * FROM subscriptions WHERE msisdn = $1 ORDER BY starts_at, id', [msisdn])).rows;
+    },
+    async listByEmail(email) {
+      return (await query('SELECT * FROM subscriptions WHERE email = $1 ORDER BY starts_at, id', [email])).rows;
+    },
+    async cancelByTxnId(txnId) {
+      return firstRow(
+        await query(
+          'UPDATE subscriptions SET cancelled_at = NOW() WHERE txn_id = $1 AND cancelled_at IS NULL RETURNING *',
+          [txnId]
+        )
+      );
+    },
+    async recordUsage(id, dataMb) {
+      return firstRow(
+        await query('UPDATE subscriptions SET data_used_mb = data_used_mb + $2 WHERE id = $1 RETURNING *', [
+          id,
+          dataMb,
+        ])
+      );
+    },
+  };
+
+  const paymentCards = {
+    async create({ cardId, email, brand, last4, expMonth, expYear, holderName, scenario, numberHash }) {
+      return firstRow(
+        await query(
+          `
+            INSERT INTO payment_cards
+              (card_id, email, brand, last4, exp_month, exp_year, holder_name, scenario, number_hash)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+          `,
+          [cardId, email, brand, last4, expMonth, expYear, holderName, scenario, numberHash]
+        )
+      );
+    },
+    async listByEmail(email) {
+      return (await query('SELECT * FROM payment_cards WHERE email = $1 ORDER BY id', [email])).rows;
+    },
+    async find(cardId, email) {
+      return firstRow(await query('SELECT * FROM payment_cards WHERE card_id = $1 AND email = $2', [cardId, email]));
+    },
+    async delete(cardId, email) {
+      return firstRow(
+        await query('DELETE FROM payment_cards WHERE card_id = $1 AND email = $2 RETURNING *', [cardId, email])
+      );
+    },
+  };
+
+  // One row per user, written by the first credit; a user without one has a zero balance.
+  const wallets = {
+    async findByEmail(email) {
+      return firstRow(await query('SELECT * FROM wallets WHERE email = $1', [email]));
+    },
+    // Adds `amount`. With `maxBalance`, resolves to null instead of going above it.
+    async credit(email, amount, { maxBalance = null } = {}) {
+      return firstRow(
+        await query(
+          `
+            INSERT INTO wallets (email, balance)
+            SELECT $1::text, $2::numeric WHERE $3::numeric IS NULL OR $2 <= $3
+            ON CONFLICT (email) DO UPDATE
+            SET balance = wallets.balance + EXCLUDED.balance, updated_at = NOW()
+            WHERE $3::numeric IS NULL OR wallets.balance + EXCLUDED.balance <= $3
+            RETURNING *
+          `,
+          [email, amount, maxBalance]
+        )
+      );
+    },
+    // Takes `amount` off; resolves to null when the balance is short.
+    async debit(email, amount) {
+      return firstRow(
+        await query(
+          `
+            UPDATE wallets
+            SET balance = balance - $2, updated_at = NOW()
+            WHERE email = $1 AND balance >= $2
+            RETURNING *
+          `,
+          [email, amount]
+        )
+      );
+    },
+  };
+
+  const webhooks = {
+    async listEndpoints(email) {
+      return (await query('SELECT * FROM webhook_endpoints WHERE email = $1 ORDER BY id', [email])).rows;
+    },
+    async createEndpoint({ email, url, secret }) {
+      return firstRow(
+        await query('INSERT INTO webhook_endpoints (email, url, secret) VALUES ($1, $2, $3) RETURNING *', [
+          email,
+          url,
+          secret,
+        ])
+      );
+    },
+    async deleteEndpoint(id, email) {
+      return firstRow(
+        await query('DELETE FROM webhook_endpoints WHERE id = $1 AND email = $2 RETURNING *', [id, email])
+      );
+    },
+    // Queues one delivery per endpoint of `email`; resolves to how many were queued.
+    async enqueue({ email, eventId, event, payload }) {
+      const result = await query(
+        `
+          INSERT INTO webhook_deliveries (endpoint_id, email, event_id, event, payload, next_attempt_at)
+          SELECT id, email, $2, $3, $4, NOW()
+          FROM webhook_endpoints
+          WHERE email = $1
+        `,
+        [email, eventId, event, JSON.stringify(payload)]
+      );
+      return result.rowCount;
+    },
+    async listDue(limit) {
+      return (
+        await query(
+          `
+            SELECT d.id, d.event, d.payload, d.attempts, e.url, e.secret
+            FROM webhook_deliveries d
+            JOIN webhook_endpoints e ON e.id = d.endpoint_id
+            WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+            ORDER BY d.next_attempt_at, d.id
+            LIMIT $1
+          `,
+          [limit]
+        )
+      ).rows;
+    },
+    async recordAttempt(id, { status, attempts, responseStatus, error, retryInSeconds }) {
+      await query(
+        `
+          UPDATE webhook_deliveries
+          SET status = $2,
+              attempts = $3,
+              last_response_status = $4,
+              last_error = $5,
+              next_attempt_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $6) ELSE NULL END,
+              delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END
+          WHERE id = $1
+        `,
+        [id, status, attempts, responseStatus, error, retryInSeconds]
+      );
+    },
+    async listDeliveries({ email, status, event, limit }) {
+      return (
+        await query(
+          `
+            SELECT d.*, e.url
+            FROM webhook_deliveries d
+            JOIN webhook_endpoints e ON e.id = d.endpoint_id
+            WHERE d.email = $1
+              AND ($2::text IS NULL OR d.status = $2)
+              AND ($3::text IS NULL OR d.event = $3)
+            ORDER BY d.id DESC
+            LIMIT $4
+          `,
+          [email, status, event, limit]
+        )
+      ).rows;
+    },
+  };
+
+  const idempotencyKeys = {
+    // Resolves to { claimed: true } for the first request, otherwise to { claimed: false, record }
+    // where record is the stored key (null if it was released in the meantime).
+    async claim({ email, key, requestHash, ttlSeconds }) {
+      await query('DELETE FROM idempotency_keys WHERE email = $1 AND key = $2 AND expires_at <= NOW()', [email, key]);
+      const claim = await query(
+        `
+          INSERT INTO idempotency_keys (email, key, request_hash, expires_at)
+          VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+          ON CONFLICT (email, key) DO NOTHING
+          RETURNING *
+        `,
+        [email, key, requestHash, ttlSeconds]
+      );
+      if (claim.rowCount > 0) {
+        return { claimed: true, record: claim.rows[0] };
+      }
+      const existing = await query('SELECT * FROM idempotency_keys WHERE email = $1 AND key = $2', [email, key]);
+      return { claimed: false, record: firstRow(existing) };
+    },
+    async complete({ email, key, responseStatus, responseHeaders, responseBody }) {
+      await query(
+        `
+          UPDATE idempotency_keys
+          SET status = 'completed', response_status = $3, response_headers = $4, response_body = $5,
+              completed_at = NOW()
+          WHERE email = $1 AND key = $2
+        `,
+        [email, key, responseStatus, JSON.stringify(responseHeaders), responseBody]
+      );
+    },
+    async release(email, key) {
+      await query('DELETE FROM idempotency_keys WHERE email = $1 AND key = $2', [email, key]);
+    },
+  };
+
+  const auditEvents = {
+    async create({ requestId, action, outcome, actorEmail, ip, targetType, targetId, before, after, details }) {
+      return firstRow(
+        await query(
+          `
+            INSERT INTO audit_events (
+              request_id, action, outcome, actor_email, ip, target_type, target_id, before_state, after_state, details
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+          `,
+          // The states and details are plain objects, which pg sends as JSON.
+          [requestId, action, outcome, actorEmail, ip, targetType, targetId, before, after, details]
+        )
+      );
+    },
+    // Newest first. Every criterion is optional; `createdTo` is exclusive.
+    async search(criteria) {
+      const { actions, outcome, actorEmail, targetType, targetId, requestId, createdFrom, createdTo } = criteria;
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      const conditions = ['TRUE'];
+      if (actions) conditions.push(`action = ANY(${param(actions)}::text[])`);
+      if (outcome) conditions.push(`outcome = ${param(outcome)}`);
+      if (actorEmail) conditions.push(`actor_email = ${param(actorEmail)}`);
+      if (targetType) conditions.push(`target_type = ${param(targetType)}`);
+      if (targetId) conditions.push(`target_id = ${param(targetId)}`);
+      if (requestId) conditions.push(`request_id = ${param(requestId)}`);
+      if (createdFrom) conditions.push(`created_at >= ${param(createdFrom)}`);
+      if (createdTo) conditions.push(`created_at < ${param(createdTo)}`);
+
+      const where = conditions.join(' AND ');
+      const { total } = firstRow(await query(`SELECT COUNT(*)::int AS total FROM audit_events WHERE ${where}`, params));
+      const page = `LIMIT ${param(criteria.limit)} OFFSET ${param(criteria.offset)}`;
+      const rows = (await query(`SELECT * FROM audit_events WHERE ${where} ORDER BY id DESC ${page}`, params)).rows;
+      return { rows, total };
+    },
+  };
+
+  return {
+    users,
+    sessions,
+    otpCodes,
+    resetTickets,
+    packages,
+    addons,
+    promotions,
+    transactions,
+    refunds,
+    subscriptions,
+    paymentCards,
+    wallets,
+    webhooks,
+    idempotencyKeys,
+    auditEvents,
+  };
+}
+
+// Every table the migrations created, parents before the tables whose foreign keys point at them.
+async function listTables(client) {
+  const tables = await client.query(`
+    SELECT tablename FROM pg_tables
+    WHERE schemaname = current_schema() AND tablename <> 'schema_migrations'
+    ORDER BY tablename
+  `);
+  const references = await client.query(`
+    SELECT conrelid::regclass::text AS child, confrelid::regclass::text AS parent
+    FROM pg_constraint
+    WHERE contype = 'f' AND connamespace = current_schema()::regnamespace
+  `);
+
+  const parents = new Map(tables.rows.map((row) => [row.tablename, new Set()]));
+  for (const { child, parent } of references.rows) {
+    if (child !== parent && parents.has(child)) parents.get(child).add(parent);
+  }
+  const ordered = [];
+  const visit = (table) => {
+    if (ordered.includes(table)) return;
+    for (const parent of parents.get(table) || []) visit(parent);
+    ordered.push(table);
+  };
+  [...parents.keys()].forEach(visit);
+  return ordered;
+}
+
+// Points every serial sequence just past the largest id in its table.
+async function resetSequences(client) {
+  const serials = await client.query(`
+    SELECT table_name, column_name FROM information_schema.columns
+    WHERE table_schema = current_schema() AND column_default LIKE 'nextval(%'
+  `);
+  for (const { table_name: table, column_name: column } of serials.rows) {
+    await client.query(
+      `SELECT setval(pg_get_serial_sequence($1, $2), COALESCE((SELECT MAX(${column}) FROM ${table}), 0) + 1, false)`,
+      [table, column]
+    );
+  }
+}
+
+function createPgStorage({ databaseUrl }) {
+  const pool = new Pool({ connectionString: databaseUrl });
+  pool.on('error', (error) => {
+    console.error('Unexpected database error', error);
+  });
+
+  // Runs `work(client)` inside BEGIN/COMMIT; throwing from it rolls everything back.
+  const withTransaction = async (work) => {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      if (client) client.release();
+    }
+  };
+
+  return {
+    backend: 'pg',
+    ...createRepositories(pool),
+    // Runs `work` with repositories bound to one connection inside a transaction.
+    transaction: (work) => withTransaction((client) => work(createRepositories(client))),
+    // Empties every table and puts back the seeded catalog and promo codes.
+    reset: () =>
+      withTransaction(async (client) => {
+        const tables = await listTables(client);
+        await client.query(`TRUNCATE ${tables.join(', ')} RESTART IDENTITY CASCADE`);
+        const tx = createRepositories(client);
+        for (const row of PACKAGES) await tx.packages.create(row);
+        for (const row of ADDONS) await tx.addons.create(row);
+        for (const row of PROMOTIONS) await tx.promotions.create(row);
+      }),
+    // A copy of every row, to hand back to restore() later.
+    snapshot: () =>
+      withTransaction(async (client) => {
+        await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+        const tables = {};
+        for (const table of await listTables(client)) {
+          tables[table] = (await client.query(`SELECT * FROM ${table}`)).rows;
+        }
+        return { backend: 'pg', tables };
+      }),
+    restore: (snapshot) =>
+      withTransaction(async (client) => {
+        const tables = await listTables(client);
+        await client.query(`TRUNCATE ${tables.join(', ')} RESTART IDENTITY CASCADE`);
+        for (const table of tables) {
+          const rows = snapshot.tables[table] || [];
+          if (rows.length === 0) continue;
+          await client.query(`INSERT INTO ${table} SELECT * FROM jsonb_populate_recordset(NULL::${table}, $1)`, [
+            JSON.stringify(rows),
+          ]);
+        }
+        await resetSequences(client);
+      }),
+    migrate: () => migrate(pool),
+    close: () => pool.end(),
+  };
+}
+
+module.exports = {
+  createPgStorage,
+};
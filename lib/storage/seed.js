@@ -0,0 +1,67 @@
+// Catalog and promotion rows the memory backend starts with. Keep in sync with the seed
+// INSERTs in migrations/0001_baseline.up.sql, which do the same for Postgres.
+
+const PACKAGES = [
+  {
+    id: '5g-max-speed',
+    name: '5G Max Speed',
+    description: '100 GB at full 5G speed',
+    data_quota_mb: 102400,
+    validity_days: 30,
+    price: 1199,
+    sort_order: 1,
+  },
+  {
+    id: 'super-save-marathon',
+    name: 'Super Save Marathon',
+    description: '60 GB spread over 90 days',
+    data_quota_mb: 61440,
+    validity_days: 90,
+    price: 1500,
+    sort_order: 2,
+  },
+  {
+    id: 'daily-unlimited',
+    name: 'Daily Unlimited',
+    description: 'Unlimited data for 24 hours',
+    data_quota_mb: null,
+    validity_days: 1,
+    price: 49,
+    sort_order: 3,
+  },
+];
+
+const ADDONS = [{ id: 'movie', name: 'Movie Package', price: 49 }];
+
+const PROMOTIONS = [
+  { code: 'QA10', description: '10% off any order', discount_type: 'percent', discount_value: 10 },
+  { code: 'QA50', description: '50% off any order', discount_type: 'percent', discount_value: 50 },
+  {
+    code: 'SAVE100',
+    description: '100 THB off orders of 1,000 THB or more, once per user',
+    discount_type: 'fixed',
+    discount_value: 100,
+    min_spend: 1000,
+    per_user_limit: 1,
+  },
+  {
+    code: 'MAX5G20',
+    description: '20% off 5G Max Speed only',
+    discount_type: 'percent',
+    discount_value: 20,
+    package_ids: ['5g-max-speed'],
+  },
+  {
+    code: 'EXPIRED',
+    description: 'Expired code for negative tests',
+    discount_type: 'percent',
+    discount_value: 10,
+    expires_at: '2020-01-01T00:00:00+07:00',
+  },
+];
+
+module.exports = {
+  PACKAGES,
+  ADDONS,
+  PROMOTIONS,
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// HS256 JWT-compatible tokens built on node:crypto so the sandbox needs no JWT dependency.
+
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function signToken(payload, secret, ttlSeconds) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64UrlEncode(JSON.stringify({ ...payload, iat: issuedAt, exp: issuedAt + ttlSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+function verifyToken(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new TokenError('TOKEN_INVALID', 'Malformed token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('TOKEN_INVALID', 'Invalid token signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TokenError('TOKEN_INVALID', 'Malformed token payload');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenError('TOKEN_EXPIRED', 'Token expired');
+  }
+  return payload;
+}
+
+function generateOpaqueToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  TokenError,
+  signToken,
+  verifyToken,
+  generateOpaqueToken,
+  hashToken,
+};
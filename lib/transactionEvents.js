@@ -0,0 +1,53 @@
+// Live transaction events for GET /api/transactions/stream. publish() hands an event to the
+// owner's open streams at once; the newest `historySize` events are also kept, so a client that
+// reconnects with Last-Event-ID gets what it missed.
+//
+// Ids look like "<boot>-<seq>": <boot> changes on every restart, so an id from before one is
+// recognised instead of being mistaken for a newer event. Events live in this process only.
+
+function createTransactionEvents({ historySize = 1000 } = {}) {
+  const boot = Date.now().toString(36);
+  let seq = 0;
+  // Oldest first: { seq, email, id, event, data }.
+  const history = [];
+  // email -> Set of listeners.
+  const listeners = new Map();
+
+  return {
+    publish(email, event, data) {
+      seq += 1;
+      const entry = { seq, email, id: `${boot}-${seq}`, event, data };
+      history.push(entry);
+      if (history.length > historySize) history.shift();
+      for (const listener of listeners.get(email) || []) {
+        listener(entry);
+      }
+    },
+
+    // `email`'s events after `lastEventId`, oldest first, or null when that cannot be answered
+    // exactly: the id is from before a restart, malformed, or older than the kept history.
+    since(email, lastEventId) {
+      const match = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId));
+      if (!match || match[1] !== boot || Number(match[2]) > seq) return null;
+      const after = Number(match[2]);
+      const oldestKept = history.length > 0 ? history[0].seq : seq + 1;
+      if (after < oldestKept - 1) return null;
+      return history.filter((entry) => entry.seq > after && entry.email === email);
+    },
+
+    // Calls `listener(entry)` for each new event of `email`; returns the unsubscribe function.
+    subscribe(email, listener) {
+      if (!listeners.has(email)) listeners.set(email, new Set());
+      listeners.get(email).add(listener);
+      return () => {
+        const own = listeners.get(email);
+        own.delete(listener);
+        if (own.size === 0) listeners.delete(email);
+      };
+    },
+  };
+}
+
+module.exports = {
+  createTransactionEvents,
+};
@@ -0,0 +1,190 @@
+// Query string parsing for GET /api/transactions and its export. parseTransactionQuery() turns
+// req.query into the criteria storage.transactions.search() takes, or throws TransactionQueryError.
+//
+// Paging is either by offset or by cursor. A cursor is the sort key and id of the last row of a
+// page, base64url-encoded, so the next page starts after it even when rows are added in between.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_SORT = '-created_at';
+const SORT_FIELDS = ['created_at', 'amount', 'id'];
+const STATUSES = ['PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'REFUNDED'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TransactionQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransactionQueryError';
+  }
+}
+
+// Accepts ?status=SUCCESS,FAILED as well as ?status=SUCCESS&status=FAILED.
+function readList(query, name) {
+  if (query[name] === undefined) return null;
+  const values = [query[name]]
+    .flat()
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  if (!values.length) {
+    throw new TransactionQueryError(`${name} must not be empty`);
+  }
+  return [...new Set(values)];
+}
+
+function readSingle(query, name) {
+  if (query[name] === undefined) return undefined;
+  if (Array.isArray(query[name])) {
+    throw new TransactionQueryError(`${name} must be given once`);
+  }
+  return String(query[name]).trim();
+}
+
+function readInteger(query, name, { fallback, min, max = Infinity }) {
+  const raw = readSingle(query, name);
+  if (raw === undefined) return fallback;
+  const value = Number(raw);
+  if (raw === '' || !Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `${min} or more` : `from ${min} to ${max}`;
+    throw new TransactionQueryError(`${name} must be an integer ${range}`);
+  }
+  return value;
+}
+
+function readAmount(query, name) {
+  const raw = readSingle(query, name);
+  if (raw === undefined) return null;
+  const value = Number(raw);
+  if (raw === '' || !Number.isFinite(value) || value < 0) {
+    throw new TransactionQueryError(`${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+// A bare date is a whole day in Asia/Bangkok, so ?from=2025-01-01&to=2025-01-31 covers all of January.
+function readDate(query, name, { endOfDay }) {
+  const raw = readSingle(query, name);
+  if (raw === undefined) return null;
+  const dateOnly = DATE_ONLY.test(raw);
+  const date = new Date(dateOnly ? `${raw}T00:00:00+07:00` : raw);
+  if (raw === '' || Number.isNaN(date.getTime())) {
+    throw new TransactionQueryError(`${name} must be a date or date-time`);
+  }
+  return dateOnly && endOfDay ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+function readSort(query) {
+  const raw = readSingle(query, 'sort');
+  const sort = raw === undefined ? DEFAULT_SORT : raw;
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!SORT_FIELDS.includes(field)) {
+    throw new TransactionQueryError(`sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`);
+  }
+  return { field, descending };
+}
+
+function formatSort(sort) {
+  return `${sort.descending ? '-' : ''}${sort.field}`;
+}
+
+// Sort keys are kept in their JSON form: created_at as an ISO string, amount as a number.
+function sortKey(row, field) {
+  if (field === 'created_at') return new Date(row.created_at).toISOString();
+  if (field === 'amount') return Number(row.amount);
+  return row.id;
+}
+
+// The { value, id } a search continues after, as decodeCursor() would return it for `row`.
+function positionAfter(sort, row) {
+  const value = sortKey(row, sort.field);
+  return { value: sort.field === 'created_at' ? new Date(value) : value, id: row.id };
+}
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify([formatSort(sort), sortKey(row, sort.field), row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new TransactionQueryError('cursor is not valid');
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3 || !Number.isInteger(decoded[2])) {
+    throw new TransactionQueryError('cursor is not valid');
+  }
+
+  const [cursorSort, value, id] = decoded;
+  if (cursorSort !== formatSort(sort)) {
+    throw new TransactionQueryError(`cursor was issued for sort ${cursorSort}; send the same sort or drop the cursor`);
+  }
+  const valid =
+    sort.field === 'created_at'
+      ? typeof value === 'string' && !Number.isNaN(new Date(value).getTime())
+      : Number.isFinite(value);
+  if (!valid) {
+    throw new TransactionQueryError('cursor is not valid');
+  }
+  return { value: sort.field === 'created_at' ? new Date(value) : value, id };
+}
+
+// With paging: false (exports) the whole filtered set is wanted, so limit, offset and cursor are rejected.
+function parseTransactionQuery(query, { paging = true } = {}) {
+  const statuses = readList(query, 'status');
+  const normalizedStatuses = statuses && statuses.map((status) => status.toUpperCase());
+  if (normalizedStatuses && normalizedStatuses.some((status) => !STATUSES.includes(status))) {
+    throw new TransactionQueryError(`status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  const createdFrom = readDate(query, 'from', { endOfDay: false });
+  const createdTo = readDate(query, 'to', { endOfDay: true });
+  if (createdFrom && createdTo && createdFrom >= createdTo) {
+    throw new TransactionQueryError('from must be before to');
+  }
+
+  const minAmount = readAmount(query, 'minAmount');
+  const maxAmount = readAmount(query, 'maxAmount');
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw new TransactionQueryError('minAmount must not be greater than maxAmount');
+  }
+
+  const sort = readSort(query);
+  if (!paging) {
+    const pagingParam = ['limit', 'offset', 'cursor'].find((name) => query[name] !== undefined);
+    if (pagingParam) {
+      throw new TransactionQueryError(`${pagingParam} is not supported here; the whole filtered result is returned`);
+    }
+  }
+  const cursor = readSingle(query, 'cursor');
+  if (cursor !== undefined && query.offset !== undefined) {
+    throw new TransactionQueryError('Use either cursor or offset, not both');
+  }
+
+  return {
+    statuses: normalizedStatuses,
+    paymentMethods: readList(query, 'paymentMethod'),
+    packageIds: readList(query, 'packageId'),
+    createdFrom,
+    createdTo,
+    minAmount,
+    maxAmount,
+    sort,
+    after: cursor === undefined ? null : decodeCursor(cursor, sort),
+    offset: readInteger(query, 'offset', { fallback: 0, min: 0 }),
+    limit: readInteger(query, 'limit', { fallback: DEFAULT_LIMIT, min: 1, max: MAX_LIMIT }),
+  };
+}
+
+module.exports = {
+  TransactionQueryError,
+  parseTransactionQuery,
+  encodeCursor,
+  positionAfter,
+  formatSort,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Signature header format: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">.
+// Receivers recompute the HMAC with their endpoint secret and compare.
+
+function signWebhook(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Resolves to { ok, status, error } and never rejects, so callers can record every attempt.
+async function sendWebhook({ url, secret, event, deliveryId, payload, timeoutMs }) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MobileSandbox-Webhooks/1.0',
+        'X-Sandbox-Event': event,
+        'X-Sandbox-Delivery': String(deliveryId),
+        'X-Sandbox-Signature': signWebhook(secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, status: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+  }
+}
+
+module.exports = {
+  signWebhook,
+  generateWebhookSecret,
+  sendWebhook,
+};
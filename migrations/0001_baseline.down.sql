@@ -0,0 +1,14 @@
+-- Drops everything the baseline creates, including all data.
+DROP TABLE IF EXISTS
+  idempotency_keys,
+  webhook_deliveries,
+  webhook_endpoints,
+  reset_tickets,
+  otp_codes,
+  sessions,
+  promotion_redemptions,
+  promotions,
+  addons,
+  packages,
+  transactions,
+  users;
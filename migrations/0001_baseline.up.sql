@@ -0,0 +1,223 @@
+-- Baseline: the schema initDb() used to build on startup.
+--
+-- Every statement is idempotent, so this runs cleanly both on an empty database and on
+-- deployments created by any earlier initDb(), which it brings up to date.
+
+-- Users
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT UNIQUE,
+  password TEXT
+);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS gateway_scenario TEXT;
+
+-- Transactions
+CREATE TABLE IF NOT EXISTS transactions (
+  id SERIAL PRIMARY KEY,
+  txn_id TEXT,
+  email TEXT,
+  package_name TEXT,
+  payment_method TEXT,
+  amount NUMERIC,
+  status TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS package_id TEXT,
+  ADD COLUMN IF NOT EXISTS addons JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS discount_code TEXT,
+  ADD COLUMN IF NOT EXISTS subtotal NUMERIC,
+  ADD COLUMN IF NOT EXISTS discount NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS vat NUMERIC,
+  ADD COLUMN IF NOT EXISTS phone TEXT,
+  ADD COLUMN IF NOT EXISTS failure_code TEXT,
+  ADD COLUMN IF NOT EXISTS failure_reason TEXT,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS transactions_pending_idx ON transactions (expires_at) WHERE status = 'PENDING';
+
+-- created_at used to be Bangkok wall-clock text.
+DO $$
+BEGIN
+  IF (
+    SELECT data_type FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'transactions' AND column_name = 'created_at'
+  ) = 'text' THEN
+    ALTER TABLE transactions
+      ALTER COLUMN created_at TYPE TIMESTAMPTZ
+      USING (NULLIF(created_at, '')::timestamp AT TIME ZONE 'Asia/Bangkok');
+    ALTER TABLE transactions ALTER COLUMN created_at SET DEFAULT NOW();
+  END IF;
+END $$;
+
+-- Duplicate txn_ids get the row id appended so the unique index can be built.
+UPDATE transactions t
+SET txn_id = t.txn_id || '-' || t.id
+WHERE EXISTS (SELECT 1 FROM transactions o WHERE o.txn_id = t.txn_id AND o.id < t.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_txn_id_key ON transactions (txn_id);
+CREATE INDEX IF NOT EXISTS transactions_email_idx ON transactions (email);
+
+-- Existing rows are only validated once no orphaned emails are left.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'transactions_email_fkey') THEN
+    ALTER TABLE transactions
+      ADD CONSTRAINT transactions_email_fkey
+      FOREIGN KEY (email) REFERENCES users (email) ON UPDATE CASCADE NOT VALID;
+  END IF;
+  IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'transactions_email_fkey' AND NOT convalidated)
+    AND NOT EXISTS (
+      SELECT 1 FROM transactions t
+      WHERE t.email IS NOT NULL AND NOT EXISTS (SELECT 1 FROM users u WHERE u.email = t.email)
+    ) THEN
+    ALTER TABLE transactions VALIDATE CONSTRAINT transactions_email_fkey;
+  END IF;
+END $$;
+
+-- Catalog
+CREATE TABLE IF NOT EXISTS packages (
+  id TEXT PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  description TEXT,
+  data_quota_mb INTEGER,
+  validity_days INTEGER NOT NULL,
+  price NUMERIC NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS addons (
+  id TEXT PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  price NUMERIC NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- Seed rows are only inserted once so catalog edits made through the API survive restarts.
+INSERT INTO packages (id, name, description, data_quota_mb, validity_days, price, sort_order)
+VALUES
+  ('5g-max-speed', '5G Max Speed', '100 GB at full 5G speed', 102400, 30, 1199, 1),
+  ('super-save-marathon', 'Super Save Marathon', '60 GB spread over 90 days', 61440, 90, 1500, 2),
+  ('daily-unlimited', 'Daily Unlimited', 'Unlimited data for 24 hours', NULL, 1, 49, 3)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO addons (id, name, price)
+VALUES ('movie', 'Movie Package', 49)
+ON CONFLICT (id) DO NOTHING;
+
+-- Promotions
+CREATE TABLE IF NOT EXISTS promotions (
+  code TEXT PRIMARY KEY,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value NUMERIC NOT NULL,
+  min_spend NUMERIC NOT NULL DEFAULT 0,
+  starts_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  usage_limit INTEGER,
+  per_user_limit INTEGER,
+  package_ids JSONB,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (discount_type <> 'percent' OR discount_value <= 100)
+);
+
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL REFERENCES promotions(code) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  txn_id TEXT NOT NULL,
+  discount NUMERIC NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO promotions
+  (code, description, discount_type, discount_value, min_spend, expires_at, per_user_limit, package_ids)
+VALUES
+  ('QA10', '10% off any order', 'percent', 10, 0, NULL, NULL, NULL),
+  ('QA50', '50% off any order', 'percent', 50, 0, NULL, NULL, NULL),
+  ('SAVE100', '100 THB off orders of 1,000 THB or more, once per user', 'fixed', 100, 1000, NULL, 1, NULL),
+  ('MAX5G20', '20% off 5G Max Speed only', 'percent', 20, 0, NULL, NULL, '["5g-max-speed"]'),
+  ('EXPIRED', 'Expired code for negative tests', 'percent', 10, 0, '2020-01-01T00:00:00+07:00', NULL, NULL)
+ON CONFLICT (code) DO NOTHING;
+
+-- Sessions
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL,
+  refresh_token_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS sessions_email_idx ON sessions (email);
+
+-- OTP and password reset
+CREATE TABLE IF NOT EXISTS otp_codes (
+  email TEXT PRIMARY KEY,
+  code_hash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  locked_until TIMESTAMPTZ,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS reset_tickets (
+  ticket_hash TEXT PRIMARY KEY,
+  email TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Webhooks
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_response_status INTEGER,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_endpoints_email_idx ON webhook_endpoints (email);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_email_idx ON webhook_deliveries (email, id);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
+
+-- Idempotency keys
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  email TEXT NOT NULL,
+  key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_headers JSONB,
+  response_body TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (email, key)
+);
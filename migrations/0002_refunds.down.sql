@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS refunds;
+
+ALTER TABLE transactions
+  DROP CONSTRAINT IF EXISTS transactions_refunded_amount_check,
+  DROP COLUMN IF EXISTS refunded_amount;
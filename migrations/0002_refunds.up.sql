@@ -0,0 +1,22 @@
+-- Refunds: one row per refund, and a running total on the transaction it belongs to.
+
+ALTER TABLE transactions
+  ADD COLUMN refunded_amount NUMERIC NOT NULL DEFAULT 0;
+
+-- Refunds marked through PUT /api/transactions/:id before this migration were always full refunds.
+UPDATE transactions SET refunded_amount = amount WHERE status = 'REFUNDED' AND amount IS NOT NULL;
+
+ALTER TABLE transactions
+  ADD CONSTRAINT transactions_refunded_amount_check CHECK (refunded_amount >= 0 AND refunded_amount <= amount);
+
+CREATE TABLE refunds (
+  id SERIAL PRIMARY KEY,
+  refund_id TEXT NOT NULL UNIQUE,
+  txn_id TEXT NOT NULL REFERENCES transactions(txn_id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  reason TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX refunds_txn_id_idx ON refunds (txn_id, id);
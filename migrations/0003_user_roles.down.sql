@@ -0,0 +1,8 @@
+ALTER TABLE transactions
+  DROP COLUMN IF EXISTS status_reason;
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_role_check,
+  DROP COLUMN IF EXISTS locked_reason,
+  DROP COLUMN IF EXISTS locked_at,
+  DROP COLUMN IF EXISTS role;
@@ -0,0 +1,12 @@
+-- Roles and account locks for the admin API, and the reason given for a manual status change.
+
+ALTER TABLE users
+  ADD COLUMN role TEXT NOT NULL DEFAULT 'customer',
+  ADD COLUMN locked_at TIMESTAMPTZ,
+  ADD COLUMN locked_reason TEXT;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('customer', 'support', 'admin'));
+
+ALTER TABLE transactions
+  ADD COLUMN status_reason TEXT;
@@ -0,0 +1,32 @@
+-- Append-only record of who changed what: sign-ins, orders, status changes, deletes and admin actions.
+-- actor_email has no foreign key, so failed sign-ins for unknown emails and deleted users stay on record.
+
+CREATE TABLE audit_events (
+  id SERIAL PRIMARY KEY,
+  request_id TEXT,
+  action TEXT NOT NULL,
+  outcome TEXT NOT NULL CHECK (outcome IN ('success', 'failure')),
+  actor_email TEXT,
+  ip TEXT,
+  target_type TEXT,
+  target_id TEXT,
+  before_state JSONB,
+  after_state JSONB,
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_events_actor_email_idx ON audit_events (actor_email, id);
+CREATE INDEX audit_events_target_idx ON audit_events (target_type, target_id, id);
+CREATE INDEX audit_events_request_id_idx ON audit_events (request_id);
+
+-- Rows can be added but never changed or removed. TRUNCATE (the test data reset) is still allowed.
+CREATE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_events_append_only
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
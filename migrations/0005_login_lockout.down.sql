@@ -0,0 +1,3 @@
+ALTER TABLE users
+  DROP COLUMN IF EXISTS login_locked_until,
+  DROP COLUMN IF EXISTS failed_logins;
@@ -0,0 +1,5 @@
+-- Temporary lockout after repeated wrong passwords. Separate from locked_at, which only an admin sets and clears.
+
+ALTER TABLE users
+  ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN login_locked_until TIMESTAMPTZ;
@@ -0,0 +1,5 @@
+-- Operators a package can be bought for, as a JSON array of operator ids (see lib/numbers.js).
+-- NULL, the default, means every operator.
+
+ALTER TABLE packages
+  ADD COLUMN operators JSONB;
@@ -0,0 +1,24 @@
+-- What a number has after a successful top-up: the package's validity and data quota, and the add-ons
+-- bought with it. txn_id is cleared rather than cascaded, so deleting a history row keeps the service.
+
+CREATE TABLE subscriptions (
+  id SERIAL PRIMARY KEY,
+  subscription_id TEXT NOT NULL UNIQUE,
+  msisdn TEXT NOT NULL,
+  email TEXT NOT NULL,
+  txn_id TEXT UNIQUE REFERENCES transactions(txn_id) ON DELETE SET NULL,
+  package_id TEXT NOT NULL,
+  package_name TEXT NOT NULL,
+  data_quota_mb INTEGER,
+  data_used_mb INTEGER NOT NULL DEFAULT 0,
+  addons JSONB NOT NULL DEFAULT '[]',
+  starts_at TIMESTAMPTZ NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (data_used_mb >= 0 AND (data_quota_mb IS NULL OR data_used_mb <= data_quota_mb)),
+  CHECK (expires_at > starts_at)
+);
+
+CREATE INDEX subscriptions_msisdn_idx ON subscriptions (msisdn, starts_at);
+CREATE INDEX subscriptions_email_idx ON subscriptions (email, id);
@@ -0,0 +1,5 @@
+ALTER TABLE transactions
+  DROP COLUMN IF EXISTS card_id;
+
+DROP TABLE IF EXISTS wallets;
+DROP TABLE IF EXISTS payment_cards;
@@ -0,0 +1,29 @@
+-- Saved payment instruments: test cards (see lib/cards.js) and one stored-value wallet per user.
+-- A card keeps its brand, last four digits, expiry and a hash of the number, never the number itself.
+-- Transactions remember the saved card they were paid with; removing the card keeps the history.
+
+CREATE TABLE payment_cards (
+  id SERIAL PRIMARY KEY,
+  card_id TEXT NOT NULL UNIQUE,
+  email TEXT NOT NULL,
+  brand TEXT NOT NULL,
+  last4 TEXT NOT NULL,
+  exp_month INTEGER NOT NULL CHECK (exp_month BETWEEN 1 AND 12),
+  exp_year INTEGER NOT NULL,
+  holder_name TEXT,
+  scenario TEXT NOT NULL,
+  number_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (email, number_hash)
+);
+
+CREATE INDEX payment_cards_email_idx ON payment_cards (email, id);
+
+CREATE TABLE wallets (
+  email TEXT PRIMARY KEY,
+  balance NUMERIC NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE transactions
+  ADD COLUMN card_id TEXT;
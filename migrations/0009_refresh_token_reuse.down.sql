@@ -0,0 +1,2 @@
+ALTER TABLE sessions
+  DROP COLUMN IF EXISTS retired_refresh_token_hashes;
@@ -0,0 +1,5 @@
+-- Hashes of the refresh tokens a session has rotated away from. Presenting one of them again means
+-- the token was copied, so the session is revoked; any other wrong secret is simply rejected.
+
+ALTER TABLE sessions
+  ADD COLUMN retired_refresh_token_hashes JSONB NOT NULL DEFAULT '[]'::jsonb;
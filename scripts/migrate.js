@@ -0,0 +1,50 @@
+// Usage:
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--steps <count>]
+//   node scripts/migrate.js status
+
+const { Pool } = require('pg');
+const { migrate, rollback, migrationStatus } = require('../lib/migrations');
+
+require('dotenv').config();
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} needs a non-negative integer`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrate(pool, { to: readOption(args, '--to') });
+      if (applied.length === 0) console.log('Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await rollback(pool, { steps: readOption(args, '--steps') });
+      if (reverted.length === 0) console.log('Nothing to revert');
+    } else if (command === 'status') {
+      for (const migration of await migrationStatus(pool)) {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        const flags = [migration.modified && 'MODIFIED', !migration.reversible && 'irreversible'].filter(Boolean);
+        const suffix = flags.length > 0 ? ` (${flags.join(', ')})` : '';
+        console.log(`${migration.id}  ${state}${suffix}`);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command}. Use up, down or status.`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -3,24 +3,243 @@ const express = require('express');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const { listScenarios, getScenario, resolveScenario } = require('./lib/gateway');
+const { generateWebhookSecret, sendWebhook } = require('./lib/webhooks');
+const { generateId, hasBadChecksum } = require('./lib/ids');
+const { FixtureError, buildPreset, listPresets } = require('./lib/fixtures');
+const {
+  TransactionQueryError,
+  parseTransactionQuery,
+  encodeCursor,
+  positionAfter,
+  formatSort,
+} = require('./lib/transactionQuery');
+const { EXPORT_FORMATS, exportFilename } = require('./lib/exports');
+const { renderReceipt } = require('./lib/receipts');
+const { RateLimitError, createRateLimiter, loadRateLimitPolicies } = require('./lib/rateLimit');
+const { createRequestValidator } = require('./lib/requestValidation');
+const { createTransactionEvents } = require('./lib/transactionEvents');
+const { OPERATORS, loadBlacklist, lookupNumber, normalizeMsisdn } = require('./lib/numbers');
+const { TEST_CARDS, checkCard, isCardExpired } = require('./lib/cards');
+const { buildPromptPayPayload, isPromptPayId, promptPayReference } = require('./lib/promptpay');
+const {
+  FAULTS: CHAOS_FAULTS,
+  METHODS: CHAOS_METHODS,
+  ChaosError,
+  createChaos,
+  describeRule,
+  parseChaosHeader,
+  truncateBody,
+} = require('./lib/chaos');
+const { createStorage, isStorageError } = require('./lib/storage');
+const { TokenError, signToken, verifyToken, generateOpaqueToken, hashToken } = require('./lib/tokens');
+const {
+  hashPassword,
+  verifyPassword,
+  loadPasswordPolicy,
+  activeRules,
+  checkPasswordPolicy,
+  describeFailedRules,
+} = require('./lib/passwords');
 
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json());
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60;
+const TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Sandbox mode turns on QA shortcuts such as the fixed OTP and the test data API. It is off unless
+// SANDBOX_MODE=true, so a deployment that forgets the variable never accepts the well-known code.
+const SANDBOX_MODE = process.env.SANDBOX_MODE === 'true';
+const OTP_SANDBOX_CODE = process.env.OTP_SANDBOX_CODE || '1234';
+const OTP_TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS) || 5 * 60;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_SECONDS = Number(process.env.OTP_LOCKOUT_SECONDS) || 15 * 60;
+const RESET_TICKET_TTL_SECONDS = Number(process.env.RESET_TICKET_TTL_SECONDS) || 10 * 60;
+// Wrong passwords in a row before sign-in is locked for LOGIN_LOCKOUT_SECONDS.
+const LOGIN_LOCKOUT = {
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockoutSeconds: Number(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60,
+};
+const RATE_LIMIT_POLICIES = loadRateLimitPolicies(process.env);
+const PASSWORD_POLICY = loadPasswordPolicy(process.env);
+// Numbers orders are refused for, on top of the built-in 0899999xxx test range.
+const NUMBER_BLACKLIST = loadBlacklist(process.env);
+const PAYMENT_PENDING_TTL_SECONDS = Number(process.env.PAYMENT_PENDING_TTL_SECONDS) || 30;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 10;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const BACKGROUND_JOB_INTERVAL_MS = Number(process.env.BACKGROUND_JOB_INTERVAL_MS) || 2000;
+const TXN_ID_CHECKSUM = process.env.TXN_ID_CHECKSUM !== 'false';
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START !== 'false';
+const IDEMPOTENCY_KEY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || 24 * 60 * 60;
+const REFUND_WINDOW_DAYS = Number(process.env.REFUND_WINDOW_DAYS) || 30;
+const STREAM_HEARTBEAT_SECONDS = Number(process.env.STREAM_HEARTBEAT_SECONDS) || 15;
+const WALLET_MAX_BALANCE = Number(process.env.WALLET_MAX_BALANCE) || 100000;
+// The merchant's PromptPay ID (a 13-digit tax ID) that `qr` orders are paid to.
+const PROMPTPAY_ID = process.env.PROMPTPAY_ID || '0105599999999';
+const STREAM_RETRY_MS = 3000;
+const REASON_MAX_LENGTH = 500;
+// Customers use the store; support can read the admin API, admins can also change things there.
+const USER_ROLES = ['customer', 'support', 'admin'];
+const STAFF_ROLES = ['support', 'admin'];
+// The test data and chaos APIs, and the X-Chaos header, need SANDBOX_MODE and this key in the X-Admin-Key header.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const TEST_SNAPSHOT_LIMIT = 20;
+// Number of proxies in front of the app (e.g. 1 on Render), so req.ip and the audit log see the client address.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+// Actions written to audit_events; GET /api/audit filters on them.
+const AUDIT_ACTIONS = [
+  'user.register',
+  'auth.login',
+  'auth.password_reset',
+  'order.create',
+  'transaction.status_update',
+  'transaction.delete',
+  'refund.create',
+  'payment.qr_confirm',
+  'card.add',
+  'card.remove',
+  'wallet.top_up',
+  'user.role_change',
+  'user.lock',
+  'user.unlock',
+];
+const AUDIT_DEFAULT_LIMIT = 50;
+// A caller's X-Request-Id is kept when it looks like an id; anything else is replaced.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+if (!process.env.TOKEN_SECRET) {
+  console.warn('TOKEN_SECRET is not set; using a random secret. Tokens will not survive a restart.');
+}
+if (!isPromptPayId(PROMPTPAY_ID)) {
+  throw new Error('PROMPTPAY_ID must be a 13-digit PromptPay ID');
+}
+
+if (TRUST_PROXY_HOPS) {
+  app.set('trust proxy', TRUST_PROXY_HOPS);
+}
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
+// Every response carries X-Request-Id. Audit events store it, so a test can find what its request did.
+app.use((req, res, next) => {
+  const given = String(req.get('x-request-id') || '');
+  req.id = REQUEST_ID_PATTERN.test(given) ? given : generateId('REQ');
+  res.set('X-Request-Id', req.id);
+  next();
 });
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'X-Chaos-Rule'] }));
+app.use(express.json());
+
+// Fault injection rules, managed through /api/chaos.
+const chaos = createChaos();
+
+// STORAGE=memory keeps everything in process memory, so the app runs without Postgres. Storage is
+// guarded by chaos so a "database" fault can make its calls fail.
+const storage = chaos.guardStorage(
+  createStorage({
+    backend: process.env.STORAGE || 'pg',
+    databaseUrl: process.env.DATABASE_URL,
+  }),
+);
+
+// Both can be changed at runtime through /api/test/rate-limits, so testers can hit them on purpose.
+const rateLimiter = createRateLimiter(RATE_LIMIT_POLICIES);
+let loginLockout = { ...LOGIN_LOCKOUT };
+
+// Transaction changes pushed to /api/transactions/stream.
+const transactionEvents = createTransactionEvents();
+
+// In sandbox mode, applies the first chaos rule that fires for the request: an X-Chaos header
+// first, then the /api/chaos rules. The header needs X-Admin-Key like the chaos API itself.
+// /api/chaos and /api/test are never touched, so a runaway rule can always be removed.
+// Injected responses carry X-Chaos-Rule.
+app.use(async (req, res, next) => {
+  if (!SANDBOX_MODE || /^\/api\/(chaos|test)(\/|$)/.test(req.path)) return next();
+
+  let headerRule = null;
+  if (req.get('x-chaos')) {
+    const keyError = adminKeyError(req);
+    if (keyError) {
+      return res.status(keyError.httpStatus).json(keyError.body);
+    }
+    try {
+      headerRule = parseChaosHeader(req.get('x-chaos'));
+    } catch (error) {
+      if (error instanceof ChaosError) {
+        return res.status(400).json({ status: 'error', code: 'CHAOS_HEADER_INVALID', message: error.message });
+      }
+      throw error;
+    }
+  }
+  const rule = chaos.pick(req, headerRule);
+  if (!rule) return next();
 
-pool.on('error', (error) => {
-  console.error('Unexpected database error', error);
+  res.set('X-Chaos-Rule', String(rule.id));
+  await chaos.delay(rule);
+  switch (rule.fault) {
+    case 'error':
+      return res.status(rule.status).json({
+        status: 'error',
+        code: 'CHAOS_INJECTED',
+        message: `Injected HTTP ${rule.status} (chaos rule ${rule.id})`,
+      });
+    case 'drop':
+      return req.socket.destroy();
+    case 'truncate':
+      truncateBody(res);
+      return next();
+    case 'database':
+      return chaos.withDatabaseFault(rule, next);
+    default:
+      return next();
+  }
 });
 
+// Catalog and promotion fields, shared by the create and update request schemas.
+const PACKAGE_FIELDS = {
+  name: { type: 'string', minLength: 1, example: 'Weekly Lite' },
+  description: { type: 'string', example: '10 GB for 7 days' },
+  data_quota_mb: { type: 'integer', nullable: true, minimum: 0, example: 10240 },
+  validity_days: { type: 'integer', minimum: 1, example: 7 },
+  price: { type: 'number', minimum: 0, example: 199 },
+  active: { type: 'boolean', example: true },
+  operators: {
+    type: 'array',
+    nullable: true,
+    minItems: 1,
+    items: { type: 'string', enum: OPERATORS.map((operator) => operator.id) },
+    description: 'Operators whose numbers can buy the package. Null means every operator.',
+    example: ['lotus'],
+  },
+};
+const ADDON_FIELDS = {
+  name: { type: 'string', minLength: 1, example: 'Music Package' },
+  price: { type: 'number', minimum: 0, example: 29 },
+  active: { type: 'boolean', example: true },
+};
+const PROMOTION_FIELDS = {
+  description: { type: 'string', example: '20% off 5G Max Speed' },
+  discount_type: { type: 'string', enum: ['percent', 'fixed'], example: 'percent' },
+  discount_value: {
+    type: 'number',
+    minimum: 0,
+    exclusiveMinimum: true,
+    description: 'Percent (up to 100) or THB amount.',
+    example: 20,
+  },
+  min_spend: { type: 'number', minimum: 0, example: 500 },
+  starts_at: { type: 'string', format: 'date-time', nullable: true },
+  expires_at: { type: 'string', format: 'date-time', nullable: true, example: '2026-12-31T23:59:59+07:00' },
+  usage_limit: { type: 'integer', nullable: true, minimum: 1, example: 100 },
+  per_user_limit: { type: 'integer', nullable: true, minimum: 1, example: 1 },
+  package_ids: { type: 'array', nullable: true, items: { type: 'string' }, example: ['5g-max-speed'] },
+  active: { type: 'boolean', example: true },
+};
+
 const swaggerSpec = swaggerJsdoc({
   definition: {
     openapi: '3.0.0',
@@ -40,714 +259,7517 @@ const swaggerSpec = swaggerJsdoc({
       },
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from /api/login or /api/auth/refresh.',
+        },
+        adminKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Admin-Key',
+          description: 'Value of ADMIN_API_KEY. Required by the test data API.',
+        },
+      },
+      responses: {
+        Unauthorized: {
+          description:
+            'Missing, malformed, expired or revoked access token. code is one of TOKEN_MISSING, ' +
+            'TOKEN_INVALID, TOKEN_EXPIRED or TOKEN_REVOKED.',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+            },
+          },
+        },
+        Forbidden: {
+          description: 'Authenticated user is not allowed to access this resource (code FORBIDDEN).',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+            },
+          },
+        },
+        RateLimited: {
+          description:
+            'Too many requests from this IP or for this email (code RATE_LIMITED). Wait Retry-After seconds.',
+          headers: {
+            'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until a request is allowed again' },
+            'RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed per window' },
+            'RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left in this window' },
+            'RateLimit-Reset': { schema: { type: 'integer' }, description: 'Seconds until the window resets' },
+            'RateLimit-Policy': { schema: { type: 'string' }, description: 'e.g. 20;w=60' },
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+            },
+          },
+        },
+      },
       schemas: {
         Transaction: {
           type: 'object',
           properties: {
             id: { type: 'integer', example: 1 },
-            txn_id: { type: 'string', example: 'TXN-1700000000000' },
+            txn_id: {
+              type: 'string',
+              description:
+                'Unique. TXN- followed by a Crockford base32 timestamp, 60 random bits and a Luhn mod 32 ' +
+                'check character (disable with TXN_ID_CHECKSUM=false). Older rows keep TXN-<epoch ms>.',
+              example: 'TXN-01M595EENNVBDZCVNP59P4C',
+            },
             email: { type: 'string', example: 'qa@example.com' },
+            package_id: { type: 'string', example: '5g-max-speed' },
             package_name: { type: 'string', example: '5G Max Speed' },
+            addons: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['movie'],
+            },
             payment_method: {
               type: 'string',
               enum: ['credit_card', 'wallet', 'qr'],
               example: 'credit_card',
             },
-            amount: { type: 'number', example: 1199 },
-            status: { type: 'string', example: 'SUCCESS' },
-            created_at: { type: 'string', example: '2026-01-21 11:05:00' },
+            card_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Saved card the order was paid with, if any. Kept after the card is removed.',
+              example: 'CARD-01M595EENNVBDZCVNP59P4C',
+            },
+            discount_code: { type: 'string', nullable: true, example: 'QA10' },
+            subtotal: { type: 'number', example: 1199 },
+            discount: { type: 'number', example: 0 },
+            vat: { type: 'number', example: 83.93 },
+            amount: { type: 'number', description: 'Total charged including VAT.', example: 1282.93 },
+            refunded_amount: { type: 'number', description: 'Sum of all refunds so far.', example: 0 },
+            refund_status: {
+              type: 'string',
+              enum: ['NONE', 'PARTIAL', 'FULL'],
+              description: 'FULL once refunded_amount reaches amount; the status is then REFUNDED.',
+              example: 'NONE',
+            },
+            phone: { type: 'string', nullable: true, example: '0812345678' },
+            status: {
+              type: 'string',
+              enum: ['PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'REFUNDED'],
+              example: 'SUCCESS',
+            },
+            failure_code: { type: 'string', nullable: true, example: 'CARD_DECLINED' },
+            failure_reason: { type: 'string', nullable: true, example: 'Card declined by issuer' },
+            status_reason: {
+              type: 'string',
+              nullable: true,
+              description: 'Reason given when the current status was set by hand; null for automatic changes.',
+              example: 'Customer called support',
+            },
+            expires_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a PENDING transaction moves to EXPIRED if the gateway has not answered.',
+              example: '2026-01-21T11:05:30+07:00',
+            },
+            updated_at: { type: 'string', format: 'date-time', nullable: true, example: '2026-01-21T11:05:02+07:00' },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Stored in UTC, returned in Asia/Bangkok time.',
+              example: '2026-01-21T11:05:00+07:00',
+            },
           },
           required: ['id', 'txn_id', 'email', 'package_name', 'payment_method', 'amount', 'status', 'created_at'],
         },
+        TransactionPage: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Transaction' },
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: {
+                  type: 'integer',
+                  description: 'How many transactions match the filters across all pages.',
+                  example: 57,
+                },
+                limit: { type: 'integer', example: 20 },
+                offset: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'The offset used, or null when paging by cursor.',
+                  example: 0,
+                },
+                hasMore: { type: 'boolean', example: true },
+                nextCursor: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Pass as cursor to get the next page; null on the last page.',
+                  example: 'WyItY3JlYXRlZF9hdCIsIjIwMjUtMDEtMDFUMDM6MDA6MDAuMDAwWiIsMzhd',
+                },
+              },
+              required: ['total', 'limit', 'offset', 'hasMore', 'nextCursor'],
+            },
+            sort: { type: 'string', example: '-created_at' },
+          },
+          required: ['data', 'pagination', 'sort'],
+        },
         OrderRequest: {
           type: 'object',
           properties: {
-            email: { type: 'string', example: 'qa@example.com' },
-            package: { type: 'string', example: '5G Max Speed' },
-            phone: { type: 'string', example: '0891234567' },
-            amount: { type: 'number', example: 1199 },
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Optional. The buyer is taken from the access token; a different email is rejected.',
+              example: 'qa@example.com',
+            },
+            packageId: {
+              type: 'string',
+              minLength: 1,
+              description: 'Required unless the legacy package name is sent.',
+              example: '5g-max-speed',
+            },
+            package: {
+              type: 'string',
+              minLength: 1,
+              description: 'Legacy package name lookup. Use packageId instead.',
+              deprecated: true,
+              example: '5G Max Speed',
+            },
+            addons: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              example: ['movie'],
+            },
+            phone: {
+              type: 'string',
+              minLength: 1,
+              description: 'Thai mobile number to top up, checked like GET /api/numbers/{msisdn}.',
+              example: '0891234567',
+            },
+            discountCode: { type: 'string', example: 'QA10' },
+            threeDsCode: {
+              type: 'string',
+              description: 'Answer to a THREE_DS_REQUIRED challenge from the three_ds_challenge scenario.',
+              example: '1234',
+            },
+            amount: {
+              type: 'number',
+              nullable: true,
+              minimum: 0,
+              description: 'Total the client expects to pay. When sent it must match the server-computed total.',
+              example: 1282.93,
+            },
             paymentMethod: {
               type: 'string',
               enum: ['credit_card', 'wallet', 'qr'],
+              description:
+                'credit_card goes through the gateway scenario; wallet is paid from the wallet balance at once; ' +
+                'qr answers 202 with a PromptPay payload that has to be confirmed.',
               example: 'credit_card',
             },
+            cardId: {
+              type: 'string',
+              minLength: 1,
+              description:
+                'Saved card to pay with (credit_card only). Its test card picks the gateway scenario. Without it ' +
+                'the order is paid with a one-time card.',
+              example: 'CARD-01M595EENNVBDZCVNP59P4C',
+            },
+          },
+          required: ['phone', 'paymentMethod'],
+        },
+        Promotion: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', example: 'QA10' },
+            description: { type: 'string', example: '10% off any package' },
+            discount_type: { type: 'string', enum: ['percent', 'fixed'], example: 'percent' },
+            discount_value: { type: 'number', description: 'Percent (0-100] or THB amount.', example: 10 },
+            min_spend: { type: 'number', description: 'Minimum subtotal in THB before VAT.', example: 0 },
+            starts_at: { type: 'string', format: 'date-time', nullable: true },
+            expires_at: { type: 'string', format: 'date-time', nullable: true },
+            usage_limit: { type: 'integer', nullable: true, description: 'Total redemptions allowed. Null means unlimited.' },
+            per_user_limit: { type: 'integer', nullable: true, description: 'Redemptions allowed per email. Null means unlimited.' },
+            package_ids: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'string' },
+              description: 'Packages the code applies to. Null means every package.',
+            },
+            active: { type: 'boolean', example: true },
+            times_redeemed: { type: 'integer', example: 0 },
+          },
+          required: ['code', 'discount_type', 'discount_value', 'min_spend', 'active'],
+        },
+        PromotionRequest: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_-]+$',
+              description: 'Stored in upper case.',
+              example: 'SUMMER20',
+            },
+            ...PROMOTION_FIELDS,
+          },
+          required: ['code', 'discount_type', 'discount_value'],
+        },
+        PromotionUpdateRequest: {
+          type: 'object',
+          description: 'Only the fields to change; the code itself cannot be changed.',
+          properties: PROMOTION_FIELDS,
+          additionalProperties: false,
+          minProperties: 1,
+        },
+        PromotionValidateRequest: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', minLength: 1, example: 'QA10' },
+            packageId: { type: 'string', minLength: 1, example: '5g-max-speed' },
+            addons: { type: 'array', items: { type: 'string', minLength: 1 }, example: ['movie'] },
+          },
+          required: ['code', 'packageId'],
+        },
+        PromotionValidateResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'success' },
+            code: { type: 'string', example: 'QA10' },
+            discount_type: { type: 'string', example: 'percent' },
+            discount_value: { type: 'number', example: 10 },
+            pricing: { $ref: '#/components/schemas/PriceBreakdown' },
+          },
+          required: ['status', 'code', 'discount_type', 'discount_value', 'pricing'],
+        },
+        GatewayScenario: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'declined_card' },
+            description: { type: 'string', example: 'Issuer declines the card with HTTP 402.' },
+            phonePrefixes: { type: 'array', items: { type: 'string' }, example: ['0610'] },
+          },
+          required: ['name', 'description', 'phonePrefixes'],
+        },
+        GatewayConfig: {
+          type: 'object',
+          properties: {
+            scenario: {
+              type: 'string',
+              nullable: true,
+              description: 'Scenario applied to every order of this user. Null falls back to phone prefixes.',
+              example: 'insufficient_funds',
+            },
+          },
+          required: ['scenario'],
+        },
+        PriceBreakdown: {
+          type: 'object',
+          properties: {
+            subtotal: { type: 'number', example: 1248 },
+            discount: { type: 'number', example: 124.8 },
+            vat: { type: 'number', example: 78.62 },
+            total: { type: 'number', example: 1201.82 },
+          },
+          required: ['subtotal', 'discount', 'vat', 'total'],
+        },
+        PriceMismatchResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'error' },
+            code: { type: 'string', example: 'PRICE_MISMATCH' },
+            message: { type: 'string', example: 'Amount does not match the server price' },
+            amount: { type: 'number', example: 1 },
+            expected: { $ref: '#/components/schemas/PriceBreakdown' },
+          },
+          required: ['status', 'code', 'message', 'expected'],
+        },
+        Package: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '5g-max-speed' },
+            name: { type: 'string', example: '5G Max Speed' },
+            description: { type: 'string', example: 'Unlimited 5G at full speed' },
+            data_quota_mb: {
+              type: 'integer',
+              nullable: true,
+              description: 'Data quota in MB. Null means unlimited.',
+              example: 102400,
+            },
+            validity_days: { type: 'integer', example: 30 },
+            price: { type: 'number', example: 1199 },
+            active: { type: 'boolean', example: true },
+            operators: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'string' },
+              description: 'Operators whose numbers can buy the package. Null means every operator.',
+              example: null,
+            },
+          },
+          required: ['id', 'name', 'data_quota_mb', 'validity_days', 'price', 'active', 'operators'],
+        },
+        PackageRequest: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_-]+$',
+              description: 'Letters, digits, _ and - only.',
+              example: 'weekly-lite',
+            },
+            ...PACKAGE_FIELDS,
+          },
+          required: ['id', 'name', 'validity_days', 'price'],
+        },
+        PackageUpdateRequest: {
+          type: 'object',
+          description: 'Only the fields to change; the id itself cannot be changed.',
+          properties: PACKAGE_FIELDS,
+          additionalProperties: false,
+          minProperties: 1,
+        },
+        Addon: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'movie' },
+            name: { type: 'string', example: 'Movie Package' },
+            price: { type: 'number', example: 49 },
+            active: { type: 'boolean', example: true },
+          },
+          required: ['id', 'name', 'price', 'active'],
+        },
+        AddonRequest: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_-]+$',
+              description: 'Letters, digits, _ and - only.',
+              example: 'music',
+            },
+            ...ADDON_FIELDS,
           },
-          required: ['email', 'package', 'phone', 'amount', 'paymentMethod'],
+          required: ['id', 'name', 'price'],
+        },
+        AddonUpdateRequest: {
+          type: 'object',
+          description: 'Only the fields to change; the id itself cannot be changed.',
+          properties: ADDON_FIELDS,
+          additionalProperties: false,
+          minProperties: 1,
         },
         RegisterRequest: {
           type: 'object',
           properties: {
-            email: { type: 'string', example: 'qa@example.com' },
-            password: { type: 'string', example: 'pass1234' },
+            email: { type: 'string', format: 'email', example: 'qa@example.com' },
+            password: {
+              type: 'string',
+              minLength: 1,
+              description: 'Checked against GET /api/auth/password-policy.',
+              example: 'pass1234',
+            },
           },
           required: ['email', 'password'],
         },
         LoginRequest: {
           type: 'object',
           properties: {
-            email: { type: 'string', example: 'qa@example.com' },
-            password: { type: 'string', example: 'pass1234' },
+            email: { type: 'string', format: 'email', example: 'qa@example.com' },
+            password: { type: 'string', minLength: 1, example: 'pass1234' },
           },
           required: ['email', 'password'],
         },
+        PasswordPolicy: {
+          type: 'object',
+          properties: {
+            minLength: { type: 'integer', example: 8 },
+            requireLowercase: { type: 'boolean', example: true },
+            requireUppercase: { type: 'boolean', example: false },
+            requireDigit: { type: 'boolean', example: true },
+            requireSymbol: { type: 'boolean', example: false },
+            rules: {
+              type: 'array',
+              items: { type: 'string', enum: ['min_length', 'lowercase', 'uppercase', 'digit', 'symbol'] },
+              example: ['min_length', 'lowercase', 'digit'],
+            },
+          },
+          required: ['minLength', 'rules'],
+        },
+        PasswordPolicyError: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'error' },
+            code: { type: 'string', example: 'PASSWORD_POLICY_VIOLATION' },
+            message: { type: 'string', example: 'Password must be at least 8 characters, contain a digit' },
+            failedRules: {
+              type: 'array',
+              items: { type: 'string', enum: ['min_length', 'lowercase', 'uppercase', 'digit', 'symbol'] },
+              example: ['min_length', 'digit'],
+            },
+          },
+          required: ['status', 'code', 'message', 'failedRules'],
+        },
         AuthResponse: {
           type: 'object',
           properties: {
-            token: { type: 'string', example: 'mock-token' },
+            token: { type: 'string', description: 'Same value as accessToken, kept for older clients.' },
+            accessToken: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+            refreshToken: { type: 'string', example: '3f1c...b2a9.Jx0v...' },
+            tokenType: { type: 'string', example: 'Bearer' },
+            expiresIn: { type: 'integer', description: 'Access token lifetime in seconds.', example: 900 },
+          },
+          required: ['token', 'accessToken', 'refreshToken', 'tokenType', 'expiresIn'],
+        },
+        RefreshRequest: {
+          type: 'object',
+          properties: {
+            refreshToken: {
+              type: 'string',
+              pattern: '^[^.]+\\.',
+              description: 'The refreshToken from the last sign-in or refresh: "<session id>.<secret>".',
+              example: '3f1c...b2a9.Jx0v...',
+            },
           },
-          required: ['token'],
+          required: ['refreshToken'],
         },
         OtpRequest: {
           type: 'object',
           properties: {
-            email: { type: 'string', example: 'qa@example.com' },
+            email: { type: 'string', format: 'email', example: 'qa@example.com' },
           },
           required: ['email'],
         },
         OtpVerifyRequest: {
           type: 'object',
           properties: {
-            email: { type: 'string', example: 'qa@example.com' },
-            otp: { type: 'string', example: '1234' },
+            email: { type: 'string', format: 'email', example: 'qa@example.com' },
+            otp: { type: 'string', minLength: 1, example: '1234' },
           },
           required: ['email', 'otp'],
         },
+        OtpVerifyResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'success' },
+            message: { type: 'string', example: 'OTP verified' },
+            resetTicket: { type: 'string', description: 'One-time ticket required by /api/auth/reset-password.' },
+            expiresIn: { type: 'integer', description: 'Ticket lifetime in seconds.', example: 600 },
+          },
+          required: ['status', 'resetTicket', 'expiresIn'],
+        },
+        OtpErrorResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'error' },
+            code: { type: 'string', example: 'OTP_INVALID' },
+            message: { type: 'string', example: 'Invalid OTP' },
+            attemptsRemaining: { type: 'integer', example: 4 },
+          },
+          required: ['status', 'code', 'message'],
+        },
         ResetPasswordRequest: {
           type: 'object',
           properties: {
-            email: { type: 'string', example: 'qa@example.com' },
-            newPassword: { type: 'string', example: 'newPass123' },
+            email: { type: 'string', format: 'email', example: 'qa@example.com' },
+            resetTicket: { type: 'string', minLength: 1, description: 'Ticket returned by /api/auth/otp/verify.' },
+            newPassword: { type: 'string', minLength: 1, example: 'newPass123' },
           },
-          required: ['email', 'newPassword'],
+          required: ['email', 'resetTicket', 'newPassword'],
         },
         UpdateStatusRequest: {
           type: 'object',
           properties: {
-            status: { type: 'string', example: 'REFUNDED' },
+            status: {
+              type: 'string',
+              enum: ['PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'REFUNDED'],
+              example: 'REFUNDED',
+            },
+            reason: {
+              type: 'string',
+              minLength: 1,
+              maxLength: REASON_MAX_LENGTH,
+              description:
+                'Stored as status_reason. For REFUNDED it is also the reason on the refund of the remaining ' +
+                'amount (default "Marked as REFUNDED").',
+              example: 'Customer changed their mind',
+            },
           },
           required: ['status'],
         },
-        BasicResponse: {
+        AdminStatusRequest: {
           type: 'object',
           properties: {
-            status: { type: 'string', example: 'success' },
-            message: { type: 'string', example: 'Created' },
+            status: {
+              type: 'string',
+              enum: ['PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'REFUNDED'],
+              example: 'FAILED',
+            },
+            reason: {
+              type: 'string',
+              minLength: 1,
+              maxLength: REASON_MAX_LENGTH,
+              example: 'Gateway confirmed the charge never happened',
+            },
           },
-          required: ['status'],
+          required: ['status', 'reason'],
         },
-        ErrorResponse: {
+        User: {
           type: 'object',
           properties: {
-            status: { type: 'string', example: 'error' },
-            message: { type: 'string', example: 'Gateway error' },
+            id: { type: 'integer', example: 1 },
+            email: { type: 'string', example: 'qa@example.com' },
+            role: { type: 'string', enum: USER_ROLES, example: 'customer' },
+            gatewayScenario: { type: 'string', nullable: true, example: null },
+            locked: { type: 'boolean', example: false },
+            lockedAt: { type: 'string', format: 'date-time', nullable: true, example: null },
+            lockedReason: { type: 'string', nullable: true, example: null },
+            loginLockedUntil: {
+              type: 'string',
+              nullable: true,
+              description: 'Set while sign-in is locked after too many wrong passwords',
+              example: null,
+            },
           },
-          required: ['status', 'message'],
+          required: ['id', 'email', 'role', 'locked'],
         },
-      },
-    },
-  },
-  apis: [__filename],
-});
-
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-function normalizeEmail(email) {
-  return String(email || '').trim().toLowerCase();
-}
-
-function getThaiTimestamp() {
-  const raw = new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Bangkok', hour12: false });
-  return raw.replace('T', ' ').replace(',', '');
-}
-
-function createTransaction({ email, packageName, paymentMethod, amount, status }) {
-  const timestamp = getThaiTimestamp();
-  return {
-    id: 'TXN-' + Date.now(),
-    email,
-    packageName,
-    paymentMethod,
-    amount,
-    status,
-    createdAt: timestamp,
-  };
-}
-
-async function initDb() {
-  const createUsersSql = `
-    CREATE TABLE IF NOT EXISTS users (
-      id SERIAL PRIMARY KEY,
-      email TEXT UNIQUE,
-      password TEXT
-    );
-  `;
-  const createTransactionsSql = `
-    CREATE TABLE IF NOT EXISTS transactions (
-      id SERIAL PRIMARY KEY,
-      txn_id TEXT,
-      email TEXT,
-      package_name TEXT,
-      payment_method TEXT,
-      amount NUMERIC,
-      status TEXT,
-      created_at TEXT
-    );
-  `;
-
-  await pool.query(createUsersSql);
-  await pool.query(createTransactionsSql);
-}
-
-/**
- * @openapi
- * /api/register:
- *   post:
- *     summary: Register a new user
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/RegisterRequest'
- *     responses:
- *       '201':
- *         description: User created
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/BasicResponse'
- *       '400':
- *         description: Invalid payload or email already exists
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-app.post('/api/register', async (req, res) => {
-  const email = normalizeEmail(req.body && req.body.email);
-  const password = String(req.body && req.body.password ? req.body.password : '').trim();
-
-  if (!email || !password) {
-    return res.status(400).json({ status: 'error', message: 'Invalid payload' });
-  }
-
-  try {
-    await pool.query('INSERT INTO users (email, password) VALUES ($1, $2)', [email, password]);
-    return res.status(201).json({ status: 'success', message: 'Created' });
-  } catch (error) {
-    if (error && error.code === '23505') {
+        RateLimitSettings: {
+          type: 'object',
+          properties: {
+            policies: {
+              type: 'object',
+              description: 'Per policy, the requests allowed per window, counted per IP and per email',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  max: { type: 'integer', minimum: 1, example: 20 },
+                  windowSeconds: { type: 'integer', minimum: 1, example: 60 },
+                },
+              },
+              example: {
+                login: { max: 20, windowSeconds: 60 },
+                otpVerify: { max: 10, windowSeconds: 60 },
+                otpRequest: { max: 5, windowSeconds: 60 },
+                order: { max: 60, windowSeconds: 60 },
+              },
+            },
+            loginLockout: {
+              type: 'object',
+              properties: {
+                maxFailures: { type: 'integer', minimum: 1, example: 5 },
+                lockoutSeconds: { type: 'integer', minimum: 1, example: 900 },
+              },
+            },
+          },
+        },
+        ChaosRuleRequest: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            method: { type: 'string', enum: CHAOS_METHODS, description: 'Leave out to match any method' },
+            path: {
+              type: 'string',
+              pattern: '^/',
+              description: 'Request path; * matches any characters',
+              example: '/api/auth/*',
+            },
+            probability: {
+              type: 'number',
+              minimum: 0,
+              exclusiveMinimum: true,
+              maximum: 1,
+              default: 1,
+              description: 'Chance that a matching request is affected',
+              example: 0.5,
+            },
+            latencyMs: { type: 'integer', minimum: 0, maximum: 60000, default: 0, example: 800 },
+            jitterMs: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 60000,
+              default: 0,
+              description: 'Up to this much more delay, picked at random per request',
+              example: 400,
+            },
+            fault: {
+              type: 'string',
+              enum: CHAOS_FAULTS,
+              default: 'none',
+              description:
+                'none: delay only. error: answer `status` instead of running the route. drop: close the ' +
+                'connection. truncate: send half of the body. database: every storage call fails.',
+            },
+            status: {
+              type: 'integer',
+              minimum: 500,
+              maximum: 599,
+              default: 503,
+              description: 'Only for fault error',
+            },
+          },
+          required: ['path'],
+        },
+        ChaosRule: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            method: { type: 'string', nullable: true, example: 'POST' },
+            path: { type: 'string', example: '/api/login' },
+            probability: { type: 'number', example: 0.5 },
+            latencyMs: { type: 'integer', example: 800 },
+            jitterMs: { type: 'integer', example: 400 },
+            fault: { type: 'string', enum: CHAOS_FAULTS, example: 'error' },
+            status: { type: 'integer', nullable: true, example: 503 },
+            fired: { type: 'integer', description: 'Requests this rule has affected', example: 3 },
+          },
+        },
+        ChaosRuleList: {
+          type: 'object',
+          properties: {
+            rules: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ChaosRule' },
+            },
+          },
+        },
+        UserPage: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/User' },
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer', example: 3 },
+                limit: { type: 'integer', example: 20 },
+                offset: { type: 'integer', example: 0 },
+                hasMore: { type: 'boolean', example: false },
+              },
+              required: ['total', 'limit', 'offset', 'hasMore'],
+            },
+          },
+          required: ['data', 'pagination'],
+        },
+        RoleRequest: {
+          type: 'object',
+          properties: {
+            role: { type: 'string', enum: USER_ROLES, example: 'support' },
+          },
+          required: ['role'],
+        },
+        LockRequest: {
+          type: 'object',
+          properties: {
+            reason: {
+              type: 'string',
+              minLength: 1,
+              maxLength: REASON_MAX_LENGTH,
+              example: 'Chargeback under investigation',
+            },
+          },
+        },
+        AuditEvent: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 42 },
+            requestId: {
+              type: 'string',
+              description: 'X-Request-Id of the request that caused the event',
+              example: 'REQ-01JAB3C4D5E6F7G8H9J0KMNPQR',
+            },
+            action: { $ref: '#/components/schemas/AuditAction' },
+            outcome: { type: 'string', enum: ['success', 'failure'], example: 'success' },
+            actorEmail: {
+              type: 'string',
+              nullable: true,
+              description: 'Signed-in user, or the email given to register, login or password reset',
+              example: 'admin@example.com',
+            },
+            ip: { type: 'string', nullable: true, example: '203.0.113.7' },
+            targetType: {
+              type: 'string',
+              nullable: true,
+              enum: ['user', 'transaction', 'card', 'wallet'],
+              example: 'transaction',
+            },
+            targetId: {
+              type: 'string',
+              nullable: true,
+              description: 'Email for users, txn_id for transactions',
+              example: 'TXN-01JAB3C4D5E6F7G8H9J0KMNPQR',
+            },
+            before: {
+              type: 'object',
+              nullable: true,
+              description: 'The serialized transaction or user before the change',
+            },
+            after: {
+              type: 'object',
+              nullable: true,
+              description: 'The serialized transaction or user after the change',
+            },
+            details: {
+              type: 'object',
+              nullable: true,
+              description: 'Extra facts, e.g. { "reason": "WRONG_PASSWORD" } for a failed login',
+              example: { reason: 'WRONG_PASSWORD' },
+            },
+            createdAt: { type: 'string', example: '2025-01-31T14:25:01+07:00' },
+          },
+          required: ['id', 'action', 'outcome', 'createdAt'],
+        },
+        AuditAction: { type: 'string', enum: AUDIT_ACTIONS, example: 'transaction.status_update' },
+        AuditEventPage: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/AuditEvent' },
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer', example: 120 },
+                limit: { type: 'integer', example: 50 },
+                offset: { type: 'integer', example: 0 },
+                hasMore: { type: 'boolean', example: true },
+              },
+              required: ['total', 'limit', 'offset', 'hasMore'],
+            },
+          },
+          required: ['data', 'pagination'],
+        },
+        RefundRequest: {
+          type: 'object',
+          properties: {
+            amount: {
+              type: 'number',
+              nullable: true,
+              minimum: 0,
+              exclusiveMinimum: true,
+              multipleOf: 0.01,
+              description: 'THB with at most 2 decimals. Defaults to everything not yet refunded.',
+              example: 500,
+            },
+            reason: { type: 'string', minLength: 1, maxLength: REASON_MAX_LENGTH, example: 'Package not activated' },
+          },
+          required: ['reason'],
+        },
+        Refund: {
+          type: 'object',
+          properties: {
+            refund_id: { type: 'string', example: 'RFD-01M595EENNVBDZCVNP59P4C' },
+            txn_id: { type: 'string', example: 'TXN-01M595EENNVBDZCVNP59P4C' },
+            amount: { type: 'number', example: 500 },
+            reason: { type: 'string', example: 'Package not activated' },
+            created_at: { type: 'string', format: 'date-time', example: '2026-01-22T09:30:00+07:00' },
+          },
+          required: ['refund_id', 'txn_id', 'amount', 'reason', 'created_at'],
+        },
+        RefundResponse: {
+          type: 'object',
+          properties: {
+            refund: { $ref: '#/components/schemas/Refund' },
+            transaction: { $ref: '#/components/schemas/Transaction' },
+          },
+          required: ['refund', 'transaction'],
+        },
+        TransactionStreamEvent: {
+          type: 'object',
+          description: 'The JSON in the data line of a /api/transactions/stream event',
+          properties: {
+            type: {
+              type: 'string',
+              enum: [
+                'transaction.created',
+                'transaction.status_changed',
+                'transaction.refunded',
+                'transaction.deleted',
+                'resync',
+              ],
+              description: 'Same as the event name',
+            },
+            transaction: {
+              $ref: '#/components/schemas/Transaction',
+              description: 'The transaction after the change; as it was before, for transaction.deleted',
+            },
+            refund: {
+              $ref: '#/components/schemas/Refund',
+              description: 'Only for transaction.refunded',
+            },
+            message: { type: 'string', description: 'Only for resync' },
+          },
+          required: ['type'],
+        },
+        TransitionErrorResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'error' },
+            code: { type: 'string', example: 'INVALID_TRANSITION' },
+            message: { type: 'string', example: 'Cannot move a transaction from REFUNDED to SUCCESS' },
+            from: { type: 'string', example: 'REFUNDED' },
+            to: { type: 'string', example: 'SUCCESS' },
+            allowed: { type: 'array', items: { type: 'string' }, example: [] },
+          },
+          required: ['status', 'code', 'message', 'from', 'to', 'allowed'],
+        },
+        OrderAcceptedResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'pending' },
+            txnId: { type: 'string', example: 'TXN-01M595EENNVBDZCVNP59P4C' },
+            subtotal: { type: 'number', example: 1199 },
+            discount: { type: 'number', example: 0 },
+            vat: { type: 'number', example: 83.93 },
+            total: { type: 'number', example: 1282.93 },
+            amount: { type: 'number', example: 1282.93 },
+            expiresAt: { type: 'string', format: 'date-time' },
+            statusUrl: { type: 'string', example: '/api/transactions/TXN-01M595EENNVBDZCVNP59P4C' },
+            qr: { $ref: '#/components/schemas/QrPayment' },
+          },
+          required: ['status', 'txnId', 'total', 'amount', 'expiresAt', 'statusUrl'],
+        },
+        QrPayment: {
+          type: 'object',
+          description: 'How to pay a paymentMethod qr order; other orders leave it out.',
+          properties: {
+            payload: {
+              type: 'string',
+              description:
+                'EMVCo PromptPay payload for the total. Its reference is the txn id without the TXN- prefix. ' +
+                'Render it as a QR code.',
+              example:
+                '00020101021229370016A00000067701011102130105599999999530376454071282.935802TH' +
+                '6227052301M595EENNVBDZCVNP59P4C6304EEED',
+            },
+            confirmUrl: {
+              type: 'string',
+              description: 'POST the payload here to simulate the payer approving it in their banking app.',
+              example: '/api/transactions/TXN-01M595EENNVBDZCVNP59P4C/confirm',
+            },
+          },
+          required: ['payload', 'confirmUrl'],
+        },
+        QrConfirmRequest: {
+          type: 'object',
+          properties: {
+            payload: { type: 'string', minLength: 1, description: 'The payload from the order response.' },
+          },
+          required: ['payload'],
+          additionalProperties: false,
+        },
+        PaymentCard: {
+          type: 'object',
+          properties: {
+            cardId: { type: 'string', example: 'CARD-01M595EENNVBDZCVNP59P4C' },
+            brand: { type: 'string', enum: ['visa', 'mastercard', 'jcb', 'amex'], example: 'visa' },
+            last4: { type: 'string', example: '4242' },
+            expMonth: { type: 'integer', example: 12 },
+            expYear: { type: 'integer', example: 2030 },
+            holderName: { type: 'string', nullable: true, example: 'QA Tester' },
+            scenario: { type: 'string', description: 'Gateway scenario this test card runs.', example: 'success' },
+            expired: { type: 'boolean', example: false },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+          required: [
+            'cardId',
+            'brand',
+            'last4',
+            'expMonth',
+            'expYear',
+            'holderName',
+            'scenario',
+            'expired',
+            'createdAt',
+          ],
+        },
+        PaymentCardRequest: {
+          type: 'object',
+          properties: {
+            number: {
+              type: 'string',
+              pattern: '^[0-9][0-9 -]{10,22}[0-9]$',
+              description: 'A test card number; spaces and dashes are ignored.',
+              example: '4242 4242 4242 4242',
+            },
+            expMonth: { type: 'integer', minimum: 1, maximum: 12, example: 12 },
+            expYear: { type: 'integer', minimum: 2000, maximum: 2099, example: 2030 },
+            cvc: { type: 'string', pattern: '^[0-9]{3,4}$', description: 'Checked, never stored.', example: '123' },
+            holderName: { type: 'string', minLength: 1, maxLength: 100, example: 'QA Tester' },
+          },
+          required: ['number', 'expMonth', 'expYear', 'cvc'],
+          additionalProperties: false,
+        },
+        TestCard: {
+          type: 'object',
+          properties: {
+            number: { type: 'string', example: '4000000000000002' },
+            brand: { type: 'string', example: 'visa' },
+            scenario: { type: 'string', example: 'declined_card' },
+            description: { type: 'string', example: 'Issuer declines the card with HTTP 402.' },
+          },
+          required: ['number', 'brand', 'scenario', 'description'],
+        },
+        Wallet: {
+          type: 'object',
+          properties: {
+            balance: { type: 'number', example: 500 },
+            currency: { type: 'string', example: 'THB' },
+            maxBalance: { type: 'number', description: 'WALLET_MAX_BALANCE.', example: 100000 },
+            updatedAt: { type: 'string', format: 'date-time', nullable: true },
+          },
+          required: ['balance', 'currency', 'maxBalance', 'updatedAt'],
+        },
+        WalletTopUpRequest: {
+          type: 'object',
+          properties: {
+            amount: {
+              type: 'number',
+              minimum: 0,
+              exclusiveMinimum: true,
+              multipleOf: 0.01,
+              description: 'THB with at most 2 decimals.',
+              example: 500,
+            },
+          },
+          required: ['amount'],
+          additionalProperties: false,
+        },
+        PaymentInstruments: {
+          type: 'object',
+          properties: {
+            cards: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/PaymentCard' },
+            },
+            wallet: { $ref: '#/components/schemas/Wallet' },
+          },
+          required: ['cards', 'wallet'],
+        },
+        WebhookEndpoint: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            url: { type: 'string', example: 'https://example.com/hooks/payments' },
+            secret: {
+              type: 'string',
+              description: 'HMAC-SHA256 key used for the X-Sandbox-Signature header.',
+              example: 'whsec_3f2a...',
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+          required: ['id', 'url', 'secret', 'createdAt'],
+        },
+        WebhookEndpointRequest: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              minLength: 1,
+              description: 'An http or https URL.',
+              example: 'https://example.com/hooks/payments',
+            },
+          },
+          required: ['url'],
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 12 },
+            endpointId: { type: 'integer', example: 1 },
+            url: { type: 'string', example: 'https://example.com/hooks/payments' },
+            eventId: { type: 'string', example: 'evt_5b0c4e2f9a1d7e63' },
+            event: { type: 'string', example: 'transaction.success' },
+            payload: { type: 'object', description: 'Exact JSON body that is POSTed.' },
+            status: { type: 'string', enum: ['pending', 'delivered', 'failed'], example: 'delivered' },
+            attempts: { type: 'integer', example: 1 },
+            lastResponseStatus: { type: 'integer', nullable: true, example: 200 },
+            lastError: { type: 'string', nullable: true, example: null },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+          required: ['id', 'endpointId', 'url', 'eventId', 'event', 'payload', 'status', 'attempts', 'createdAt'],
+        },
+        SeedRequest: {
+          type: 'object',
+          description:
+            'Either a named preset or an inline fixture (users, packages, addons, promotions, transactions). ' +
+            'Catalog and promotion entries take the same fields as their create endpoints.',
+          properties: {
+            reset: { type: 'boolean', description: 'Reset all data before seeding.', example: true },
+            preset: { type: 'string', enum: listPresets(), example: 'user-with-transactions' },
+            params: {
+              type: 'object',
+              description:
+                'Preset options: email, password, count, and until (newest transaction time; ' +
+                'defaults to a fixed date so presets are repeatable).',
+              example: { email: 'qa@example.com', count: 50 },
+            },
+            users: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'qa@example.com' },
+                  password: { type: 'string', description: 'Not checked against the password policy.' },
+                  gatewayScenario: { type: 'string', nullable: true, example: 'insufficient_funds' },
+                  role: { type: 'string', enum: USER_ROLES, default: 'customer' },
+                  walletBalance: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: WALLET_MAX_BALANCE,
+                    multipleOf: 0.01,
+                    default: 0,
+                    example: 500,
+                  },
+                },
+                required: ['email', 'password'],
+              },
+            },
+            packages: { type: 'array', items: { type: 'object' } },
+            addons: { type: 'array', items: { type: 'object' } },
+            promotions: { type: 'array', items: { type: 'object' } },
+            transactions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  email: { type: 'string', example: 'qa@example.com' },
+                  packageId: { type: 'string', example: '5g-max-speed' },
+                  addons: { type: 'array', items: { type: 'string' }, example: ['movie'] },
+                  paymentMethod: { type: 'string', example: 'credit_card' },
+                  phone: { type: 'string', example: '0812345678' },
+                  discountCode: { type: 'string', example: 'QA10' },
+                  status: { type: 'string', enum: ['PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'REFUNDED'] },
+                  failureCode: { type: 'string', example: 'CARD_DECLINED' },
+                  failureReason: { type: 'string', example: 'Card declined' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  txnId: { type: 'string', description: 'Derived from email, position and createdAt when omitted.' },
+                },
+                required: ['email', 'packageId'],
+              },
+            },
+          },
+          additionalProperties: false,
+        },
+        SeedResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'success' },
+            users: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  email: { type: 'string', example: 'qa@example.com' },
+                  password: { type: 'string', example: 'Sandbox123' },
+                },
+              },
+            },
+            packages: { type: 'array', items: { type: 'string' } },
+            addons: { type: 'array', items: { type: 'string' } },
+            promotions: { type: 'array', items: { type: 'string' } },
+            transactions: { type: 'array', items: { type: 'string' }, example: ['TXN-01M595EENNVBDZCVNP59P4C'] },
+          },
+        },
+        Snapshot: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'success' },
+            name: { type: 'string', example: 'before-checkout' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        NumberLookup: {
+          type: 'object',
+          properties: {
+            input: { type: 'string', example: '+66 81-234-5678' },
+            msisdn: {
+              type: 'string',
+              nullable: true,
+              description: 'National form, e.g. 0812345678. Null when the input is not a phone number.',
+              example: '0812345678',
+            },
+            e164: { type: 'string', nullable: true, example: '+66812345678' },
+            valid: { type: 'boolean', description: 'Whether this is a Thai mobile number.', example: true },
+            reason: {
+              type: 'string',
+              nullable: true,
+              enum: ['INVALID_FORMAT', 'NOT_MOBILE', null],
+              description: 'Why the number is not valid.',
+              example: null,
+            },
+            message: { type: 'string', nullable: true, example: null },
+            operator: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'string', enum: OPERATORS.map((operator) => operator.id), example: 'orchid' },
+                name: { type: 'string', example: 'Orchid Tel' },
+              },
+            },
+            blacklisted: { type: 'boolean', description: 'Orders for this number are refused.', example: false },
+            eligiblePackages: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Active packages this number can buy; empty when it is not valid or blacklisted.',
+              example: ['5g-max-speed', 'weekly-lite'],
+            },
+          },
+          required: [
+            'input',
+            'msisdn',
+            'e164',
+            'valid',
+            'reason',
+            'message',
+            'operator',
+            'blacklisted',
+            'eligiblePackages',
+          ],
+        },
+        Subscription: {
+          type: 'object',
+          properties: {
+            subscription_id: { type: 'string', example: 'SUB-01M595EENNVBDZCVNP59P4C' },
+            msisdn: { type: 'string', example: '0812345678' },
+            txn_id: {
+              type: 'string',
+              nullable: true,
+              description: 'The purchase. Null once that transaction was deleted from the history.',
+              example: 'TXN-01M595EENNVBDZCVNP59P4C',
+            },
+            package_id: { type: 'string', example: '5g-max-speed' },
+            package_name: { type: 'string', example: '5G Max Speed' },
+            status: {
+              type: 'string',
+              enum: ['QUEUED', 'ACTIVE', 'DEPLETED', 'EXPIRED', 'CANCELLED'],
+              description:
+                'QUEUED until starts_at, then ACTIVE until expires_at. DEPLETED once the quota is used up, ' +
+                'CANCELLED once its transaction is refunded (in part or in full) or deleted.',
+              example: 'ACTIVE',
+            },
+            starts_at: { type: 'string', example: '2026-10-19T12:00:00+07:00' },
+            expires_at: { type: 'string', example: '2026-11-18T12:00:00+07:00' },
+            data_quota_mb: { type: 'integer', nullable: true, description: 'Null means unlimited.', example: 102400 },
+            data_used_mb: { type: 'integer', example: 2048 },
+            data_remaining_mb: { type: 'integer', nullable: true, example: 100352 },
+            addons: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', example: 'movie' },
+                  name: { type: 'string', example: 'Movie Package' },
+                },
+              },
+            },
+            cancelled_at: { type: 'string', nullable: true, example: null },
+            created_at: { type: 'string', example: '2026-10-19T12:00:00+07:00' },
+          },
+        },
+        NumberSubscriptions: {
+          type: 'object',
+          properties: {
+            msisdn: { type: 'string', example: '0812345678' },
+            operator: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', example: 'orchid' },
+                name: { type: 'string', example: 'Orchid Tel' },
+              },
+            },
+            dataRemainingMb: {
+              type: 'integer',
+              nullable: true,
+              description: 'Data left across ACTIVE subscriptions; null when one of them is unlimited.',
+              example: 100352,
+            },
+            addons: {
+              type: 'array',
+              description: 'Add-ons of the ACTIVE subscriptions.',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', example: 'movie' },
+                  name: { type: 'string', example: 'Movie Package' },
+                },
+              },
+            },
+            subscriptions: { type: 'array', items: { $ref: '#/components/schemas/Subscription' } },
+          },
+        },
+        UsageRequest: {
+          type: 'object',
+          properties: {
+            dataMb: { type: 'integer', minimum: 1, maximum: 1048576, example: 2048 },
+            at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the usage happens (default now). Use a later time to test expiry and queued starts.',
+              example: '2026-11-20T09:00:00+07:00',
+            },
+          },
+          required: ['dataMb'],
+          additionalProperties: false,
+        },
+        UsageResponse: {
+          allOf: [
+            { $ref: '#/components/schemas/NumberSubscriptions' },
+            {
+              type: 'object',
+              properties: {
+                requestedMb: { type: 'integer', example: 2048 },
+                consumedMb: { type: 'integer', example: 2048 },
+                deniedMb: {
+                  type: 'integer',
+                  description: 'What no ACTIVE subscription had quota left for.',
+                  example: 0,
+                },
+                drawn: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      subscription_id: { type: 'string', example: 'SUB-01M595EENNVBDZCVNP59P4C' },
+                      data_mb: { type: 'integer', example: 2048 },
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
+        BasicResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'success' },
+            message: { type: 'string', example: 'Created' },
+          },
+          required: ['status'],
+        },
+        ErrorResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'error' },
+            code: { type: 'string', description: 'Machine-readable error code, when one applies.' },
+            message: { type: 'string', example: 'Gateway error' },
+            errors: {
+              type: 'array',
+              description: 'Only with code VALIDATION_FAILED: every parameter or body field that failed.',
+              items: { $ref: '#/components/schemas/ValidationProblem' },
+            },
+          },
+          required: ['status', 'message'],
+        },
+        ValidationProblem: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['body', 'query', 'path'], example: 'body' },
+            field: {
+              type: 'string',
+              nullable: true,
+              description: 'Dotted path such as addons[0]; null when the body as a whole is wrong.',
+              example: 'paymentMethod',
+            },
+            rule: {
+              type: 'string',
+              description: 'The schema keyword that failed, e.g. required, type, enum, minimum or format.',
+              example: 'enum',
+            },
+            message: { type: 'string', example: 'paymentMethod must be one of credit_card, wallet, qr' },
+          },
+          required: ['in', 'field', 'rule', 'message'],
+        },
+      },
+    },
+  },
+  apis: [__filename],
+});
+
+// While chaos rules are active the docs page lists them at the top, so a failing "Try it out" is
+// not mistaken for a bug.
+function docsWithChaosRules() {
+  const rules = chaos.rules();
+  if (rules.length === 0) return swaggerSpec;
+  const list = rules.map((rule) => `- ${describeRule(rule)}`).join('\n');
+  const description = `${swaggerSpec.info.description}\n\n**Active chaos rules** (GET /api/chaos):\n\n${list}`;
+  return { ...swaggerSpec, info: { ...swaggerSpec.info, description } };
+}
+
+app.use(
+  '/api-docs',
+  (req, res, next) => {
+    req.swaggerDoc = docsWithChaosRules();
+    next();
+  },
+  swaggerUi.serveFiles(),
+  swaggerUi.setup(),
+);
+
+// Request bodies and parameters are checked against the schemas above, so the docs are the contract.
+const requestValidator = createRequestValidator(swaggerSpec);
+
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Timestamps are stored as timestamptz and only shown in Bangkok time (UTC+7, no DST) on the way out.
+function formatBangkokTime(value) {
+  if (!value) return null;
+  const local = new Date(value).toLocaleString('sv-SE', { timeZone: 'Asia/Bangkok', hour12: false });
+  return `${local.replace(' ', 'T')}+07:00`;
+}
+
+function authError(res, status, code, message) {
+  if (status === 401) {
+    res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${message}"`);
+  }
+  return res.status(status).json({ status: 'error', code, message });
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored.
+async function issueSession(email) {
+  const sessionId = crypto.randomUUID();
+  const refreshSecret = generateOpaqueToken();
+  await storage.sessions.create({
+    id: sessionId,
+    email,
+    refreshTokenHash: hashToken(refreshSecret),
+    ttlSeconds: REFRESH_TOKEN_TTL_SECONDS,
+  });
+  return buildAuthResponse(email, sessionId, refreshSecret);
+}
+
+function buildAuthResponse(email, sessionId, refreshSecret) {
+  const accessToken = signToken({ sub: email, sid: sessionId, typ: 'access' }, TOKEN_SECRET, ACCESS_TOKEN_TTL_SECONDS);
+  return {
+    token: accessToken,
+    accessToken,
+    refreshToken: `${sessionId}.${refreshSecret}`,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+async function requireAuth(req, res, next) {
+  const header = String(req.get('authorization') || '');
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return authError(res, 401, 'TOKEN_MISSING', 'Authorization bearer token required');
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(match[1], TOKEN_SECRET);
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return authError(res, 401, error.code, error.message);
+    }
+    throw error;
+  }
+  if (payload.typ !== 'access' || !payload.sub || !payload.sid) {
+    return authError(res, 401, 'TOKEN_INVALID', 'Not an access token');
+  }
+
+  try {
+    const session = await storage.sessions.findById(payload.sid);
+    if (!session || session.email !== payload.sub || session.revoked_at) {
+      return authError(res, 401, 'TOKEN_REVOKED', 'Session has been revoked');
+    }
+  } catch (error) {
+    console.error('Session lookup failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+
+  req.user = { email: payload.sub, sessionId: payload.sid };
+  return next();
+}
+
+// Use after requireAuth. The role is read on every request, so a change applies at once.
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await storage.users.findByEmail(req.user.email);
+      if (!user || !roles.includes(user.role)) {
+        return forbidden(res, `Requires the ${roles.join(' or ')} role`);
+      }
+      req.user.role = user.role;
+      return next();
+    } catch (error) {
+      console.error('Role lookup failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  };
+}
+
+function otpLocked(res, lockedUntil) {
+  const retryAfter = Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    code: 'OTP_LOCKED',
+    message: `Too many failed attempts. Try again in ${retryAfter} seconds`,
+  });
+}
+
+function loginLocked(res, lockedUntil) {
+  const retryAfter = Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    code: 'LOGIN_LOCKED',
+    message: `Too many wrong passwords. Try again in ${retryAfter} seconds`,
+  });
+}
+
+// Counts the request against `policy` for the client IP and for the email `emailOf` picks, and
+// answers 429 once either is used up. Every response gets the RateLimit-* headers.
+function rateLimit(policy, emailOf) {
+  return (req, res, next) => {
+    const email = emailOf(req);
+    const keys = email ? [`ip ${req.ip}`, `email ${email}`] : [`ip ${req.ip}`];
+    const result = rateLimiter.consume(policy, keys);
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds),
+      'RateLimit-Policy': `${result.policy.max};w=${result.policy.windowSeconds}`,
+    });
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.resetSeconds));
+      return res.status(429).json({
+        status: 'error',
+        code: 'RATE_LIMITED',
+        message: `Too many requests. Try again in ${result.resetSeconds} seconds`,
+      });
+    }
+    return next();
+  };
+}
+
+const bodyEmail = (req) => normalizeEmail(req.body && req.body.email);
+const signedInEmail = (req) => req.user.email;
+
+// `errors` are { in, field, rule, message } entries; the message joins theirs for simple clients.
+function validationFailed(res, errors, httpStatus = 400) {
+  return res.status(httpStatus).json({
+    status: 'error',
+    code: 'VALIDATION_FAILED',
+    message: errors.map((error) => error.message).join('; '),
+    errors,
+  });
+}
+
+// Checks path and query parameters and the JSON body against the route's OpenAPI operation.
+// Goes after the auth guards, so an anonymous caller still gets 401 rather than a list of fields.
+function validateRequest(req, res, next) {
+  const errors = requestValidator.validate(req.method, req.route.path, req);
+  return errors.length > 0 ? validationFailed(res, errors) : next();
+}
+
+function passwordPolicyError(failedRules) {
+  return {
+    status: 'error',
+    code: 'PASSWORD_POLICY_VIOLATION',
+    message: describeFailedRules(failedRules, PASSWORD_POLICY),
+    failedRules,
+  };
+}
+
+function forbidden(res, message) {
+  return authError(res, 403, 'FORBIDDEN', message || 'Access denied');
+}
+
+// Checks X-Admin-Key against ADMIN_API_KEY. Returns null when it matches, or
+// { httpStatus, body } to answer with.
+function adminKeyError(req) {
+  if (!ADMIN_API_KEY) {
+    return {
+      httpStatus: 403,
+      body: {
+        status: 'error',
+        code: 'ADMIN_KEY_NOT_CONFIGURED',
+        message: 'Set ADMIN_API_KEY to enable the test data and chaos APIs',
+      },
+    };
+  }
+
+  const given = Buffer.from(String(req.get('x-admin-key') || ''));
+  const expected = Buffer.from(ADMIN_API_KEY);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return {
+      httpStatus: 401,
+      body: { status: 'error', code: 'ADMIN_KEY_INVALID', message: 'Missing or wrong X-Admin-Key' },
+    };
+  }
+  return null;
+}
+
+// Outside sandbox mode the test data API answers 404 as if it did not exist.
+function requireTestApi(req, res, next) {
+  if (!SANDBOX_MODE) {
+    return res.status(404).json({ status: 'error', message: 'Not found' });
+  }
+  const keyError = adminKeyError(req);
+  if (keyError) {
+    return res.status(keyError.httpStatus).json(keyError.body);
+  }
+  return next();
+}
+
+// Loads :id into req.transaction, answering 404/403 itself when the caller may not see it.
+// Staff routes load any user's transaction with ownerOnly: false.
+function transactionLoader({ ownerOnly }) {
+  return async (req, res, next) => {
+    if (hasBadChecksum(req.params.id, 'TXN')) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'INVALID_TRANSACTION_ID',
+        message: 'Transaction ID checksum does not match; check for a typo',
+      });
+    }
+
+    try {
+      const transaction = await storage.transactions.findByTxnId(req.params.id);
+      if (!transaction) {
+        return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+      }
+      if (ownerOnly && transaction.email !== req.user.email) {
+        return forbidden(res, 'Transaction belongs to another user');
+      }
+      req.transaction = transaction;
+      return next();
+    } catch (error) {
+      console.error('Fetch transaction failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  };
+}
+
+const loadOwnedTransaction = transactionLoader({ ownerOnly: true });
+const loadAnyTransaction = transactionLoader({ ownerOnly: false });
+
+const VAT_RATE = 0.07;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function calculateSubtotal({ packagePrice, addonPrices }) {
+  return roundMoney(addonPrices.reduce((sum, price) => sum + Number(price), Number(packagePrice)));
+}
+
+function calculateDiscount(promotion, subtotal) {
+  if (!promotion) return 0;
+  const value = Number(promotion.discount_value);
+  if (promotion.discount_type === 'percent') {
+    return roundMoney((subtotal * value) / 100);
+  }
+  return roundMoney(Math.min(value, subtotal));
+}
+
+function calculatePrice({ packagePrice, addonPrices, promotion }) {
+  const subtotal = calculateSubtotal({ packagePrice, addonPrices });
+  const discount = calculateDiscount(promotion, subtotal);
+  const taxable = Math.max(subtotal - discount, 0);
+  const vat = roundMoney(taxable * VAT_RATE);
+  const total = roundMoney(taxable + vat);
+  return { subtotal, discount, vat, total };
+}
+
+function createTransaction({
+  email,
+  phone,
+  packageId,
+  packageName,
+  addons,
+  paymentMethod,
+  cardId,
+  discountCode,
+  pricing,
+  status,
+}) {
+  return {
+    id: generateId('TXN', { checksum: TXN_ID_CHECKSUM }),
+    email,
+    phone,
+    packageId,
+    packageName,
+    addons,
+    paymentMethod,
+    cardId,
+    discountCode,
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    vat: pricing.vat,
+    amount: pricing.total,
+    status,
+    expiresAt: status === 'PENDING' ? new Date(Date.now() + PAYMENT_PENDING_TTL_SECONDS * 1000) : null,
+  };
+}
+
+// The PromptPay payload that pays `amount` for `txnId`; rebuilt to check the one a payer confirms.
+function qrPayload(txnId, amount) {
+  return buildPromptPayPayload({ merchantId: PROMPTPAY_ID, amount, reference: promptPayReference(txnId) });
+}
+
+function insufficientWalletFunds(wallet, amount) {
+  const balance = wallet ? Number(wallet.balance) : 0;
+  return {
+    status: 'error',
+    code: 'INSUFFICIENT_FUNDS',
+    message: `Wallet balance of ${balance} THB does not cover ${amount} THB`,
+    balance,
+    amount,
+  };
+}
+
+function serializePaymentCard(row) {
+  return {
+    cardId: row.card_id,
+    brand: row.brand,
+    last4: row.last4,
+    expMonth: row.exp_month,
+    expYear: row.exp_year,
+    holderName: row.holder_name,
+    scenario: row.scenario,
+    expired: isCardExpired({ expMonth: row.exp_month, expYear: row.exp_year }),
+    createdAt: formatBangkokTime(row.created_at),
+  };
+}
+
+// `row` is null for a user who never had a credit.
+function serializeWallet(row) {
+  return {
+    balance: row ? Number(row.balance) : 0,
+    currency: 'THB',
+    maxBalance: WALLET_MAX_BALANCE,
+    updatedAt: row ? formatBangkokTime(row.updated_at) : null,
+  };
+}
+
+function serializeTransaction(row) {
+  return {
+    ...row,
+    subtotal: row.subtotal === null ? null : Number(row.subtotal),
+    discount: Number(row.discount),
+    vat: row.vat === null ? null : Number(row.vat),
+    amount: Number(row.amount),
+    refunded_amount: Number(row.refunded_amount),
+    refund_status: refundStatus(row),
+    expires_at: formatBangkokTime(row.expires_at),
+    updated_at: formatBangkokTime(row.updated_at),
+    created_at: formatBangkokTime(row.created_at),
+  };
+}
+
+function serializeUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    gatewayScenario: row.gateway_scenario,
+    locked: row.locked_at !== null,
+    lockedAt: formatBangkokTime(row.locked_at),
+    lockedReason: row.locked_reason,
+    loginLockedUntil:
+      row.login_locked_until && row.login_locked_until > new Date() ? formatBangkokTime(row.login_locked_until) : null,
+  };
+}
+
+function refundStatus(row) {
+  const refunded = Number(row.refunded_amount);
+  if (refunded === 0) return 'NONE';
+  return refunded < Number(row.amount) ? 'PARTIAL' : 'FULL';
+}
+
+function serializeRefund(row) {
+  return {
+    refund_id: row.refund_id,
+    txn_id: row.txn_id,
+    amount: Number(row.amount),
+    reason: row.reason,
+    created_at: formatBangkokTime(row.created_at),
+  };
+}
+
+// Derived from the dates and usage as of `at`, so nothing has to run when a subscription starts or ends.
+function subscriptionStatus(row, at) {
+  if (row.cancelled_at) return 'CANCELLED';
+  if (row.expires_at <= at) return 'EXPIRED';
+  if (row.starts_at > at) return 'QUEUED';
+  if (row.data_quota_mb !== null && row.data_used_mb >= row.data_quota_mb) return 'DEPLETED';
+  return 'ACTIVE';
+}
+
+function serializeSubscription(row, at = new Date()) {
+  const quota = row.data_quota_mb === null ? null : Number(row.data_quota_mb);
+  const used = Number(row.data_used_mb);
+  return {
+    subscription_id: row.subscription_id,
+    msisdn: row.msisdn,
+    txn_id: row.txn_id,
+    package_id: row.package_id,
+    package_name: row.package_name,
+    status: subscriptionStatus(row, at),
+    starts_at: formatBangkokTime(row.starts_at),
+    expires_at: formatBangkokTime(row.expires_at),
+    data_quota_mb: quota,
+    data_used_mb: used,
+    data_remaining_mb: quota === null ? null : quota - used,
+    addons: row.addons,
+    cancelled_at: row.cancelled_at ? formatBangkokTime(row.cancelled_at) : null,
+    created_at: formatBangkokTime(row.created_at),
+  };
+}
+
+// What `rows` of one number give it as of `at`: the data left on its ACTIVE subscriptions (null when
+// one of them is unlimited) and their add-ons.
+function summarizeSubscriptions(msisdn, rows, at) {
+  const number = lookupNumber(msisdn);
+  const active = rows.filter((row) => subscriptionStatus(row, at) === 'ACTIVE');
+  const unlimited = active.some((row) => row.data_quota_mb === null);
+  const addons = new Map(active.flatMap((row) => row.addons).map((addon) => [addon.id, addon]));
+  return {
+    msisdn,
+    operator: number.operator,
+    dataRemainingMb: unlimited ? null : active.reduce((sum, row) => sum + row.data_quota_mb - row.data_used_mb, 0),
+    addons: [...addons.values()],
+    subscriptions: rows.map((row) => serializeSubscription(row, at)),
+  };
+}
+
+// Gives the number a SUCCESS transaction topped up the package it paid for, from `purchasedAt`.
+// Buying a package the number still has (active or queued) queues the new one behind the last of
+// them, so validity stacks; different packages run side by side. Call inside storage.transaction().
+async function activateSubscription(tx, transaction, purchasedAt) {
+  const msisdn = normalizeMsisdn(transaction.phone);
+  if (!msisdn) return null;
+  const selectedPackage = await tx.packages.findById(transaction.package_id);
+  if (!selectedPackage) {
+    console.warn(`Package ${transaction.package_id} of ${transaction.txn_id} is gone; no subscription`);
+    return null;
+  }
+  const addonIds = transaction.addons || [];
+  const addons = addonIds.length === 0 ? [] : await tx.addons.findByIds(addonIds);
+
+  const existing = await tx.subscriptions.listByMsisdn(msisdn, { lock: true });
+  const startsAt = existing
+    .filter((row) => row.package_id === selectedPackage.id && !row.cancelled_at && row.expires_at > purchasedAt)
+    .reduce((latest, row) => (row.expires_at > latest ? row.expires_at : latest), purchasedAt);
+  const validityMs = Number(selectedPackage.validity_days) * 24 * 60 * 60 * 1000;
+  return tx.subscriptions.create({
+    subscriptionId: generateId('SUB', { now: purchasedAt.getTime(), seed: `${transaction.txn_id}:subscription` }),
+    msisdn,
+    email: transaction.email,
+    txnId: transaction.txn_id,
+    packageId: selectedPackage.id,
+    packageName: selectedPackage.name,
+    dataQuotaMb: selectedPackage.data_quota_mb === null ? null : Number(selectedPackage.data_quota_mb),
+    addons: addons.map((addon) => ({ id: addon.id, name: addon.name })),
+    startsAt,
+    expiresAt: new Date(startsAt.getTime() + validityMs),
+  });
+}
+
+// Payment lifecycle. Any move not listed here is rejected with 409 INVALID_TRANSITION.
+const TRANSACTION_TRANSITIONS = {
+  PENDING: ['SUCCESS', 'FAILED', 'EXPIRED'],
+  SUCCESS: ['REFUNDED'],
+  FAILED: [],
+  EXPIRED: [],
+  REFUNDED: [],
+};
+
+function transitionError(from, to) {
+  return {
+    status: 'error',
+    code: 'INVALID_TRANSITION',
+    message: `Cannot move a transaction from ${from} to ${to}`,
+    from,
+    to,
+    allowed: TRANSACTION_TRANSITIONS[from] || [],
+  };
+}
+
+// Compare-and-set on the current status, so the gateway callback, the expiry job and
+// manual updates cannot overwrite each other. Resolves to the updated row, or null when
+// the transaction had already left `from`.
+async function transitionTransaction(txnId, from, to, failure, reason = null) {
+  const transaction = await storage.transactions.transition(txnId, from, to, failure, reason);
+  if (!transaction) return null;
+  await afterTransition(transaction);
+  return transaction;
+}
+
+function refundError(httpStatus, code, message, extra) {
+  return { httpStatus, status: 'error', code, message, ...extra };
+}
+
+// Records a refund of `amount` (null: whatever is left) against a SUCCESS transaction
+// inside the refund window. The row stays locked until the refund commits, so parallel
+// refunds cannot together exceed the amount charged. Any refund, partial or not, cancels the
+// subscription the transaction paid for; refunding the last baht also moves the transaction
+// to REFUNDED. A wallet payment's refund goes back on the wallet, but only when `approvedBy`
+// names the staff member who approved it, and only after the subscription is cancelled.
+// Resolves to { httpStatus, refund, transaction, subscription, walletCredited } or an error
+// body with its httpStatus. Only staff routes call this; customers cannot refund their own orders.
+async function refundTransaction({ txnId, amount, reason, approvedBy }) {
+  const outcome = await storage.transaction(async (tx) => {
+    const transaction = await tx.transactions.findByTxnId(txnId, { lock: true });
+    if (!transaction) {
+      return { httpStatus: 404, status: 'error', message: 'Transaction not found' };
+    }
+    if (transaction.status !== 'SUCCESS') {
+      return refundError(
+        409,
+        'TRANSACTION_NOT_REFUNDABLE',
+        `Only SUCCESS transactions can be refunded; this one is ${transaction.status}`
+      );
+    }
+
+    const refundableUntil = new Date(transaction.created_at.getTime() + REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (refundableUntil <= new Date()) {
+      return refundError(422, 'REFUND_WINDOW_EXPIRED', `Refunds are only possible within ${REFUND_WINDOW_DAYS} days`, {
+        refundableUntil: formatBangkokTime(refundableUntil),
+      });
+    }
+
+    const refundableAmount = roundMoney(Number(transaction.amount) - Number(transaction.refunded_amount));
+    if (refundableAmount <= 0) {
+      return refundError(409, 'TRANSACTION_NOT_REFUNDABLE', 'Nothing is left to refund on this transaction');
+    }
+    const refundAmount = amount === null ? refundableAmount : amount;
+    if (refundAmount > refundableAmount) {
+      return refundError(
+        422,
+        'REFUND_EXCEEDS_BALANCE',
+        `Refund of ${refundAmount} exceeds the ${refundableAmount} THB left to refund`,
+        { refundableAmount }
+      );
+    }
+
+    const refund = await tx.refunds.create({
+      refundId: generateId('RFD'),
+      txnId,
+      email: transaction.email,
+      amount: refundAmount,
+      reason,
+    });
+    const updated = await tx.transactions.addRefundedAmount(txnId, refundAmount);
+    // A partial refund still ends the package, or the rest of it would stay usable for almost nothing.
+    const subscription = await tx.subscriptions.cancelByTxnId(txnId);
+    // Spendable again only once the package is gone, so a refund cannot buy a discounted package.
+    // Always taken back, even above WALLET_MAX_BALANCE.
+    const walletCredited = transaction.payment_method === 'wallet' && Boolean(approvedBy);
+    if (walletCredited) {
+      await tx.wallets.credit(transaction.email, refundAmount);
+    }
+    if (refundAmount < refundableAmount) {
+      return { httpStatus: 201, refund, transaction: updated, subscription, walletCredited };
+    }
+    return {
+      httpStatus: 201,
+      refund,
+      transaction: await tx.transactions.transition(txnId, 'SUCCESS', 'REFUNDED', null, reason),
+      subscription,
+      walletCredited,
+    };
+  });
+
+  if (outcome.refund) {
+    publishTransactionEvent('transaction.refunded', outcome.transaction, { refund: serializeRefund(outcome.refund) });
+  }
+  if (outcome.refund && outcome.transaction.status === 'REFUNDED') {
+    await afterTransition(outcome.transaction);
+  }
+  return outcome;
+}
+
+// Moves req.transaction to `status` along TRANSACTION_TRANSITIONS and answers with the result.
+// REFUNDED refunds whatever is left through refundTransaction(); `reason` (or null) is kept as
+// status_reason, and for REFUNDED also on the refund.
+async function updateTransactionStatus(req, res, status, reason) {
+  const { transaction } = req;
+  const statusValue = status.trim();
+  const currentStatus = transaction.status;
+  if (!(TRANSACTION_TRANSITIONS[currentStatus] || []).includes(statusValue)) {
+    return res.status(409).json(transitionError(currentStatus, statusValue));
+  }
+
+  if (statusValue === 'REFUNDED') {
+    try {
+      const { httpStatus, refund, transaction: refunded, ...errorBody } = await refundTransaction({
+        txnId: transaction.txn_id,
+        amount: null,
+        reason: reason || 'Marked as REFUNDED',
+        approvedBy: req.user.email,
+      });
+      if (!refund) {
+        return res.status(httpStatus).json(errorBody);
+      }
+      await auditStatusUpdate(req, refunded);
+      return res.json(serializeTransaction(refunded));
+    } catch (error) {
+      console.error('Refund transaction failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  }
+
+  try {
+    const updated = await transitionTransaction(transaction.txn_id, currentStatus, statusValue, null, reason);
+    if (!updated) {
+      // Another writer (gateway callback or expiry) got there first.
+      const current = await storage.transactions.findByTxnId(transaction.txn_id);
+      if (!current) {
+        return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+      }
+      return res.status(409).json(transitionError(current.status, statusValue));
+    }
+
+    await auditStatusUpdate(req, updated);
+    return res.json(serializeTransaction(updated));
+  } catch (error) {
+    console.error('Update transaction failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+}
+
+function auditStatusUpdate(req, updated) {
+  return recordAudit(req, {
+    action: 'transaction.status_update',
+    targetType: 'transaction',
+    targetId: updated.txn_id,
+    before: serializeTransaction(req.transaction),
+    after: serializeTransaction(updated),
+  });
+}
+
+// Appends an audit event for `req`: its request id, client IP and (unless `actorEmail` is given)
+// the signed-in user. Awaited before answering so the event is there once the response is.
+// The change itself already happened, so a failed write is logged instead of failing the request.
+async function recordAudit(req, event) {
+  const { action, outcome = 'success', actorEmail } = event;
+  try {
+    await storage.auditEvents.create({
+      requestId: req.id,
+      action,
+      outcome,
+      actorEmail: actorEmail === undefined ? (req.user ? req.user.email : null) : actorEmail,
+      ip: req.ip || null,
+      targetType: event.targetType || null,
+      targetId: event.targetId || null,
+      before: event.before || null,
+      after: event.after || null,
+      details: event.details || null,
+    });
+  } catch (error) {
+    console.error(`Audit event ${action} failed`, error);
+  }
+}
+
+function serializeAuditEvent(row) {
+  return {
+    id: row.id,
+    requestId: row.request_id,
+    action: row.action,
+    outcome: row.outcome,
+    actorEmail: row.actor_email,
+    ip: row.ip,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    before: row.before_state,
+    after: row.after_state,
+    details: row.details,
+    createdAt: formatBangkokTime(row.created_at),
+  };
+}
+
+async function afterTransition(transaction) {
+  // A payment that never went through gives its promotion redemption back.
+  if (transaction.status === 'FAILED' || transaction.status === 'EXPIRED') {
+    await storage.promotions.releaseRedemptions(transaction.txn_id);
+  }
+  if (transaction.status === 'SUCCESS') {
+    await storage.transaction((tx) => activateSubscription(tx, transaction, new Date()));
+  }
+  if (transaction.status === 'REFUNDED') {
+    await storage.subscriptions.cancelByTxnId(transaction.txn_id);
+  }
+  publishTransactionEvent('transaction.status_changed', transaction);
+  await enqueueTransactionEvent(transaction);
+}
+
+// Pushes a change to the owner's open transaction streams. `extra` joins the event data.
+function publishTransactionEvent(event, transaction, extra) {
+  transactionEvents.publish(transaction.email, event, {
+    type: event,
+    transaction: serializeTransaction(transaction),
+    ...extra,
+  });
+}
+
+function serializeWebhookEndpoint(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    createdAt: row.created_at,
+  };
+}
+
+function serializeWebhookDelivery(row) {
+  return {
+    id: row.id,
+    endpointId: row.endpoint_id,
+    url: row.url,
+    eventId: row.event_id,
+    event: row.event,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    lastResponseStatus: row.last_response_status,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Queues one delivery per endpoint the owner has registered. Sending happens in
+// deliverDueWebhooks() so a slow receiver never holds up the order flow.
+async function enqueueTransactionEvent(transaction) {
+  const event = `transaction.${transaction.status.toLowerCase()}`;
+  const eventId = `evt_${crypto.randomBytes(8).toString('hex')}`;
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data: serializeTransaction(transaction) };
+  const queued = await storage.webhooks.enqueue({ email: transaction.email, eventId, event, payload });
+  if (queued > 0) {
+    deliverDueWebhooks().catch((error) => console.error('Webhook delivery failed', error));
+  }
+}
+
+let deliveringWebhooks = false;
+
+// Failed attempts back off exponentially (base, 2x base, 4x base, ...) until
+// WEBHOOK_MAX_ATTEMPTS, after which the delivery is marked failed.
+async function deliverDueWebhooks() {
+  if (deliveringWebhooks) return;
+  deliveringWebhooks = true;
+  try {
+    const due = await storage.webhooks.listDue(20);
+
+    for (const delivery of due) {
+      const result = await sendWebhook({
+        url: delivery.url,
+        secret: delivery.secret,
+        event: delivery.event,
+        deliveryId: delivery.id,
+        payload: delivery.payload,
+        timeoutMs: WEBHOOK_TIMEOUT_MS,
+      });
+      const attempts = delivery.attempts + 1;
+      let status = 'pending';
+      if (result.ok) {
+        status = 'delivered';
+      } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        status = 'failed';
+      }
+
+      await storage.webhooks.recordAttempt(delivery.id, {
+        status,
+        attempts,
+        responseStatus: result.status,
+        error: result.error,
+        retryInSeconds: WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+      });
+    }
+  } finally {
+    deliveringWebhooks = false;
+  }
+}
+
+// Runs the gateway for an order that was answered with 202 and settles it. A scenario's
+// custom wire response only matters to a waiting client, so here only the verdict counts.
+async function settlePendingTransaction({ txnId, phone, scenario, body, pricing }) {
+  let outcome;
+  try {
+    outcome = await scenario.run({ body, phone, pricing });
+  } catch (error) {
+    console.error(`Gateway scenario ${scenario.name} failed`, error);
+    outcome = { approved: false };
+  }
+
+  const failure = outcome.approved
+    ? null
+    : { code: outcome.code || 'GATEWAY_ERROR', message: outcome.message || 'Gateway error' };
+  try {
+    const settled = await transitionTransaction(
+      txnId,
+      'PENDING',
+      outcome.approved ? 'SUCCESS' : 'FAILED',
+      failure
+    );
+    if (!settled) {
+      console.warn(`Gateway answered for ${txnId} after it left PENDING; ignoring`);
+    }
+  } catch (error) {
+    console.error('Settle pending transaction failed', error);
+  }
+}
+
+async function expirePendingTransactions() {
+  const expired = await storage.transactions.expirePending({
+    code: 'PAYMENT_EXPIRED',
+    message: 'Gateway did not confirm the payment in time',
+  });
+  for (const transaction of expired) {
+    await afterTransition(transaction);
+  }
+}
+
+// JSON with object keys sorted, so {a, b} and {b, a} fingerprint the same.
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Headers that change how the order is processed are part of the fingerprint.
+function fingerprintRequest(req) {
+  return hashToken(
+    canonicalJson({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      gatewayScenario: req.get('x-gateway-scenario') || null,
+      prefer: req.get('prefer') || null,
+      body: req.body || null,
+    })
+  );
+}
+
+const REPLAYED_HEADERS = ['content-type', 'location', 'retry-after', 'preference-applied'];
+
+// Wraps a route so an Idempotency-Key header makes retries safe. The first request
+// claims the key; its response is stored and replayed for the same key and body.
+// A different body gets 422 and a retry while the first is still running gets 409.
+// If the handler ends without a response (e.g. a dropped connection) or with a 5xx, the
+// claim is released so the client can try again once the failure has passed.
+function withIdempotency(handler) {
+  return async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (key === undefined) {
+      return handler(req, res, next);
+    }
+    if (!key.trim() || key.length > 255) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'IDEMPOTENCY_KEY_INVALID',
+        message: 'Idempotency-Key must be 1-255 characters',
+      });
+    }
+
+    const email = req.user.email;
+    const requestHash = fingerprintRequest(req);
+    try {
+      const claim = await storage.idempotencyKeys.claim({
+        email,
+        key,
+        requestHash,
+        ttlSeconds: IDEMPOTENCY_KEY_TTL_SECONDS,
+      });
+
+      if (!claim.claimed) {
+        const stored = claim.record;
+        if (!stored) {
+          // Released between our insert and select; the client can simply retry.
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            status: 'error',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            message: 'A request with this Idempotency-Key is still being processed',
+          });
+        }
+        if (stored.request_hash !== requestHash) {
+          return res.status(422).json({
+            status: 'error',
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency-Key was already used with a different request',
+          });
+        }
+        if (stored.status === 'in_progress') {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            status: 'error',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            message: 'A request with this Idempotency-Key is still being processed',
+          });
+        }
+
+        res.set(stored.response_headers);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.response_status).send(stored.response_body);
+      }
+    } catch (error) {
+      console.error('Idempotency key lookup failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+
+    let captured = null;
+    const originalSend = res.send;
+    res.send = function captureSend(body) {
+      if (!captured) {
+        const headers = {};
+        for (const name of REPLAYED_HEADERS) {
+          if (res.get(name) !== undefined) headers[name] = String(res.get(name));
+        }
+        captured = { status: res.statusCode, headers, body: Buffer.isBuffer(body) ? body.toString('utf8') : body };
+      }
+      return originalSend.call(this, body);
+    };
+
+    try {
+      await handler(req, res, next);
+    } finally {
+      try {
+        if (captured && captured.status < 500) {
+          await storage.idempotencyKeys.complete({
+            email,
+            key,
+            responseStatus: captured.status,
+            responseHeaders: captured.headers,
+            responseBody: String(captured.body ?? ''),
+          });
+        } else {
+          await storage.idempotencyKeys.release(email, key);
+        }
+      } catch (error) {
+        console.error('Idempotency key update failed', error);
+      }
+    }
+    return undefined;
+  };
+}
+
+function startBackgroundJobs() {
+  const timer = setInterval(async () => {
+    try {
+      await expirePendingTransactions();
+      await deliverDueWebhooks();
+    } catch (error) {
+      console.error('Background job failed', error);
+    }
+  }, BACKGROUND_JOB_INTERVAL_MS);
+  timer.unref();
+}
+
+function serializePackage(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    data_quota_mb: row.data_quota_mb === null ? null : Number(row.data_quota_mb),
+    validity_days: Number(row.validity_days),
+    price: Number(row.price),
+    active: row.active,
+    operators: row.operators || null,
+  };
+}
+
+function serializeAddon(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    price: Number(row.price),
+    active: row.active,
+  };
+}
+
+// Parses catalog fields from a request body. Required fields are only enforced
+// on create so the same parser can back partial updates.
+function parseCatalogFields(body, { requireAll, withQuota }) {
+  const input = body || {};
+  const fields = {};
+
+  if (input.name !== undefined || requireAll) {
+    fields.name = String(input.name || '').trim();
+    if (!fields.name) return null;
+  }
+  if (input.price !== undefined || requireAll) {
+    fields.price = Number(input.price);
+    if (input.price === null || input.price === '' || !Number.isFinite(fields.price) || fields.price < 0) return null;
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') return null;
+    fields.active = input.active;
+  }
+  if (!withQuota) {
+    return fields;
+  }
+
+  if (input.description !== undefined) {
+    fields.description = String(input.description || '').trim();
+  }
+  if (input.validity_days !== undefined || requireAll) {
+    fields.validity_days = Number(input.validity_days);
+    if (!Number.isInteger(fields.validity_days) || fields.validity_days <= 0) return null;
+  }
+  if (input.data_quota_mb !== undefined) {
+    if (input.data_quota_mb === null) {
+      fields.data_quota_mb = null;
+    } else {
+      fields.data_quota_mb = Number(input.data_quota_mb);
+      if (!Number.isInteger(fields.data_quota_mb) || fields.data_quota_mb < 0) return null;
+    }
+  }
+  if (input.operators !== undefined) {
+    if (input.operators === null) {
+      fields.operators = null;
+    } else {
+      const known = OPERATORS.map((operator) => operator.id);
+      if (!Array.isArray(input.operators) || input.operators.length === 0) return null;
+      fields.operators = [...new Set(input.operators.map((id) => String(id).trim()))];
+      if (fields.operators.some((id) => !known.includes(id))) return null;
+    }
+  }
+  return fields;
+}
+
+// Whether `row`, a package, can be bought for a number of `operatorId`.
+function packageAvailableFor(row, operatorId) {
+  return !Array.isArray(row.operators) || row.operators.includes(operatorId);
+}
+
+async function findActivePackage({ packageId, packageName }) {
+  return storage.packages.findActive({ id: packageId, name: packageName });
+}
+
+async function findActiveAddons(addonIds) {
+  if (addonIds.length === 0) return [];
+  const addons = await storage.addons.findActiveByIds(addonIds);
+  return addons.length === addonIds.length ? addons : null;
+}
+
+function serializePromotion(row) {
+  return {
+    code: row.code,
+    description: row.description || '',
+    discount_type: row.discount_type,
+    discount_value: Number(row.discount_value),
+    min_spend: Number(row.min_spend),
+    starts_at: row.starts_at,
+    expires_at: row.expires_at,
+    usage_limit: row.usage_limit,
+    per_user_limit: row.per_user_limit,
+    package_ids: row.package_ids,
+    active: row.active,
+    times_redeemed: row.times_redeemed === undefined ? undefined : Number(row.times_redeemed),
+  };
+}
+
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function parseOptionalDate(value) {
+  if (value === null) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseOptionalLimit(value) {
+  if (value === null) return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+}
+
+// Same contract as parseCatalogFields: returns null for any invalid field.
+function parsePromotionFields(body, { requireAll }) {
+  const input = body || {};
+  const fields = {};
+
+  if (input.description !== undefined) {
+    fields.description = String(input.description || '').trim();
+  }
+  if (input.discount_type !== undefined || requireAll) {
+    if (input.discount_type !== 'percent' && input.discount_type !== 'fixed') return null;
+    fields.discount_type = input.discount_type;
+  }
+  if (input.discount_value !== undefined || requireAll) {
+    fields.discount_value = Number(input.discount_value);
+    if (input.discount_value === null || !Number.isFinite(fields.discount_value) || fields.discount_value <= 0) {
+      return null;
+    }
+  }
+  if (input.min_spend !== undefined) {
+    fields.min_spend = Number(input.min_spend);
+    if (input.min_spend === null || !Number.isFinite(fields.min_spend) || fields.min_spend < 0) return null;
+  }
+  for (const key of ['starts_at', 'expires_at']) {
+    if (input[key] !== undefined) {
+      fields[key] = parseOptionalDate(input[key]);
+      if (fields[key] === undefined) return null;
+    }
+  }
+  for (const key of ['usage_limit', 'per_user_limit']) {
+    if (input[key] !== undefined) {
+      fields[key] = parseOptionalLimit(input[key]);
+      if (fields[key] === undefined) return null;
+    }
+  }
+  if (input.package_ids !== undefined) {
+    if (input.package_ids !== null && !Array.isArray(input.package_ids)) return null;
+    fields.package_ids = input.package_ids === null ? null : input.package_ids.map(String);
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') return null;
+    fields.active = input.active;
+  }
+  return fields;
+}
+
+function promotionError(code, message) {
+  return { error: { status: 'error', code, message } };
+}
+
+// Checks every promotion rule against an order. Pass the promotions repository of a
+// storage transaction with lock: true to hold the promotion while the redemption is written.
+async function evaluatePromotion(promotions, { code, email, packageId, subtotal, lock }) {
+  const promotion = await promotions.findByCode(code, { lock });
+  if (!promotion) {
+    return promotionError('PROMO_NOT_FOUND', 'Promo code not found');
+  }
+
+  const now = new Date();
+  if (!promotion.active) {
+    return promotionError('PROMO_INACTIVE', 'Promo code is not active');
+  }
+  if (promotion.starts_at && now < promotion.starts_at) {
+    return promotionError('PROMO_NOT_STARTED', 'Promo code is not valid yet');
+  }
+  if (promotion.expires_at && now >= promotion.expires_at) {
+    return promotionError('PROMO_EXPIRED', 'Promo code has expired');
+  }
+  if (Array.isArray(promotion.package_ids) && !promotion.package_ids.includes(packageId)) {
+    return promotionError('PROMO_PACKAGE_NOT_ELIGIBLE', 'Promo code does not apply to this package');
+  }
+  if (subtotal < Number(promotion.min_spend)) {
+    return promotionError(
+      'PROMO_MIN_SPEND_NOT_MET',
+      `Minimum spend of ${Number(promotion.min_spend)} THB not met`
+    );
+  }
+
+  if (promotion.usage_limit !== null || promotion.per_user_limit !== null) {
+    const { total, byUser } = await promotions.countRedemptions(code, email);
+    if (promotion.usage_limit !== null && total >= promotion.usage_limit) {
+      return promotionError('PROMO_USAGE_LIMIT_REACHED', 'Promo code usage limit reached');
+    }
+    if (promotion.per_user_limit !== null && email && byUser >= promotion.per_user_limit) {
+      return promotionError('PROMO_USER_LIMIT_REACHED', 'Promo code already used the maximum number of times');
+    }
+  }
+
+  return { promotion };
+}
+
+function fixtureList(fixture, key) {
+  if (fixture[key] === undefined) return [];
+  if (!Array.isArray(fixture[key])) {
+    throw new FixtureError(`${key} must be an array`);
+  }
+  return fixture[key];
+}
+
+// Fixture users skip the password policy so tests can seed weak or legacy passwords on purpose.
+async function prepareFixtureUsers(users) {
+  const prepared = [];
+  for (const [index, user] of users.entries()) {
+    const email = normalizeEmail(user && user.email);
+    const password = String(user && user.password ? user.password : '');
+    const gatewayScenario = user && user.gatewayScenario ? String(user.gatewayScenario) : null;
+    const role = user && user.role !== undefined ? String(user.role) : 'customer';
+    const walletBalance = user && user.walletBalance !== undefined ? Number(user.walletBalance) : 0;
+    if (!email || !password) {
+      throw new FixtureError(`users[${index}] needs an email and a password`);
+    }
+    if (gatewayScenario && !getScenario(gatewayScenario)) {
+      throw new FixtureError(`users[${index}]: unknown gateway scenario ${gatewayScenario}`);
+    }
+    if (!USER_ROLES.includes(role)) {
+      throw new FixtureError(`users[${index}]: role must be one of ${USER_ROLES.join(', ')}`);
+    }
+    if (!(walletBalance >= 0 && walletBalance <= WALLET_MAX_BALANCE)) {
+      throw new FixtureError(`users[${index}]: walletBalance must be from 0 to ${WALLET_MAX_BALANCE}`);
+    }
+    prepared.push({
+      email,
+      password,
+      passwordHash: await hashPassword(password),
+      gatewayScenario,
+      role,
+      walletBalance: roundMoney(walletBalance),
+    });
+  }
+  return prepared;
+}
+
+function prepareFixtureCatalog(items, key, withQuota) {
+  return items.map((item, index) => {
+    const id = String(item && item.id ? item.id : '').trim();
+    const fields = parseCatalogFields(item, { requireAll: true, withQuota });
+    if (!/^[A-Za-z0-9_-]+$/.test(id) || !fields) {
+      throw new FixtureError(`${key}[${index}] is not a valid ${withQuota ? 'package' : 'add-on'}`);
+    }
+    return { id, ...fields };
+  });
+}
+
+function prepareFixturePromotions(items) {
+  return items.map((item, index) => {
+    const code = normalizePromoCode(item && item.code);
+    const fields = parsePromotionFields(item, { requireAll: true });
+    if (!/^[A-Z0-9_-]+$/.test(code) || !fields) {
+      throw new FixtureError(`promotions[${index}] is not a valid promotion`);
+    }
+    return { code, ...fields };
+  });
+}
+
+// Prices a fixture transaction from the catalog like a real order. Without a txnId the ID is
+// derived from the email, position and createdAt, so a fixture with fixed dates gives fixed IDs.
+async function seedFixtureTransaction(tx, item, index) {
+  const where = `transactions[${index}]`;
+  const input = item || {};
+  const email = normalizeEmail(input.email);
+  const status = input.status === undefined ? 'SUCCESS' : String(input.status).toUpperCase();
+  const createdAt = input.createdAt === undefined ? new Date() : new Date(input.createdAt);
+  if (!email) {
+    throw new FixtureError(`${where} needs an email`);
+  }
+  if (!TRANSACTION_TRANSITIONS[status]) {
+    throw new FixtureError(`${where}: status must be one of ${Object.keys(TRANSACTION_TRANSITIONS).join(', ')}`);
+  }
+  if (Number.isNaN(createdAt.getTime())) {
+    throw new FixtureError(`${where}: createdAt must be a date`);
+  }
+  if (input.addons !== undefined && !Array.isArray(input.addons)) {
+    throw new FixtureError(`${where}: addons must be an array`);
+  }
+
+  const selectedPackage = await tx.packages.findById(String(input.packageId || '').trim());
+  if (!selectedPackage) {
+    throw new FixtureError(`${where}: unknown package ${input.packageId}`);
+  }
+  const addonIds = [...new Set((input.addons || []).map((addon) => String(addon).trim()))];
+  const selectedAddons = addonIds.length === 0 ? [] : await tx.addons.findActiveByIds(addonIds);
+  if (selectedAddons.length !== addonIds.length) {
+    throw new FixtureError(`${where}: unknown add-on`);
+  }
+  let promotion = null;
+  if (input.discountCode) {
+    promotion = await tx.promotions.findByCode(normalizePromoCode(input.discountCode));
+    if (!promotion) {
+      throw new FixtureError(`${where}: unknown promo code ${input.discountCode}`);
+    }
+  }
+
+  const pricing = calculatePrice({
+    packagePrice: selectedPackage.price,
+    addonPrices: selectedAddons.map((addon) => addon.price),
+    promotion,
+  });
+  const txnId = input.txnId
+    ? String(input.txnId)
+    : generateId('TXN', { checksum: TXN_ID_CHECKSUM, now: createdAt.getTime(), seed: `${email}:${index}` });
+  const row = await tx.transactions.create({
+    txn_id: txnId,
+    email,
+    phone: input.phone ? String(input.phone) : null,
+    package_id: selectedPackage.id,
+    package_name: selectedPackage.name,
+    addons: addonIds,
+    payment_method: input.paymentMethod ? String(input.paymentMethod) : 'credit_card',
+    discount_code: promotion ? promotion.code : null,
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    vat: pricing.vat,
+    amount: pricing.total,
+    status,
+    failure_code: input.failureCode ? String(input.failureCode) : null,
+    failure_reason: input.failureReason ? String(input.failureReason) : null,
+    expires_at: status === 'PENDING' ? new Date(Date.now() + PAYMENT_PENDING_TTL_SECONDS * 1000) : null,
+    refunded_amount: status === 'REFUNDED' ? pricing.total : 0,
+    created_at: createdAt,
+  });
+  // A REFUNDED fixture was refunded in full, so it gets the refund record a real one would have.
+  if (status === 'REFUNDED') {
+    await tx.refunds.create({
+      refundId: generateId('RFD', { now: createdAt.getTime(), seed: `${txnId}:refund` }),
+      txnId,
+      email,
+      amount: pricing.total,
+      reason: 'Seeded as REFUNDED',
+    });
+  }
+  // Payments that never went through do not hold on to their redemption, as in afterTransition().
+  if (promotion && status !== 'FAILED' && status !== 'EXPIRED') {
+    await tx.promotions.redeem({ code: promotion.code, email, txnId, discount: pricing.discount });
+  }
+  // Bought at createdAt, so a fixture dated far enough back seeds an expired subscription.
+  if (status === 'SUCCESS') {
+    await activateSubscription(tx, row, createdAt);
+  }
+  return txnId;
+}
+
+// Writes a fixture in one storage transaction, so an invalid entry leaves nothing behind.
+async function applyFixture(fixture) {
+  if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+    throw new FixtureError('Fixture must be an object');
+  }
+  const users = await prepareFixtureUsers(fixtureList(fixture, 'users'));
+  const packages = prepareFixtureCatalog(fixtureList(fixture, 'packages'), 'packages', true);
+  const addons = prepareFixtureCatalog(fixtureList(fixture, 'addons'), 'addons', false);
+  const promotions = prepareFixturePromotions(fixtureList(fixture, 'promotions'));
+  const transactions = fixtureList(fixture, 'transactions');
+
+  const txnIds = await storage.transaction(async (tx) => {
+    for (const user of users) {
+      await tx.users.create({
+        email: user.email,
+        password: user.passwordHash,
+        gatewayScenario: user.gatewayScenario,
+        role: user.role,
+      });
+      if (user.walletBalance > 0) {
+        await tx.wallets.credit(user.email, user.walletBalance);
+      }
+    }
+    for (const item of packages) await tx.packages.create(item);
+    for (const item of addons) await tx.addons.create(item);
+    for (const item of promotions) await tx.promotions.create(item);
+
+    const ids = [];
+    for (const [index, item] of transactions.entries()) {
+      ids.push(await seedFixtureTransaction(tx, item, index));
+    }
+    return ids;
+  });
+
+  return {
+    users: users.map((user) => ({ email: user.email, password: user.password })),
+    packages: packages.map((item) => item.id),
+    addons: addons.map((item) => item.id),
+    promotions: promotions.map((item) => item.code),
+    transactions: txnIds,
+  };
+}
+
+/**
+ * @openapi
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the active password policy
+ *     description: Configured with PASSWORD_MIN_LENGTH and PASSWORD_REQUIRE_* environment variables.
+ *     responses:
+ *       '200':
+ *         description: Password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicy'
+ */
+app.get('/api/auth/password-policy', (req, res) => {
+  return res.json({ ...PASSWORD_POLICY, rules: activeRules(PASSWORD_POLICY) });
+});
+
+/**
+ * @openapi
+ * /api/register:
+ *   post:
+ *     summary: Register a new user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterRequest'
+ *     responses:
+ *       '201':
+ *         description: User created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BasicResponse'
+ *       '400':
+ *         description: >
+ *           Invalid body (code VALIDATION_FAILED), email already exists, or password fails the
+ *           policy (code PASSWORD_POLICY_VIOLATION with failedRules)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/ErrorResponse'
+ *                 - $ref: '#/components/schemas/PasswordPolicyError'
+ */
+app.post('/api/register', validateRequest, async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const password = req.body.password.trim();
+
+  const failedRules = checkPasswordPolicy(password, PASSWORD_POLICY);
+  if (failedRules.length > 0) {
+    return res.status(400).json(passwordPolicyError(failedRules));
+  }
+
+  const audit = { action: 'user.register', actorEmail: email, targetType: 'user', targetId: email };
+  try {
+    const user = await storage.users.create({ email, password: await hashPassword(password) });
+    await recordAudit(req, { ...audit, after: serializeUser(user) });
+    return res.status(201).json({ status: 'success', message: 'Created' });
+  } catch (error) {
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      await recordAudit(req, { ...audit, outcome: 'failure', details: { reason: 'EMAIL_TAKEN' } });
       return res.status(400).json({ status: 'error', message: 'Email already registered' });
     }
-    console.error('Register failed', error);
+    console.error('Register failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/login:
+ *   post:
+ *     summary: Login with email and password
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       '200':
+ *         description: Authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         description: Invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '403':
+ *         description: Right password, but an admin locked the account (code ACCOUNT_LOCKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '429':
+ *         description: >
+ *           Sign-in is locked for LOGIN_LOCKOUT_SECONDS after LOGIN_MAX_FAILURES wrong passwords in a
+ *           row (code LOGIN_LOCKED, see Retry-After), or too many attempts from this IP or for this
+ *           email (code RATE_LIMITED)
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/login', rateLimit('login', bodyEmail), validateRequest, async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const password = req.body.password.trim();
+
+  // Failed attempts are recorded with why they failed, which the response deliberately does not say.
+  const audit = { action: 'auth.login', actorEmail: email, targetType: 'user', targetId: email };
+  const loginFailed = (reason) => recordAudit(req, { ...audit, outcome: 'failure', details: { reason } });
+  try {
+    const user = await storage.users.findByEmail(email);
+    if (!user) {
+      await loginFailed('UNKNOWN_EMAIL');
+      return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
+    }
+
+    // Refused before the password is checked, so guessing stops for the whole lockout.
+    if (user.login_locked_until && user.login_locked_until > new Date()) {
+      await loginFailed('LOGIN_LOCKED');
+      return loginLocked(res, user.login_locked_until);
+    }
+
+    const { valid, needsRehash } = await verifyPassword(password, user.password);
+    if (!valid) {
+      const failed = await storage.users.recordLoginFailure(email, loginLockout);
+      await loginFailed('WRONG_PASSWORD');
+      if (failed && failed.login_locked_until > new Date()) {
+        return loginLocked(res, failed.login_locked_until);
+      }
+      return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
+    }
+    if (needsRehash) {
+      await storage.users.updatePassword(email, await hashPassword(password));
+    }
+    if (user.failed_logins > 0) {
+      await storage.users.clearLoginFailures(email);
+    }
+    // Checked after the password, so the response does not tell guessers which accounts are locked.
+    if (user.locked_at) {
+      await loginFailed('ACCOUNT_LOCKED');
+      return res.status(403).json({ status: 'error', code: 'ACCOUNT_LOCKED', message: 'Account is locked' });
+    }
+
+    const session = await issueSession(email);
+    await recordAudit(req, audit);
+    return res.status(200).json(session);
+  } catch (error) {
+    console.error('Login failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single use. Presenting one that was already rotated revokes the
+ *       whole session, so a stolen token stops working for both parties.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       '200':
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         description: Refresh token unknown, expired, reused or revoked (code TOKEN_INVALID, TOKEN_EXPIRED or TOKEN_REVOKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/auth/refresh', validateRequest, async (req, res) => {
+  const refreshToken = req.body.refreshToken.trim();
+  const separator = refreshToken.indexOf('.');
+  if (separator < 1) {
+    return authError(res, 401, 'TOKEN_INVALID', 'Malformed refresh token');
+  }
+
+  const sessionId = refreshToken.slice(0, separator);
+  const refreshSecret = refreshToken.slice(separator + 1);
+  try {
+    // The session row stays locked until the rotation commits, so one token cannot be spent twice.
+    const outcome = await storage.transaction(async (tx) => {
+      const session = await tx.sessions.findById(sessionId, { lock: true });
+      if (!session) {
+        return { error: ['TOKEN_INVALID', 'Unknown refresh token'] };
+      }
+      if (session.revoked_at) {
+        return { error: ['TOKEN_REVOKED', 'Session has been revoked'] };
+      }
+      const secretHash = hashToken(refreshSecret);
+      if (session.refresh_token_hash !== secretHash) {
+        // Only a token this session really rotated away from is treated as stolen. A made-up
+        // secret is just rejected, so knowing a session id is not enough to sign someone out.
+        if (!session.retired_refresh_token_hashes.includes(secretHash)) {
+          return { error: ['TOKEN_INVALID', 'Unknown refresh token'] };
+        }
+        await tx.sessions.revoke(sessionId);
+        return { error: ['TOKEN_REVOKED', 'Refresh token reuse detected; session revoked'] };
+      }
+      if (session.expires_at <= new Date()) {
+        return { error: ['TOKEN_EXPIRED', 'Refresh token expired'] };
+      }
+
+      const nextSecret = generateOpaqueToken();
+      await tx.sessions.rotate(sessionId, {
+        refreshTokenHash: hashToken(nextSecret),
+        ttlSeconds: REFRESH_TOKEN_TTL_SECONDS,
+      });
+      return { email: session.email, nextSecret };
+    });
+
+    if (outcome.error) {
+      return authError(res, 401, ...outcome.error);
+    }
+    return res.status(200).json(buildAuthResponse(outcome.email, sessionId, outcome.nextSecret));
+  } catch (error) {
+    console.error('Refresh token failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the current session
+ *     description: The access token and its refresh token stop working immediately.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BasicResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await storage.sessions.revoke(req.user.sessionId);
+    return res.status(200).json({ status: 'success', message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Revoke every session of the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BasicResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.post('/api/auth/logout-all', requireAuth, async (req, res) => {
+  try {
+    const revoked = await storage.sessions.revokeAllForEmail(req.user.email);
+    return res.status(200).json({ status: 'success', message: `Revoked ${revoked} session(s)` });
+  } catch (error) {
+    console.error('Logout all failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the current user, including their role
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: The user the access token belongs to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    const user = await storage.users.findByEmail(req.user.email);
+    if (!user) {
+      return authError(res, 401, 'TOKEN_REVOKED', 'User no longer exists');
+    }
+    return res.json(serializeUser(user));
+  } catch (error) {
+    console.error('Fetch current user failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/otp/request:
+ *   post:
+ *     summary: Request a password reset OTP
+ *     description: >
+ *       Stores a fresh OTP for the email and invalidates any earlier one. The code is random unless
+ *       SANDBOX_MODE=true, where it is always OTP_SANDBOX_CODE (default 1234). Unknown emails get the
+ *       same response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OtpRequest'
+ *     responses:
+ *       '200':
+ *         description: OTP sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BasicResponse'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '429':
+ *         description: >
+ *           Email is locked after too many failed attempts (code OTP_LOCKED, see Retry-After), or too
+ *           many requests from this IP or for this email (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/auth/otp/request', rateLimit('otpRequest', bodyEmail), validateRequest, async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+
+  try {
+    const existing = await storage.otpCodes.find(email);
+    const lockedUntil = existing ? existing.locked_until : null;
+    if (lockedUntil && lockedUntil > new Date()) {
+      return otpLocked(res, lockedUntil);
+    }
+
+    // Unknown emails get the same answer so the endpoint cannot be used to enumerate accounts.
+    const user = await storage.users.findByEmail(email);
+    if (user) {
+      const code = SANDBOX_MODE ? OTP_SANDBOX_CODE : String(crypto.randomInt(0, 10000)).padStart(4, '0');
+      await storage.otpCodes.issue({ email, codeHash: hashToken(code), ttlSeconds: OTP_TTL_SECONDS });
+      // There is no mail delivery yet; log that a code went out, never the code itself.
+      console.info(`[otp] Issued a code for ${email}`);
+    }
+
+    return res.status(200).json({ status: 'success', message: 'OTP sent' });
+  } catch (error) {
+    console.error('OTP request failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/otp/verify:
+ *   post:
+ *     summary: Verify a password reset OTP
+ *     description: >
+ *       A correct code is consumed and exchanged for a one-time reset ticket. Each wrong code
+ *       uses one attempt; after OTP_MAX_ATTEMPTS the email is locked for OTP_LOCKOUT_SECONDS.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OtpVerifyRequest'
+ *     responses:
+ *       '200':
+ *         description: OTP verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OtpVerifyResponse'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         description: OTP rejected (code OTP_INVALID, OTP_EXPIRED or OTP_NOT_REQUESTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OtpErrorResponse'
+ *       '429':
+ *         description: >
+ *           Too many failed attempts (code OTP_LOCKED, see Retry-After), or too many requests from
+ *           this IP or for this email (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OtpErrorResponse'
+ */
+app.post('/api/auth/otp/verify', rateLimit('otpVerify', bodyEmail), validateRequest, async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const otp = req.body.otp.trim();
+
+  try {
+    const record = await storage.otpCodes.find(email);
+    const now = new Date();
+
+    if (record && record.locked_until && record.locked_until > now) {
+      return otpLocked(res, record.locked_until);
+    }
+    if (!record || record.consumed_at) {
+      return res.status(401).json({ status: 'error', code: 'OTP_NOT_REQUESTED', message: 'No active OTP for this email' });
+    }
+    if (record.expires_at <= now) {
+      return res.status(401).json({ status: 'error', code: 'OTP_EXPIRED', message: 'OTP expired' });
+    }
+
+    // Both calls are atomic on either backend, so parallel guesses cannot exceed the attempt limit.
+    const consumed = await storage.otpCodes.consume({
+      email,
+      codeHash: hashToken(otp),
+      maxAttempts: OTP_MAX_ATTEMPTS,
+    });
+
+    if (!consumed) {
+      const failed = await storage.otpCodes.recordFailure({
+        email,
+        maxAttempts: OTP_MAX_ATTEMPTS,
+        lockoutSeconds: OTP_LOCKOUT_SECONDS,
+      });
+      const attempts = failed ? failed.attempts : OTP_MAX_ATTEMPTS;
+      if (failed && failed.locked_until) {
+        return otpLocked(res, failed.locked_until);
+      }
+      return res.status(401).json({
+        status: 'error',
+        code: 'OTP_INVALID',
+        message: 'Invalid OTP',
+        attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - attempts, 0),
+      });
+    }
+
+    const ticket = generateOpaqueToken();
+    await storage.resetTickets.create({
+      ticketHash: hashToken(ticket),
+      email,
+      ttlSeconds: RESET_TICKET_TTL_SECONDS,
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'OTP verified',
+      resetTicket: ticket,
+      expiresIn: RESET_TICKET_TTL_SECONDS,
+    });
+  } catch (error) {
+    console.error('OTP verify failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset a user password
+ *     description: Requires the reset ticket from /api/auth/otp/verify. All sessions of the user are revoked.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       '200':
+ *         description: Password updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BasicResponse'
+ *       '400':
+ *         description: >
+ *           Invalid body (code VALIDATION_FAILED), or new password fails the policy (code
+ *           PASSWORD_POLICY_VIOLATION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/ErrorResponse'
+ *                 - $ref: '#/components/schemas/PasswordPolicyError'
+ *       '401':
+ *         description: >
+ *           Reset ticket invalid, expired, used or issued for another email (code RESET_TICKET_INVALID).
+ *           An unknown email gets the same answer.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/auth/reset-password', validateRequest, async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const resetTicket = req.body.resetTicket.trim();
+  const newPassword = req.body.newPassword.trim();
+  const failedRules = checkPasswordPolicy(newPassword, PASSWORD_POLICY);
+  if (failedRules.length > 0) {
+    return res.status(400).json(passwordPolicyError(failedRules));
+  }
+
+  try {
+    const passwordHash = await hashPassword(newPassword);
+    const outcome = await storage.transaction(async (tx) => {
+      // Checked first so a ticket is never spent on an account that no longer exists.
+      if (!(await tx.users.findByEmail(email))) {
+        return 'USER_NOT_FOUND';
+      }
+      if (!(await tx.resetTickets.use({ ticketHash: hashToken(resetTicket), email }))) {
+        return 'RESET_TICKET_INVALID';
+      }
+      await tx.users.updatePassword(email, passwordHash);
+      // A password reset signs the account out everywhere and lifts a lockout from wrong passwords.
+      await tx.sessions.revokeAllForEmail(email);
+      await tx.users.clearLoginFailures(email);
+      return 'UPDATED';
+    });
+
+    const audit = { action: 'auth.password_reset', actorEmail: email, targetType: 'user', targetId: email };
+    if (outcome !== 'UPDATED') {
+      await recordAudit(req, { ...audit, outcome: 'failure', details: { reason: outcome } });
+    } else {
+      await recordAudit(req, { ...audit, details: { sessionsRevoked: true } });
+    }
+    // An unknown email gets the ticket error too, so this cannot be used to find out who has an account.
+    if (outcome !== 'UPDATED') {
+      return res.status(401).json({
+        status: 'error',
+        code: 'RESET_TICKET_INVALID',
+        message: 'Reset ticket is invalid, expired or already used',
+      });
+    }
+    return res.status(200).json({ status: 'success', message: 'Password updated' });
+  } catch (error) {
+    console.error('Reset password failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/packages:
+ *   get:
+ *     summary: List active packages
+ *     responses:
+ *       '200':
+ *         description: Package catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Package'
+ */
+app.get('/api/packages', async (req, res) => {
+  try {
+    const packages = await storage.packages.listActive();
+    return res.json(packages.map(serializePackage));
+  } catch (error) {
+    console.error('Fetch packages failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/packages/{id}:
+ *   get:
+ *     summary: Get a package by ID
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Package detail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Package'
+ *       '404':
+ *         description: Package not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/packages/:id', async (req, res) => {
+  try {
+    const item = await storage.packages.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ status: 'error', message: 'Package not found' });
+    }
+    return res.json(serializePackage(item));
+  } catch (error) {
+    console.error('Fetch package failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/numbers/{msisdn}:
+ *   get:
+ *     summary: Look up a mobile number
+ *     description: >
+ *       Normalises the number (+66, 0066, spaces, dashes, dots and brackets are accepted), checks it is a
+ *       Thai mobile number (10 digits starting 06, 08 or 09), names its simulated operator and lists the
+ *       active packages it can buy. Numbers that are not valid still answer 200, with valid false and a
+ *       reason. POST /api/order runs the same check on its phone field.
+ *     parameters:
+ *       - in: path
+ *         name: msisdn
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '0812345678'
+ *     responses:
+ *       '200':
+ *         description: Lookup result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NumberLookup'
+ */
+app.get('/api/numbers/:msisdn', async (req, res) => {
+  const number = lookupNumber(req.params.msisdn, { blacklist: NUMBER_BLACKLIST });
+  if (!number.valid || number.blacklisted) {
+    return res.json({ ...number, eligiblePackages: [] });
+  }
+
+  try {
+    const packages = await storage.packages.listActive();
+    const eligible = packages.filter((row) => packageAvailableFor(row, number.operator.id));
+    return res.json({ ...number, eligiblePackages: eligible.map((row) => row.id) });
+  } catch (error) {
+    console.error('Number lookup failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+// Simulation routes outside the test data API, such as usage, only exist in sandbox mode.
+function requireSandbox(req, res, next) {
+  if (!SANDBOX_MODE) {
+    return res.status(404).json({ status: 'error', message: 'Not found' });
+  }
+  return next();
+}
+
+// 400 INVALID_PHONE_NUMBER unless req.params.msisdn is a mobile number; sets req.msisdn to its normalised form.
+function requireMobileNumber(req, res, next) {
+  const number = lookupNumber(req.params.msisdn);
+  if (!number.valid) {
+    return res.status(400).json({ status: 'error', code: 'INVALID_PHONE_NUMBER', message: number.message });
+  }
+  req.msisdn = number.msisdn;
+  return next();
+}
+
+/**
+ * @openapi
+ * /api/numbers/{msisdn}/subscriptions:
+ *   get:
+ *     summary: Packages a number has
+ *     description: >
+ *       Every subscription the signed-in user bought for the number, oldest start first, with the data
+ *       left and the add-ons of the active ones. A successful order starts one; buying a package the
+ *       number already has queues the new one behind it (status QUEUED), and any refund cancels it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: msisdn
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '0812345678'
+ *     responses:
+ *       '200':
+ *         description: The number's subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NumberSubscriptions'
+ *       '400':
+ *         description: Not a Thai mobile number (code INVALID_PHONE_NUMBER)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/numbers/:msisdn/subscriptions', requireAuth, requireMobileNumber, async (req, res) => {
+  try {
+    const rows = await storage.subscriptions.listByMsisdn(req.msisdn);
+    const own = rows.filter((row) => row.email === req.user.email);
+    return res.json(summarizeSubscriptions(req.msisdn, own, new Date()));
+  } catch (error) {
+    console.error('Fetch subscriptions failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/numbers/{msisdn}/usage:
+ *   post:
+ *     summary: Simulate data usage on a number
+ *     description: >
+ *       Sandbox only. Uses dataMb of data on the signed-in user's ACTIVE subscriptions for the number:
+ *       capped ones first, the one expiring soonest first, then unlimited ones. What none of them has
+ *       room for is reported as deniedMb. Set at to use data at another time, e.g. after a package
+ *       expired or once a queued one started.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: msisdn
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '0812345678'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UsageRequest'
+ *     responses:
+ *       '200':
+ *         description: Usage recorded; subscriptions as of `at`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UsageResponse'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED) or not a Thai mobile number (code INVALID_PHONE_NUMBER)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '404':
+ *         description: The user has no subscriptions on this number, or SANDBOX_MODE is off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: >
+ *           No subscription is ACTIVE at that time (code NO_ACTIVE_SUBSCRIPTION), or every active one is
+ *           used up (code DATA_QUOTA_EXHAUSTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post(
+  '/api/numbers/:msisdn/usage',
+  requireSandbox,
+  requireAuth,
+  requireMobileNumber,
+  validateRequest,
+  async (req, res) => {
+    const { dataMb } = req.body;
+    const at = req.body.at === undefined ? new Date() : new Date(req.body.at);
+    const ownRows = async (repositories) =>
+      (await repositories.subscriptions.listByMsisdn(req.msisdn, { lock: true })).filter(
+        (row) => row.email === req.user.email
+      );
+
+    try {
+      const outcome = await storage.transaction(async (tx) => {
+        const rows = await ownRows(tx);
+        if (rows.length === 0) {
+          return { httpStatus: 404, status: 'error', message: 'No subscriptions for this number' };
+        }
+        const active = rows.filter((row) => subscriptionStatus(row, at) === 'ACTIVE');
+        if (active.length === 0) {
+          const depleted = rows.some((row) => subscriptionStatus(row, at) === 'DEPLETED');
+          return {
+            httpStatus: 409,
+            status: 'error',
+            code: depleted ? 'DATA_QUOTA_EXHAUSTED' : 'NO_ACTIVE_SUBSCRIPTION',
+            message: depleted ? 'All data on this number is used up' : 'No package is active on this number',
+          };
+        }
+
+        // Capped quotas first, soonest expiry first, so unlimited data is the last resort.
+        const unlimited = (row) => (row.data_quota_mb === null ? 1 : 0);
+        const order = [...active].sort(
+          (a, b) => unlimited(a) - unlimited(b) || a.expires_at - b.expires_at || a.id - b.id
+        );
+        let left = dataMb;
+        const drawn = [];
+        for (const row of order) {
+          const room = row.data_quota_mb === null ? left : row.data_quota_mb - row.data_used_mb;
+          const take = Math.min(left, room);
+          if (take <= 0) continue;
+          await tx.subscriptions.recordUsage(row.id, take);
+          drawn.push({ subscription_id: row.subscription_id, data_mb: take });
+          left -= take;
+          if (left === 0) break;
+        }
+        return { httpStatus: 200, drawn, left, rows: await ownRows(tx) };
+      });
+
+      const { httpStatus, drawn, left, rows, ...errorBody } = outcome;
+      if (!drawn) {
+        return res.status(httpStatus).json(errorBody);
+      }
+      return res.json({
+        ...summarizeSubscriptions(req.msisdn, rows, at),
+        requestedMb: dataMb,
+        consumedMb: dataMb - left,
+        deniedMb: left,
+        drawn,
+      });
+    } catch (error) {
+      console.error('Record usage failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/subscriptions:
+ *   get:
+ *     summary: List the signed-in user's subscriptions
+ *     description: >
+ *       Every number the user topped up, with its subscriptions as in
+ *       GET /api/numbers/{msisdn}/subscriptions.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: One entry per number, in the order the numbers were first topped up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NumberSubscriptions'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/subscriptions', requireAuth, async (req, res) => {
+  try {
+    const rows = await storage.subscriptions.listByEmail(req.user.email);
+    const byNumber = new Map();
+    for (const row of rows) {
+      if (!byNumber.has(row.msisdn)) byNumber.set(row.msisdn, []);
+      byNumber.get(row.msisdn).push(row);
+    }
+    const at = new Date();
+    return res.json({
+      data: [...byNumber].map(([msisdn, numberRows]) => summarizeSubscriptions(msisdn, numberRows, at)),
+    });
+  } catch (error) {
+    console.error('Fetch subscriptions failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/packages:
+ *   post:
+ *     summary: Add a package to the catalog
+ *     description: Admin role only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PackageRequest'
+ *     responses:
+ *       '201':
+ *         description: Package created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Package'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED) or package already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.post('/api/packages', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const id = req.body.id.trim();
+  const fields = parseCatalogFields(req.body, { requireAll: true, withQuota: true });
+
+  try {
+    const created = await storage.packages.create({
+      id,
+      name: fields.name,
+      description: fields.description || '',
+      data_quota_mb: fields.data_quota_mb === undefined ? null : fields.data_quota_mb,
+      validity_days: fields.validity_days,
+      price: fields.price,
+      active: fields.active !== false,
+      operators: fields.operators === undefined ? null : fields.operators,
+    });
+    return res.status(201).json(serializePackage(created));
+  } catch (error) {
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      return res.status(400).json({ status: 'error', message: 'Package already exists' });
+    }
+    console.error('Create package failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/packages/{id}:
+ *   put:
+ *     summary: Update a package
+ *     description: >
+ *       Admin role only. Only the supplied fields are changed. Set active to false to hide a package from
+ *       the store.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PackageUpdateRequest'
+ *     responses:
+ *       '200':
+ *         description: Updated package
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Package'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Package not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.put('/api/packages/:id', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const fields = parseCatalogFields(req.body, { requireAll: false, withQuota: true });
+
+  try {
+    const updated = await storage.packages.update(req.params.id, fields);
+    if (!updated) {
+      return res.status(404).json({ status: 'error', message: 'Package not found' });
+    }
+    return res.json(serializePackage(updated));
+  } catch (error) {
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      return res.status(400).json({ status: 'error', message: 'Package name already exists' });
+    }
+    console.error('Update package failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/packages/{id}:
+ *   delete:
+ *     summary: Remove a package from the catalog
+ *     description: Admin role only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Deleted package
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Package'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Package not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/packages/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await storage.packages.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ status: 'error', message: 'Package not found' });
+    }
+    return res.json(serializePackage(deleted));
+  } catch (error) {
+    console.error('Delete package failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/addons:
+ *   get:
+ *     summary: List active add-ons
+ *     responses:
+ *       '200':
+ *         description: Add-on catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Addon'
+ */
+app.get('/api/addons', async (req, res) => {
+  try {
+    const addons = await storage.addons.listActive();
+    return res.json(addons.map(serializeAddon));
+  } catch (error) {
+    console.error('Fetch addons failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/addons:
+ *   post:
+ *     summary: Add an add-on to the catalog
+ *     description: Admin role only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddonRequest'
+ *     responses:
+ *       '201':
+ *         description: Add-on created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Addon'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED) or add-on already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.post('/api/addons', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const id = req.body.id.trim();
+  const fields = parseCatalogFields(req.body, { requireAll: true, withQuota: false });
+
+  try {
+    const created = await storage.addons.create({
+      id,
+      name: fields.name,
+      price: fields.price,
+      active: fields.active !== false,
+    });
+    return res.status(201).json(serializeAddon(created));
+  } catch (error) {
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      return res.status(400).json({ status: 'error', message: 'Add-on already exists' });
+    }
+    console.error('Create addon failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/addons/{id}:
+ *   put:
+ *     summary: Update an add-on
+ *     description: Admin role only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddonUpdateRequest'
+ *     responses:
+ *       '200':
+ *         description: Updated add-on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Addon'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Add-on not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.put('/api/addons/:id', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const fields = parseCatalogFields(req.body, { requireAll: false, withQuota: false });
+
+  try {
+    const updated = await storage.addons.update(req.params.id, fields);
+    if (!updated) {
+      return res.status(404).json({ status: 'error', message: 'Add-on not found' });
+    }
+    return res.json(serializeAddon(updated));
+  } catch (error) {
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      return res.status(400).json({ status: 'error', message: 'Add-on name already exists' });
+    }
+    console.error('Update addon failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/addons/{id}:
+ *   delete:
+ *     summary: Remove an add-on from the catalog
+ *     description: Admin role only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Deleted add-on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Addon'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Add-on not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/addons/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await storage.addons.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ status: 'error', message: 'Add-on not found' });
+    }
+    return res.json(serializeAddon(deleted));
+  } catch (error) {
+    console.error('Delete addon failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/promotions:
+ *   get:
+ *     summary: List promo codes
+ *     responses:
+ *       '200':
+ *         description: Promotions with redemption counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Promotion'
+ */
+app.get('/api/promotions', async (req, res) => {
+  try {
+    const promotions = await storage.promotions.list();
+    return res.json(promotions.map(serializePromotion));
+  } catch (error) {
+    console.error('Fetch promotions failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promo code
+ *     description: Admin role only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionRequest'
+ *     responses:
+ *       '201':
+ *         description: Promotion created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED) or code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.post('/api/promotions', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const code = normalizePromoCode(req.body.code);
+  const fields = parsePromotionFields(req.body, { requireAll: true });
+
+  try {
+    const created = await storage.promotions.create({ code, ...fields });
+    return res.status(201).json(serializePromotion(created));
+  } catch (error) {
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      return res.status(400).json({ status: 'error', message: 'Promo code already exists' });
+    }
+    if (isStorageError(error, 'CHECK_VIOLATION')) {
+      return res.status(400).json({ status: 'error', message: 'Percent discounts cannot exceed 100' });
+    }
+    console.error('Create promotion failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/promotions/validate:
+ *   post:
+ *     summary: Check a promo code against a basket
+ *     description: >
+ *       Applies every promotion rule (active, start/expiry dates, package restriction,
+ *       minimum spend, global limit and the signed-in user's limit) without redeeming the code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionValidateRequest'
+ *     responses:
+ *       '200':
+ *         description: Code applies; returns the discounted price
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromotionValidateResponse'
+ *       '400':
+ *         description: >
+ *           Invalid body (code VALIDATION_FAILED) or code rejected. code is one of PROMO_NOT_FOUND, PROMO_INACTIVE,
+ *           PROMO_NOT_STARTED, PROMO_EXPIRED, PROMO_PACKAGE_NOT_ELIGIBLE, PROMO_MIN_SPEND_NOT_MET,
+ *           PROMO_USAGE_LIMIT_REACHED or PROMO_USER_LIMIT_REACHED.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.post('/api/promotions/validate', requireAuth, validateRequest, async (req, res) => {
+  const { packageId, addons = [] } = req.body;
+  const code = normalizePromoCode(req.body.code);
+  const { email } = req.user;
+  const packageIdValue = packageId.trim();
+  const addonIds = [...new Set(addons.map((addon) => addon.trim()))];
+
+  try {
+    const selectedPackage = await findActivePackage({ packageId: packageIdValue });
+    if (!selectedPackage) {
+      return res.status(400).json({ status: 'error', message: 'Unknown package' });
+    }
+    const selectedAddons = await findActiveAddons(addonIds);
+    if (!selectedAddons) {
+      return res.status(400).json({ status: 'error', message: 'Unknown add-on' });
+    }
+
+    const priceInput = {
+      packagePrice: selectedPackage.price,
+      addonPrices: selectedAddons.map((addon) => addon.price),
+    };
+    const { promotion, error } = await evaluatePromotion(storage.promotions, {
+      code,
+      email,
+      packageId: selectedPackage.id,
+      subtotal: calculateSubtotal(priceInput),
+    });
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return res.json({
+      status: 'success',
+      code: promotion.code,
+      discount_type: promotion.discount_type,
+      discount_value: Number(promotion.discount_value),
+      pricing: calculatePrice({ ...priceInput, promotion }),
+    });
+  } catch (error) {
+    console.error('Validate promotion failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/promotions/{code}:
+ *   get:
+ *     summary: Get a promo code
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Promotion detail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       '404':
+ *         description: Promotion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/promotions/:code', async (req, res) => {
+  try {
+    const promotion = await storage.promotions.findWithRedemptionCount(normalizePromoCode(req.params.code));
+    if (!promotion) {
+      return res.status(404).json({ status: 'error', message: 'Promotion not found' });
+    }
+    return res.json(serializePromotion(promotion));
+  } catch (error) {
+    console.error('Fetch promotion failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/promotions/{code}:
+ *   put:
+ *     summary: Update a promo code
+ *     description: Admin role only. Only the supplied fields are changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionUpdateRequest'
+ *     responses:
+ *       '200':
+ *         description: Updated promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       '400':
+ *         description: Invalid body (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Promotion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.put('/api/promotions/:code', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const fields = parsePromotionFields(req.body, { requireAll: false });
+
+  try {
+    const updated = await storage.promotions.update(normalizePromoCode(req.params.code), fields);
+    if (!updated) {
+      return res.status(404).json({ status: 'error', message: 'Promotion not found' });
+    }
+    return res.json(serializePromotion(updated));
+  } catch (error) {
+    if (isStorageError(error, 'CHECK_VIOLATION')) {
+      return res.status(400).json({ status: 'error', message: 'Percent discounts cannot exceed 100' });
+    }
+    console.error('Update promotion failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/promotions/{code}:
+ *   delete:
+ *     summary: Delete a promo code and its redemptions
+ *     description: Admin role only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Deleted promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Promotion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/promotions/:code', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await storage.promotions.delete(normalizePromoCode(req.params.code));
+    if (!deleted) {
+      return res.status(404).json({ status: 'error', message: 'Promotion not found' });
+    }
+    return res.json(serializePromotion(deleted));
+  } catch (error) {
+    console.error('Delete promotion failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/gateway/scenarios:
+ *   get:
+ *     summary: List payment gateway scenarios
+ *     description: >
+ *       A scenario is chosen per order by the X-Gateway-Scenario header, then the user's saved
+ *       scenario (/api/gateway/config), then the longest matching phone prefix, then "success".
+ *     responses:
+ *       '200':
+ *         description: Registered scenarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/GatewayScenario'
+ */
+app.get('/api/gateway/scenarios', (req, res) => {
+  return res.json(listScenarios());
+});
+
+/**
+ * @openapi
+ * /api/gateway/config:
+ *   get:
+ *     summary: Get the current user's gateway scenario
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Saved scenario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GatewayConfig'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/gateway/config', requireAuth, async (req, res) => {
+  try {
+    const user = await storage.users.findByEmail(req.user.email);
+    return res.json({ scenario: user ? user.gateway_scenario : null });
+  } catch (error) {
+    console.error('Fetch gateway config failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/gateway/config:
+ *   put:
+ *     summary: Pin a gateway scenario for the current user
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GatewayConfig'
+ *     responses:
+ *       '200':
+ *         description: Saved scenario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GatewayConfig'
+ *       '400':
+ *         description: Unknown scenario (code UNKNOWN_GATEWAY_SCENARIO)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.put('/api/gateway/config', requireAuth, validateRequest, async (req, res) => {
+  const scenario = req.body.scenario ? req.body.scenario.trim() : null;
+  if (scenario && !getScenario(scenario)) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'UNKNOWN_GATEWAY_SCENARIO',
+      message: `Unknown gateway scenario: ${scenario}`,
+    });
+  }
+
+  try {
+    await storage.users.setGatewayScenario(req.user.email, scenario);
+    return res.json({ scenario });
+  } catch (error) {
+    console.error('Update gateway config failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/payment-instruments:
+ *   get:
+ *     summary: List the current user's saved cards and wallet
+ *     description: Cards oldest first. A user who never topped up has a wallet with a zero balance.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Payment instruments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentInstruments'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/payment-instruments', requireAuth, async (req, res) => {
+  try {
+    const [cards, wallet] = await Promise.all([
+      storage.paymentCards.listByEmail(req.user.email),
+      storage.wallets.findByEmail(req.user.email),
+    ]);
+    return res.json({ cards: cards.map(serializePaymentCard), wallet: serializeWallet(wallet) });
+  } catch (error) {
+    console.error('Fetch payment instruments failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/payment-instruments/test-cards:
+ *   get:
+ *     summary: List the test card numbers that can be saved
+ *     description: Each one is paid through the gateway scenario it names, unless X-Gateway-Scenario overrides it.
+ *     responses:
+ *       '200':
+ *         description: Test cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TestCard'
+ */
+app.get('/api/payment-instruments/test-cards', (req, res) => {
+  res.json(TEST_CARDS.map((card) => ({ ...card, description: getScenario(card.scenario).description })));
+});
+
+/**
+ * @openapi
+ * /api/payment-instruments/cards:
+ *   post:
+ *     summary: Save a test card
+ *     description: >
+ *       Only the numbers from /api/payment-instruments/test-cards are accepted. The number and CVC
+ *       are checked and dropped; the card is kept as its brand, last four digits and expiry.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentCardRequest'
+ *     responses:
+ *       '201':
+ *         description: Saved card
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentCard'
+ *       '400':
+ *         description: Invalid payload (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '409':
+ *         description: The user already saved this card (code CARD_ALREADY_SAVED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '422':
+ *         description: >
+ *           The number fails the Luhn check (code CARD_NUMBER_INVALID) or is not a test card
+ *           (code CARD_NOT_TEST_CARD), the CVC has the wrong length for the brand (code
+ *           CARD_CVC_INVALID), or the card has expired (code CARD_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/payment-instruments/cards', requireAuth, validateRequest, async (req, res) => {
+  const { number, expMonth, expYear, cvc, holderName } = req.body;
+  const checked = checkCard({ number: number.trim(), expMonth, expYear, cvc: cvc.trim() });
+  if (checked.error) {
+    return res.status(422).json({ status: 'error', ...checked.error });
+  }
+
+  try {
+    const card = await storage.paymentCards.create({
+      cardId: generateId('CARD'),
+      email: req.user.email,
+      brand: checked.card.brand,
+      last4: checked.card.last4,
+      expMonth,
+      expYear,
+      holderName: holderName === undefined ? null : holderName.trim(),
+      scenario: checked.card.scenario,
+      numberHash: checked.card.numberHash,
+    });
+    await recordAudit(req, {
+      action: 'card.add',
+      targetType: 'card',
+      targetId: card.card_id,
+      after: serializePaymentCard(card),
+    });
+    return res.status(201).json(serializePaymentCard(card));
+  } catch (error) {
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      return res.status(409).json({ status: 'error', code: 'CARD_ALREADY_SAVED', message: 'Card is already saved' });
+    }
+    console.error('Save card failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/payment-instruments/cards/{cardId}:
+ *   delete:
+ *     summary: Remove a saved card
+ *     description: Transactions paid with it keep its card_id.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Removed card
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentCard'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '404':
+ *         description: The user has no such card
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/payment-instruments/cards/:cardId', requireAuth, async (req, res) => {
+  try {
+    const card = await storage.paymentCards.delete(req.params.cardId, req.user.email);
+    if (!card) {
+      return res.status(404).json({ status: 'error', message: 'Card not found' });
+    }
+    await recordAudit(req, {
+      action: 'card.remove',
+      targetType: 'card',
+      targetId: card.card_id,
+      before: serializePaymentCard(card),
+    });
+    return res.json(serializePaymentCard(card));
+  } catch (error) {
+    console.error('Remove card failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/payment-instruments/wallet:
+ *   get:
+ *     summary: Get the current user's wallet balance
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Wallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wallet'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/payment-instruments/wallet', requireAuth, async (req, res) => {
+  try {
+    return res.json(serializeWallet(await storage.wallets.findByEmail(req.user.email)));
+  } catch (error) {
+    console.error('Fetch wallet failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/payment-instruments/wallet/top-up:
+ *   post:
+ *     summary: Add sandbox money to the wallet
+ *     description: The balance cannot go above WALLET_MAX_BALANCE. Wallet orders are paid from it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         description: Replays the first response for the same key and body, as on /api/order.
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WalletTopUpRequest'
+ *     responses:
+ *       '200':
+ *         description: Wallet after the top-up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wallet'
+ *       '400':
+ *         description: Invalid amount (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '422':
+ *         description: The balance would go above WALLET_MAX_BALANCE (code WALLET_LIMIT_EXCEEDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post(
+  '/api/payment-instruments/wallet/top-up',
+  requireAuth,
+  validateRequest,
+  withIdempotency(async (req, res) => {
+    const { amount } = req.body;
+    try {
+      const before = await storage.wallets.findByEmail(req.user.email);
+      const wallet = await storage.wallets.credit(req.user.email, amount, { maxBalance: WALLET_MAX_BALANCE });
+      if (!wallet) {
+        return res.status(422).json({
+          status: 'error',
+          code: 'WALLET_LIMIT_EXCEEDED',
+          message: `A wallet can hold at most ${WALLET_MAX_BALANCE} THB`,
+          maxBalance: WALLET_MAX_BALANCE,
+        });
+      }
+      await recordAudit(req, {
+        action: 'wallet.top_up',
+        targetType: 'wallet',
+        targetId: req.user.email,
+        before: serializeWallet(before),
+        after: serializeWallet(wallet),
+        details: { amount },
+      });
+      return res.json(serializeWallet(wallet));
+    } catch (error) {
+      console.error('Wallet top-up failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  })
+);
+
+/**
+ * @openapi
+ * /api/order:
+ *   post:
+ *     summary: Perform a order payment
+ *     description: >
+ *       Simulates gateway behavior for QA testing scenarios. The price is recomputed on the
+ *       server from the package, add-ons and discount code; a client amount that disagrees
+ *       with it is rejected with PRICE_MISMATCH.
+ *
+ *       credit_card orders go through the gateway; the outcome comes from the scenario registry
+ *       (see /api/gateway/scenarios), and a saved card's test card picks the scenario. wallet
+ *       orders are paid from the wallet balance straight away, and qr orders are answered with
+ *       202 and a PromptPay payload to confirm at /api/transactions/{id}/confirm. Neither uses
+ *       gateway scenarios.
+ *
+ *       In async mode (?mode=async or Prefer: respond-async) a credit_card order is stored as
+ *       PENDING and answered with 202 straight away. The gateway runs in the background and moves
+ *       the transaction to SUCCESS or FAILED, or to EXPIRED after PAYMENT_PENDING_TTL_SECONDS.
+ *       Every status change is sent to the user's registered webhooks.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Gateway-Scenario
+ *         required: false
+ *         description: Forces a gateway scenario for this request.
+ *         schema:
+ *           type: string
+ *           example: declined_card
+ *       - in: header
+ *         name: Prefer
+ *         required: false
+ *         description: Send respond-async to process the payment asynchronously.
+ *         schema:
+ *           type: string
+ *           example: respond-async
+ *       - in: query
+ *         name: mode
+ *         required: false
+ *         description: Same as Prefer respond-async.
+ *         schema:
+ *           type: string
+ *           enum: [async]
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         description: >
+ *           Makes retries safe. The first response for a key is stored for
+ *           IDEMPOTENCY_KEY_TTL_SECONDS and replayed (with Idempotent-Replayed: true) when the
+ *           same user sends the same key and request again. A 5xx response is not stored, so a
+ *           retry after one is processed again.
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *           example: 5f1c2d3e-order-1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderRequest'
+ *     responses:
+ *       '200':
+ *         description: Payment processed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 txnId:
+ *                   type: string
+ *                   example: TXN-01M595EENNVBDZCVNP59P4C
+ *                 subtotal:
+ *                   type: number
+ *                   example: 1199
+ *                 discount:
+ *                   type: number
+ *                   example: 0
+ *                 vat:
+ *                   type: number
+ *                   example: 83.93
+ *                 total:
+ *                   type: number
+ *                   example: 1282.93
+ *                 amount:
+ *                   type: number
+ *                   example: 1282.93
+ *       '202':
+ *         description: >
+ *           Async mode, or a qr order; the transaction is PENDING. Poll statusUrl or wait for a
+ *           webhook. A qr order also returns the payload to confirm.
+ *         headers:
+ *           Location:
+ *             description: URL of the pending transaction
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderAcceptedResponse'
+ *       '400':
+ *         description: >
+ *           Invalid payload, a phone that is not a Thai mobile number (code INVALID_PHONE_NUMBER),
+ *           unknown package or add-on, or a rejected discount code
+ *           (see /api/promotions/validate for the PROMO_* codes), or an unknown
+ *           X-Gateway-Scenario (code UNKNOWN_GATEWAY_SCENARIO), or an Idempotency-Key
+ *           longer than 255 characters (code IDEMPOTENCY_KEY_INVALID), or a cardId the user has not
+ *           saved (code CARD_NOT_FOUND) or sent with another payment method (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '402':
+ *         description: >
+ *           Payment declined (code CARD_DECLINED, INSUFFICIENT_FUNDS, THREE_DS_REQUIRED or THREE_DS_FAILED),
+ *           a saved card that has expired (code CARD_EXPIRED), or a wallet balance below the total
+ *           (code INSUFFICIENT_FUNDS, with balance and amount)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: >
+ *           Client amount does not match the server-computed total (code PRICE_MISMATCH), or a
+ *           request with the same Idempotency-Key is still running (code
+ *           IDEMPOTENCY_REQUEST_IN_PROGRESS, see Retry-After)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/PriceMismatchResponse'
+ *                 - $ref: '#/components/schemas/ErrorResponse'
+ *       '422':
+ *         description: >
+ *           The phone number is blacklisted (code PHONE_NUMBER_BLACKLISTED), the package is not sold for its
+ *           operator (code PACKAGE_NOT_AVAILABLE_FOR_OPERATOR), or the Idempotency-Key was already used with
+ *           a different request (code IDEMPOTENCY_KEY_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '429':
+ *         description: >
+ *           Gateway rate limit (code GATEWAY_RATE_LIMITED), or too many orders from this IP or user
+ *           (code RATE_LIMITED). Both set Retry-After.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '503':
+ *         description: Gateway partially unavailable (code GATEWAY_UNAVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '504':
+ *         description: Gateway never answered (code GATEWAY_TIMEOUT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '500':
+ *         description: Gateway error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post(
+  '/api/order',
+  requireAuth,
+  rateLimit('order', signedInEmail),
+  validateRequest,
+  withIdempotency(async (req, res) => {
+    const { phone, amount, paymentMethod, cardId, email, packageId, package: packageName, addons = [], discountCode } =
+      req.body;
+    const emailValue = req.user.email;
+
+    if (email !== undefined && normalizeEmail(email) !== emailValue) {
+      return forbidden(res, 'Cannot place orders for another user');
+    }
+    // The one rule the schema cannot express: packageId, or the legacy package name instead.
+    if (packageId === undefined && packageName === undefined) {
+      return validationFailed(res, [
+        { in: 'body', field: 'packageId', rule: 'required', message: 'packageId is required' },
+      ]);
+    }
+    const number = lookupNumber(phone, { blacklist: NUMBER_BLACKLIST });
+    if (!number.valid) {
+      return res.status(400).json({ status: 'error', code: 'INVALID_PHONE_NUMBER', message: number.message });
+    }
+    if (number.blacklisted) {
+      return res
+        .status(422)
+        .json({ status: 'error', code: 'PHONE_NUMBER_BLACKLISTED', message: `${number.msisdn} cannot be topped up` });
+    }
+    const phoneValue = number.msisdn;
+    const packageIdValue = String(packageId || '').trim();
+    const packageValue = String(packageName || '').trim();
+    const addonIds = [...new Set(addons.map((addon) => addon.trim()))];
+    const discountCodeValue = String(discountCode || '').trim().toUpperCase();
+    const hasAmount = amount !== undefined && amount !== null;
+    const amountValue = Number(amount);
+    const methodValue = paymentMethod.trim();
+    const cardIdValue = cardId === undefined ? null : cardId.trim();
+    if (cardIdValue && methodValue !== 'credit_card') {
+      return validationFailed(res, [
+        {
+          in: 'body',
+          field: 'cardId',
+          rule: 'paymentMethod',
+          message: 'cardId can only be sent with paymentMethod credit_card',
+        },
+      ]);
+    }
+
+    let selectedPackage;
+    let selectedAddons;
+    try {
+      selectedPackage = await findActivePackage({ packageId: packageIdValue, packageName: packageValue });
+      if (!selectedPackage) {
+        return res.status(400).json({ status: 'error', message: 'Unknown package' });
+      }
+      if (!packageAvailableFor(selectedPackage, number.operator.id)) {
+        return res.status(422).json({
+          status: 'error',
+          code: 'PACKAGE_NOT_AVAILABLE_FOR_OPERATOR',
+          message: `${selectedPackage.name} is not available for ${number.operator.name} numbers`,
+        });
+      }
+      selectedAddons = await findActiveAddons(addonIds);
+      if (!selectedAddons) {
+        return res.status(400).json({ status: 'error', message: 'Unknown add-on' });
+      }
+    } catch (error) {
+      console.error('Order catalog lookup failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+
+    const priceInput = {
+      packagePrice: selectedPackage.price,
+      addonPrices: selectedAddons.map((addon) => addon.price),
+    };
+    const promotionInput = {
+      code: discountCodeValue,
+      email: emailValue,
+      packageId: selectedPackage.id,
+      subtotal: calculateSubtotal(priceInput),
+    };
+
+    let promotion = null;
+    if (discountCodeValue) {
+      try {
+        const evaluation = await evaluatePromotion(storage.promotions, promotionInput);
+        if (evaluation.error) {
+          return res.status(400).json(evaluation.error);
+        }
+        promotion = evaluation.promotion;
+      } catch (error) {
+        console.error('Order promotion lookup failed', error);
+        return res.status(500).json({ status: 'error', message: 'Database error' });
+      }
+    }
+
+    // The client-sent amount is only used to detect tampering; the charge is always the server price.
+    const pricing = calculatePrice({ ...priceInput, promotion });
+    if (hasAmount && Math.round(amountValue * 100) !== Math.round(pricing.total * 100)) {
+      return res.status(409).json({
+        status: 'error',
+        code: 'PRICE_MISMATCH',
+        message: 'Amount does not match the server price',
+        amount: amountValue,
+        expected: pricing,
+      });
+    }
+
+    let card = null;
+    if (cardIdValue) {
+      try {
+        card = await storage.paymentCards.find(cardIdValue, emailValue);
+      } catch (error) {
+        console.error('Order card lookup failed', error);
+        return res.status(500).json({ status: 'error', message: 'Database error' });
+      }
+      if (!card) {
+        return res.status(400).json({ status: 'error', code: 'CARD_NOT_FOUND', message: 'Unknown saved card' });
+      }
+      if (isCardExpired({ expMonth: card.exp_month, expYear: card.exp_year })) {
+        return res.status(402).json({ status: 'error', code: 'CARD_EXPIRED', message: 'Card has expired' });
+      }
+    }
+
+    // Writes the transaction and its promotion redemption atomically. Resolves to the
+    // inserted row, or to null after answering the request itself.
+    const recordTransaction = async (status) => {
+      const transaction = createTransaction({
+        email: emailValue,
+        phone: phoneValue,
+        packageId: selectedPackage.id,
+        packageName: selectedPackage.name,
+        addons: addonIds,
+        paymentMethod: methodValue,
+        cardId: card ? card.card_id : null,
+        discountCode: promotion ? promotion.code : null,
+        pricing,
+        status,
+      });
+
+      let outcome;
+      try {
+        outcome = await storage.transaction(async (tx) => {
+          // Limits are re-checked under a row lock so concurrent orders cannot over-redeem a code.
+          if (promotion) {
+            const evaluation = await evaluatePromotion(tx.promotions, { ...promotionInput, lock: true });
+            if (evaluation.error) {
+              return { error: evaluation.error };
+            }
+          }
+          // A wallet order is paid in the same commit that stores it.
+          if (methodValue === 'wallet' && !(await tx.wallets.debit(transaction.email, transaction.amount))) {
+            const wallet = await tx.wallets.findByEmail(transaction.email);
+            return { httpStatus: 402, error: insufficientWalletFunds(wallet, transaction.amount) };
+          }
+
+          const row = await tx.transactions.create({
+            txn_id: transaction.id,
+            email: transaction.email,
+            phone: transaction.phone,
+            package_id: transaction.packageId,
+            package_name: transaction.packageName,
+            addons: transaction.addons,
+            payment_method: transaction.paymentMethod,
+            card_id: transaction.cardId,
+            discount_code: transaction.discountCode,
+            subtotal: transaction.subtotal,
+            discount: transaction.discount,
+            vat: transaction.vat,
+            amount: transaction.amount,
+            status: transaction.status,
+            expires_at: transaction.expiresAt,
+          });
+
+          if (promotion) {
+            await tx.promotions.redeem({
+              code: promotion.code,
+              email: transaction.email,
+              txnId: transaction.id,
+              discount: transaction.discount,
+            });
+          }
+          if (status === 'SUCCESS') {
+            await activateSubscription(tx, row, row.created_at);
+          }
+          return { row };
+        });
+      } catch (error) {
+        console.error('Order transaction failed', error);
+        res.status(500).json({ status: 'error', message: 'Database error' });
+        return null;
+      }
+      if (outcome.error) {
+        res.status(outcome.httpStatus || 400).json(outcome.error);
+        return null;
+      }
+
+      publishTransactionEvent('transaction.created', outcome.row);
+      enqueueTransactionEvent(outcome.row).catch((error) => console.error('Queue webhook failed', error));
+      await recordAudit(req, {
+        action: 'order.create',
+        targetType: 'transaction',
+        targetId: transaction.id,
+        after: serializeTransaction(outcome.row),
+      });
+      return transaction;
+    };
+
+    const pricingPayload = (transaction) => ({
+      txnId: transaction.id,
+      subtotal: transaction.subtotal,
+      discount: transaction.discount,
+      vat: transaction.vat,
+      total: transaction.amount,
+      amount: transaction.amount,
+    });
+
+    // Wallet and QR payments are settled by the sandbox itself; gateway scenarios only apply to cards.
+    if (methodValue === 'wallet') {
+      const transaction = await recordTransaction('SUCCESS');
+      if (!transaction) return undefined;
+      return res.status(200).json({ status: 'success', ...pricingPayload(transaction) });
+    }
+    if (methodValue === 'qr') {
+      const transaction = await recordTransaction('PENDING');
+      if (!transaction) return undefined;
+
+      const statusUrl = `/api/transactions/${transaction.id}`;
+      res.set('Location', statusUrl);
+      return res.status(202).json({
+        status: 'pending',
+        ...pricingPayload(transaction),
+        expiresAt: transaction.expiresAt.toISOString(),
+        statusUrl,
+        qr: { payload: qrPayload(transaction.id, transaction.amount), confirmUrl: `${statusUrl}/confirm` },
+      });
+    }
+
+    const headerScenario = String(req.get('x-gateway-scenario') || '').trim();
+    let scenario;
+    try {
+      const user = await storage.users.findByEmail(emailValue);
+      scenario = resolveScenario({
+        headerScenario,
+        cardScenario: card ? card.scenario : null,
+        userScenario: user ? user.gateway_scenario : null,
+        phone: phoneValue,
+      });
+    } catch (error) {
+      console.error('Order scenario lookup failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+    if (!scenario) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'UNKNOWN_GATEWAY_SCENARIO',
+        message: `Unknown gateway scenario: ${headerScenario}`,
+      });
+    }
+
+    const asyncMode = req.query.mode === 'async' || /\brespond-async\b/i.test(req.get('prefer') || '');
+    if (asyncMode) {
+      const transaction = await recordTransaction('PENDING');
+      if (!transaction) return undefined;
+
+      settlePendingTransaction({ txnId: transaction.id, phone: phoneValue, scenario, body: req.body, pricing });
+      const statusUrl = `/api/transactions/${transaction.id}`;
+      res.set({ Location: statusUrl, 'Preference-Applied': 'respond-async' });
+      return res.status(202).json({
+        status: 'pending',
+        ...pricingPayload(transaction),
+        expiresAt: transaction.expiresAt.toISOString(),
+        statusUrl,
+      });
+    }
+
+    let outcome;
+    try {
+      outcome = await scenario.run({ body: req.body, phone: phoneValue, pricing });
+    } catch (error) {
+      console.error(`Gateway scenario ${scenario.name} failed`, error);
+      return res.status(500).json({ status: 'error', message: 'Gateway error' });
+    }
+
+    if (outcome.approved) {
+      const transaction = await recordTransaction('SUCCESS');
+      if (!transaction) return undefined;
+
+      const payload = { status: 'success', ...pricingPayload(transaction) };
+      if (outcome.respond) {
+        return outcome.respond(res, payload);
+      }
+      return res.status(200).json(payload);
+    }
+    if (outcome.respond) {
+      return outcome.respond(res);
+    }
+
+    const { approved, httpStatus, headers, respond, ...errorBody } = outcome;
+    if (headers) {
+      res.set(headers);
+    }
+    return res.status(httpStatus).json({ status: 'error', ...errorBody });
+  })
+);
+
+// Answers with one page of `email`'s transactions (everyone's for null) matching `criteria`.
+async function sendTransactionPage(res, criteria, email) {
+  try {
+    // One extra row tells whether another page follows.
+    const { rows, total } = await storage.transactions.search({ ...criteria, email, limit: criteria.limit + 1 });
+    const items = rows.slice(0, criteria.limit);
+    const hasMore = rows.length > criteria.limit;
+    return res.json({
+      data: items.map(serializeTransaction),
+      pagination: {
+        total,
+        limit: criteria.limit,
+        offset: criteria.after ? null : criteria.offset,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(criteria.sort, items[items.length - 1]) : null,
+      },
+      sort: formatSort(criteria.sort),
+    });
+  } catch (error) {
+    console.error('Fetch transactions failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+}
+
+/**
+ * @openapi
+ * /api/transactions:
+ *   get:
+ *     summary: Get transactions for the current user
+ *     description: >
+ *       One page of the user's transactions, newest first unless `sort` says otherwise. Page with
+ *       `offset`, or with `cursor` set to the previous page's `pagination.nextCursor`, which keeps
+ *       its place when new orders arrive. List filters take comma-separated values or a repeated
+ *       parameter; all filters combine with AND.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         required: false
+ *         description: Optional. Must match the token's user when supplied.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         example: SUCCESS,REFUNDED
+ *       - in: query
+ *         name: paymentMethod
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         example: credit_card
+ *       - in: query
+ *         name: packageId
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         example: 5g-max-speed
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Created at or after. A bare date starts at midnight Asia/Bangkok.
+ *         schema:
+ *           type: string
+ *           example: '2025-01-01'
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Created before. A bare date includes that whole day in Asia/Bangkok.
+ *         schema:
+ *           type: string
+ *           example: '2025-01-31'
+ *       - in: query
+ *         name: minAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: maxAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: created_at, amount or id; prefix with - for descending. Ties are broken by id.
+ *         schema:
+ *           type: string
+ *           default: -created_at
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         description: Cannot be combined with cursor.
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: pagination.nextCursor from the previous page. Send the same sort and filters with it.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: One page of transactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionPage'
+ *       '400':
+ *         description: >
+ *           A limit, offset or amount that is not a number in range (code VALIDATION_FAILED), or an
+ *           unknown status or sort, a bad date range or cursor, or cursor with offset (code INVALID_QUERY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api/transactions', requireAuth, validateRequest, async (req, res) => {
+  const email = req.user.email;
+  if (req.query.email !== undefined && normalizeEmail(req.query.email) !== email) {
+    return forbidden(res, 'Cannot read transactions of another user');
+  }
+
+  let criteria;
+  try {
+    criteria = parseTransactionQuery(req.query);
+  } catch (error) {
+    if (!(error instanceof TransactionQueryError)) throw error;
+    return res.status(400).json({ status: 'error', code: 'INVALID_QUERY', message: error.message });
+  }
+
+  return sendTransactionPage(res, criteria, email);
+});
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Resolves once `chunk` is buffered, waiting for 'drain' when the client reads slower than we write.
+// A client that went away resolves it too; callers check res.destroyed to stop.
+function writeChunk(res, chunk) {
+  if (res.destroyed || res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * @openapi
+ * /api/transactions/export:
+ *   get:
+ *     summary: Download the current user's transactions as CSV or JSON Lines
+ *     description: >
+ *       Streams every transaction matching the same filters and sort as GET /api/transactions, as an
+ *       attachment. Paging parameters are rejected. Timestamps are in Asia/Bangkok time. CSV follows
+ *       RFC 4180 with a header row; add-ons are joined with ";" and text starting with =, +, - or @ is
+ *       prefixed with an apostrophe so spreadsheets do not run it. JSONL has one transaction object
+ *       per line, as returned by the API.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *           default: csv
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: paymentMethod
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: packageId
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: maxAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: -created_at
+ *     responses:
+ *       '200':
+ *         description: The export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       '400':
+ *         description: >
+ *           Unknown format or an amount that is not a number (code VALIDATION_FAILED), or an unknown
+ *           status or sort, a bad date range, or a paging parameter (code INVALID_QUERY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api/transactions/export', requireAuth, validateRequest, async (req, res) => {
+  const email = req.user.email;
+  if (req.query.email !== undefined && normalizeEmail(req.query.email) !== email) {
+    return forbidden(res, 'Cannot read transactions of another user');
+  }
+
+  const { format: rawFormat = 'csv', ...query } = req.query;
+  const format = rawFormat.trim();
+
+  let criteria;
+  try {
+    criteria = parseTransactionQuery(query, { paging: false });
+  } catch (error) {
+    if (!(error instanceof TransactionQueryError)) throw error;
+    return res.status(400).json({ status: 'error', code: 'INVALID_QUERY', message: error.message });
+  }
+
+  // Rows are read in keyset batches, so the export neither holds the whole set in memory nor skips
+  // or repeats rows when new transactions arrive while it runs.
+  const { contentType, header, row: formatRow } = EXPORT_FORMATS[format];
+  let after = null;
+  try {
+    do {
+      const batch = { ...criteria, email, after, offset: 0, limit: EXPORT_BATCH_SIZE, withTotal: false };
+      const { rows } = await storage.transactions.search(batch);
+      if (!res.headersSent) {
+        res.set({
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${exportFilename(format)}"`,
+          'Cache-Control': 'no-store',
+        });
+        await writeChunk(res, header());
+      }
+      for (const row of rows) {
+        if (res.destroyed) break;
+        await writeChunk(res, formatRow(serializeTransaction(row)));
+      }
+      after = rows.length === EXPORT_BATCH_SIZE ? positionAfter(criteria.sort, rows[rows.length - 1]) : null;
+    } while (after && !res.destroyed);
+    return res.end();
+  } catch (error) {
+    console.error('Export transactions failed', error);
+    if (res.headersSent) {
+      // Cutting the stream short tells the client the file is incomplete.
+      return res.destroy(error);
+    }
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+// One Server-Sent Events frame. Data is JSON, so it never spans lines.
+function sseFrame({ id, event, data }) {
+  return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * @openapi
+ * /api/transactions/stream:
+ *   get:
+ *     summary: Stream the current user's transaction changes as Server-Sent Events
+ *     description: >
+ *       Keeps the response open and sends an event whenever one of the user's transactions is
+ *       created, changes status, is refunded or is deleted. Each event has an id; reconnect with
+ *       Last-Event-ID set to the last one seen to get the events sent meanwhile. When they can no
+ *       longer be replayed (the server restarted or too much happened since), a resync event without
+ *       an id comes first, and the client should reload the list. A comment line is sent every
+ *       STREAM_HEARTBEAT_SECONDS so proxies keep the connection open.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Id of the last event received, to resume after a disconnect
+ *     responses:
+ *       '200':
+ *         description: >
+ *           Event stream. Events are transaction.created, transaction.status_changed,
+ *           transaction.refunded (data also has the refund), transaction.deleted and resync.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionStreamEvent'
+ *             example: |
+ *               id: m2x1k9-4
+ *               event: transaction.status_changed
+ *               data: {"type":"transaction.status_changed","transaction":{"txn_id":"TXN-...","status":"SUCCESS"}}
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/transactions/stream', requireAuth, (req, res) => {
+  const { email } = req.user;
+  const lastEventId = req.get('last-event-id');
+  const missed = lastEventId ? transactionEvents.since(email, lastEventId) : [];
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream.
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  if (missed === null) {
+    res.write(sseFrame({ event: 'resync', data: { type: 'resync', message: 'Missed events are gone; reload' } }));
+  } else {
+    missed.forEach((entry) => res.write(sseFrame(entry)));
+  }
+
+  const unsubscribe = transactionEvents.subscribe(email, (entry) => res.write(sseFrame(entry)));
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_SECONDS * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * @openapi
+ * /api/transactions/{id}:
+ *   get:
+ *     summary: Get a transaction by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Transaction detail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       '400':
+ *         description: Transaction ID has a wrong check character (code INVALID_TRANSACTION_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/transactions/:id', requireAuth, loadOwnedTransaction, (req, res) => {
+  return res.json(serializeTransaction(req.transaction));
+});
+
+/**
+ * @openapi
+ * /api/transactions/{id}:
+ *   put:
+ *     summary: Update a transaction status
+ *     description: >
+ *       Owners cannot move a PENDING payment to SUCCESS (403); it settles through the gateway or,
+ *       for qr, POST /api/transactions/{id}/confirm. Nor can they move a transaction to REFUNDED
+ *       (403); refunds are up to staff, through POST /api/transactions/{id}/refunds or
+ *       PUT /api/admin/transactions/{id}/status.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateStatusRequest'
+ *     responses:
+ *       '200':
+ *         description: Updated transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       '400':
+ *         description: >
+ *           Invalid body, e.g. an unknown status (code VALIDATION_FAILED), or a transaction ID with a
+ *           wrong check character (code INVALID_TRANSACTION_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: >
+ *           The status change is not allowed (code INVALID_TRANSITION). PENDING may move to
+ *           SUCCESS, FAILED or EXPIRED and SUCCESS to REFUNDED; every other status is final.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionErrorResponse'
+ */
+app.put('/api/transactions/:id', requireAuth, validateRequest, loadOwnedTransaction, async (req, res) => {
+  const { status, reason } = req.body;
+  if (req.transaction.status === 'PENDING' && status.trim() === 'SUCCESS') {
+    return forbidden(res, 'Only staff can mark a pending payment as SUCCESS');
+  }
+  if (status.trim() === 'REFUNDED') {
+    return forbidden(res, 'Only staff can refund a transaction');
+  }
+  return updateTransactionStatus(req, res, status, reason === undefined ? null : reason.trim());
+});
+
+/**
+ * @openapi
+ * /api/transactions/{id}:
+ *   delete:
+ *     summary: Delete a transaction
+ *     description: The subscription the transaction started, if any, is cancelled with it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Deleted transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       '400':
+ *         description: Transaction ID has a wrong check character (code INVALID_TRANSACTION_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/transactions/:id', requireAuth, loadOwnedTransaction, async (req, res) => {
+  try {
+    // Cancelled before the delete unlinks it, so a paid top-up cannot stay active without its history.
+    const { deleted, cancelled } = await storage.transaction(async (tx) => {
+      const subscription = await tx.subscriptions.cancelByTxnId(req.params.id);
+      return { deleted: await tx.transactions.delete(req.params.id), cancelled: subscription };
+    });
+    if (!deleted) {
+      return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+    }
+
+    publishTransactionEvent('transaction.deleted', deleted);
+    await recordAudit(req, {
+      action: 'transaction.delete',
+      targetType: 'transaction',
+      targetId: deleted.txn_id,
+      before: serializeTransaction(deleted),
+      details: { subscriptionCancelled: Boolean(cancelled) },
+    });
+    return res.json(serializeTransaction(deleted));
+  } catch (error) {
+    console.error('Delete transaction failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/transactions/{id}/refunds:
+ *   post:
+ *     summary: Refund all or part of a transaction
+ *     description: >
+ *       Support and admin only; customers ask support instead of refunding their own orders. Only
+ *       SUCCESS transactions can be refunded, within REFUND_WINDOW_DAYS (default 30) of their
+ *       creation. Any refund cancels the subscription the transaction paid for. Refunds add up on
+ *       the transaction's refunded_amount; once it reaches the amount charged the transaction
+ *       becomes REFUNDED. Honors Idempotency-Key like POST /api/order.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefundRequest'
+ *     responses:
+ *       '201':
+ *         description: Refund recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefundResponse'
+ *       '400':
+ *         description: >
+ *           Missing reason, or an amount that is not a positive number with at most 2 decimals
+ *           (code VALIDATION_FAILED), or a transaction ID with a wrong check character (code
+ *           INVALID_TRANSACTION_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: The transaction is not SUCCESS or is already fully refunded (code TRANSACTION_NOT_REFUNDABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '422':
+ *         description: >
+ *           Outside the refund window (code REFUND_WINDOW_EXPIRED, with refundableUntil) or more than
+ *           is left to refund (code REFUND_EXCEEDS_BALANCE, with refundableAmount)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post(
+  '/api/transactions/:id/refunds',
+  requireAuth,
+  requireRole(...STAFF_ROLES),
+  validateRequest,
+  loadAnyTransaction,
+  withIdempotency(async (req, res) => {
+    const { amount = null, reason } = req.body;
+
+    try {
+      const { httpStatus, refund, transaction, subscription, walletCredited, ...errorBody } = await refundTransaction({
+        txnId: req.params.id,
+        amount,
+        reason: reason.trim(),
+        approvedBy: req.user.email,
+      });
+      if (!refund) {
+        return res.status(httpStatus).json(errorBody);
+      }
+      await recordAudit(req, {
+        action: 'refund.create',
+        targetType: 'transaction',
+        targetId: transaction.txn_id,
+        before: serializeTransaction(req.transaction),
+        after: serializeTransaction(transaction),
+        details: {
+          refundId: refund.refund_id,
+          amount: Number(refund.amount),
+          reason: refund.reason,
+          subscriptionCancelled: Boolean(subscription),
+          walletCredited,
+        },
+      });
+      return res.status(httpStatus).json({
+        refund: serializeRefund(refund),
+        transaction: serializeTransaction(transaction),
+      });
+    } catch (error) {
+      console.error('Refund transaction failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  })
+);
+
+/**
+ * @openapi
+ * /api/transactions/{id}/refunds:
+ *   get:
+ *     summary: List the refunds of a transaction
+ *     description: Oldest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Refunds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Refund'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/transactions/:id/refunds', requireAuth, loadOwnedTransaction, async (req, res) => {
+  try {
+    const refunds = await storage.refunds.listByTxnId(req.params.id);
+    return res.json(refunds.map(serializeRefund));
+  } catch (error) {
+    console.error('Fetch refunds failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/transactions/{id}/confirm:
+ *   post:
+ *     summary: Confirm a QR payment
+ *     description: >
+ *       Stands in for the payer scanning the PromptPay QR and approving it in their banking app.
+ *       The payload must be the one the order returned. The PENDING qr transaction moves to
+ *       SUCCESS; one that is not confirmed within PAYMENT_PENDING_TTL_SECONDS expires. Sandbox only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QrConfirmRequest'
+ *     responses:
+ *       '200':
+ *         description: The paid transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       '400':
+ *         description: Missing payload (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found, or SANDBOX_MODE is off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: >
+ *           Not a qr payment (code NOT_A_QR_PAYMENT), or no longer PENDING, e.g. already confirmed
+ *           or expired (code INVALID_TRANSITION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '422':
+ *         description: The payload is not the one for this payment (code QR_PAYLOAD_MISMATCH)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post(
+  '/api/transactions/:id/confirm',
+  requireSandbox,
+  requireAuth,
+  validateRequest,
+  loadOwnedTransaction,
+  async (req, res) => {
+    const { transaction } = req;
+    if (transaction.payment_method !== 'qr') {
+      return res
+        .status(409)
+        .json({ status: 'error', code: 'NOT_A_QR_PAYMENT', message: 'Only qr payments are confirmed' });
+    }
+    if (transaction.status !== 'PENDING') {
+      return res.status(409).json(transitionError(transaction.status, 'SUCCESS'));
+    }
+    if (req.body.payload.trim() !== qrPayload(transaction.txn_id, transaction.amount)) {
+      return res
+        .status(422)
+        .json({ status: 'error', code: 'QR_PAYLOAD_MISMATCH', message: 'Payload does not match this payment' });
+    }
+
+    try {
+      const updated = await transitionTransaction(transaction.txn_id, 'PENDING', 'SUCCESS', null);
+      if (!updated) {
+        // It expired in the meantime.
+        const current = await storage.transactions.findByTxnId(transaction.txn_id);
+        if (!current) {
+          return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+        }
+        return res.status(409).json(transitionError(current.status, 'SUCCESS'));
+      }
+      await recordAudit(req, {
+        action: 'payment.qr_confirm',
+        targetType: 'transaction',
+        targetId: updated.txn_id,
+        before: serializeTransaction(transaction),
+        after: serializeTransaction(updated),
+      });
+      return res.json(serializeTransaction(updated));
+    } catch (error) {
+      console.error('Confirm QR payment failed', error);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  }
+);
+
+const RECEIPT_STATUSES = ['SUCCESS', 'REFUNDED'];
+
+// Rows from before the price breakdown was stored only have the VAT-inclusive amount.
+function receiptBreakdown(row) {
+  const total = Number(row.amount);
+  const discount = Number(row.discount);
+  if (row.vat === null) {
+    const taxable = roundMoney(total / (1 + VAT_RATE));
+    return { subtotal: roundMoney(taxable + discount), discount, taxable, vat: roundMoney(total - taxable), total };
+  }
+  const subtotal = Number(row.subtotal);
+  return { subtotal, discount, taxable: roundMoney(Math.max(subtotal - discount, 0)), vat: Number(row.vat), total };
+}
+
+/**
+ * @openapi
+ * /api/transactions/{id}/receipt:
+ *   get:
+ *     summary: Get a printable receipt / tax invoice
+ *     description: >
+ *       A self-contained HTML page with the seller, customer, purchased items and the VAT breakdown
+ *       (subtotal, discount, amount before VAT, VAT 7% and total), plus any refunds and the net amount
+ *       paid. Only paid transactions (SUCCESS or REFUNDED) have a receipt.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Receipt page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       '400':
+ *         description: Transaction ID checksum mismatch (code INVALID_TRANSACTION_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: The transaction was never paid (code RECEIPT_NOT_AVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/transactions/:id/receipt', requireAuth, loadOwnedTransaction, async (req, res) => {
+  const transaction = req.transaction;
+  if (!RECEIPT_STATUSES.includes(transaction.status)) {
+    return res.status(409).json({
+      status: 'error',
+      code: 'RECEIPT_NOT_AVAILABLE',
+      message: `No receipt for a ${transaction.status} transaction; only paid transactions have one`,
+    });
+  }
+
+  try {
+    const addonIds = transaction.addons || [];
+    const [refunds, addons] = await Promise.all([
+      storage.refunds.listByTxnId(transaction.txn_id),
+      addonIds.length ? storage.addons.findByIds(addonIds) : [],
+    ]);
+    const addonNames = new Map(addons.map((addon) => [addon.id, addon.name]));
+    const items = [
+      { name: transaction.package_name, kind: 'Package' },
+      ...addonIds.map((id) => ({ name: addonNames.get(id) || id, kind: 'Add-on' })),
+    ];
+
+    res.set('Cache-Control', 'no-store');
+    return res.type('html').send(
+      renderReceipt({
+        transaction: serializeTransaction(transaction),
+        items,
+        breakdown: { ...receiptBreakdown(transaction), vatRate: VAT_RATE },
+        refunds: refunds.map(serializeRefund),
+      })
+    );
+  } catch (error) {
+    console.error('Build receipt failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   get:
+ *     summary: List the current user's webhook endpoints
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Registered endpoints
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookEndpoint'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/webhooks', requireAuth, async (req, res) => {
+  try {
+    const endpoints = await storage.webhooks.listEndpoints(req.user.email);
+    return res.json(endpoints.map(serializeWebhookEndpoint));
+  } catch (error) {
+    console.error('Fetch webhooks failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: >
+ *       Every status change of the user's transactions (transaction.pending, transaction.success,
+ *       transaction.failed, transaction.expired, transaction.refunded) is POSTed to the URL as
+ *       JSON. The X-Sandbox-Signature header is "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ *       '<t>.<raw body>' keyed with the endpoint secret>". Non-2xx answers and timeouts are
+ *       retried with exponential backoff up to WEBHOOK_MAX_ATTEMPTS times.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookEndpointRequest'
+ *     responses:
+ *       '201':
+ *         description: Endpoint registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpoint'
+ *       '400':
+ *         description: Missing url (code VALIDATION_FAILED) or one that is not http(s)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.post('/api/webhooks', requireAuth, validateRequest, async (req, res) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(req.body.url.trim());
+  } catch (error) {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return res.status(400).json({ status: 'error', message: 'url must be an http(s) URL' });
+  }
+
+  try {
+    const endpoint = await storage.webhooks.createEndpoint({
+      email: req.user.email,
+      url: parsedUrl.href,
+      secret: generateWebhookSecret(),
+    });
+    return res.status(201).json(serializeWebhookEndpoint(endpoint));
+  } catch (error) {
+    console.error('Create webhook failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Remove a webhook endpoint and its delivery history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Removed endpoint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpoint'
+ *       '400':
+ *         description: id is not an integer (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '404':
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/webhooks/:id', requireAuth, validateRequest, async (req, res) => {
+  try {
+    const deleted = await storage.webhooks.deleteEndpoint(Number(req.params.id), req.user.email);
+    if (!deleted) {
+      return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+    }
+    return res.json(serializeWebhookEndpoint(deleted));
+  } catch (error) {
+    console.error('Delete webhook failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/deliveries:
+ *   get:
+ *     summary: List webhook deliveries for the current user
+ *     description: Newest first, including every retry's last result.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: event
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: transaction.success
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 200
+ *     responses:
+ *       '200':
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       '400':
+ *         description: Invalid status filter or limit (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+app.get('/api/webhooks/deliveries', requireAuth, validateRequest, async (req, res) => {
+  const statusValue = req.query.status !== undefined ? req.query.status.trim() : null;
+  const eventValue = req.query.event !== undefined ? req.query.event.trim() : null;
+  const limitValue = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+  try {
+    const deliveries = await storage.webhooks.listDeliveries({
+      email: req.user.email,
+      status: statusValue,
+      event: eventValue,
+      limit: limitValue,
+    });
+    return res.json(deliveries.map(serializeWebhookDelivery));
+  } catch (error) {
+    console.error('Fetch webhook deliveries failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+// Named snapshots live in process memory: they are lost on restart and the oldest is
+// dropped once TEST_SNAPSHOT_LIMIT are held.
+const testSnapshots = new Map();
+
+const ADMIN_USERS_DEFAULT_LIMIT = 20;
+
+// Reads ?role, ?locked, ?email (part of an address), ?limit and ?offset once validateRequest passed them.
+function parseUserListQuery(query) {
+  return {
+    role: query.role === undefined ? null : query.role.trim(),
+    locked: query.locked === undefined ? null : query.locked.trim() === 'true',
+    emailContains: normalizeEmail(query.email) || null,
+    limit: query.limit === undefined ? ADMIN_USERS_DEFAULT_LIMIT : Number(query.limit),
+    offset: query.offset === undefined ? 0 : Number(query.offset),
+  };
+}
+
+function auditUserChange(req, action, before, after) {
+  return recordAudit(req, {
+    action,
+    targetType: 'user',
+    targetId: after.email,
+    before: serializeUser(before),
+    after: serializeUser(after),
+  });
+}
+
+function cannotModifySelf(res, message) {
+  return res.status(409).json({ status: 'error', code: 'CANNOT_MODIFY_SELF', message });
+}
+
+/**
+ * @openapi
+ * /api/admin/users:
+ *   get:
+ *     summary: List users across all accounts
+ *     description: Support and admin roles only. Ordered by id.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [customer, support, admin]
+ *       - in: query
+ *         name: locked
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: email
+ *         required: false
+ *         description: Matches any part of the email address.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *     responses:
+ *       '200':
+ *         description: One page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserPage'
+ *       '400':
+ *         description: Invalid filter, limit or offset (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api/admin/users', requireAuth, requireRole(...STAFF_ROLES), validateRequest, async (req, res) => {
+  const criteria = parseUserListQuery(req.query);
+
+  try {
+    const { rows, total } = await storage.users.search(criteria);
+    return res.json({
+      data: rows.map(serializeUser),
+      pagination: {
+        total,
+        limit: criteria.limit,
+        offset: criteria.offset,
+        hasMore: criteria.offset + rows.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('Fetch users failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/users/{email}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: Admin role only. Takes effect on the user's next request.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleRequest'
+ *     responses:
+ *       '200':
+ *         description: Updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       '400':
+ *         description: Unknown role (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: Admins cannot change their own role (code CANNOT_MODIFY_SELF)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.put('/api/admin/users/:email/role', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const email = normalizeEmail(req.params.email);
+  const role = req.body.role.trim();
+  if (email === req.user.email) {
+    return cannotModifySelf(res, 'Admins cannot change their own role');
+  }
+
+  try {
+    const current = await storage.users.findByEmail(email);
+    const updated = current && (await storage.users.setRole(email, role));
+    if (!updated) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    await auditUserChange(req, 'user.role_change', current, updated);
+    return res.json(serializeUser(updated));
+  } catch (error) {
+    console.error('Update role failed', error);
     return res.status(500).json({ status: 'error', message: 'Database error' });
   }
 });
 
 /**
  * @openapi
- * /api/login:
+ * /api/admin/users/{email}/lock:
  *   post:
- *     summary: Login with email and password
+ *     summary: Lock a user out
+ *     description: >
+ *       Admin role only. Revokes every session of the user and makes /api/login answer 403
+ *       ACCOUNT_LOCKED until the account is unlocked. Locking a locked account updates the reason.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LockRequest'
+ *     responses:
+ *       '200':
+ *         description: Locked user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       '400':
+ *         description: Reason is not a string of 1 to 500 characters (code VALIDATION_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: Admins cannot lock themselves (code CANNOT_MODIFY_SELF)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/admin/users/:email/lock', requireAuth, requireRole('admin'), validateRequest, async (req, res) => {
+  const email = normalizeEmail(req.params.email);
+  const reason = req.body && req.body.reason !== undefined ? req.body.reason.trim() : null;
+  if (email === req.user.email) {
+    return cannotModifySelf(res, 'Admins cannot lock themselves');
+  }
+
+  try {
+    const outcome = await storage.transaction(async (tx) => {
+      const current = await tx.users.findByEmail(email);
+      if (!current) return null;
+      await tx.sessions.revokeAllForEmail(email);
+      return { current, locked: await tx.users.setLock(email, { lockedAt: current.locked_at || new Date(), reason }) };
+    });
+    if (!outcome) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    await auditUserChange(req, 'user.lock', outcome.current, outcome.locked);
+    return res.json(serializeUser(outcome.locked));
+  } catch (error) {
+    console.error('Lock user failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/users/{email}/unlock:
+ *   post:
+ *     summary: Unlock a user
+ *     description: >
+ *       Admin role only. The user can log in again, and a lockout from wrong passwords is lifted
+ *       too. Revoked sessions stay revoked.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Unlocked user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/admin/users/:email/unlock', requireAuth, requireRole('admin'), async (req, res) => {
+  const email = normalizeEmail(req.params.email);
+  try {
+    const current = await storage.users.findByEmail(email);
+    const unlocked =
+      current &&
+      (await storage.transaction(async (tx) => {
+        await tx.users.clearLoginFailures(email);
+        return tx.users.setLock(email, { lockedAt: null, reason: null });
+      }));
+    if (!unlocked) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    await auditUserChange(req, 'user.unlock', current, unlocked);
+    return res.json(serializeUser(unlocked));
+  } catch (error) {
+    console.error('Unlock user failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/transactions:
+ *   get:
+ *     summary: List transactions across all accounts
+ *     description: >
+ *       Support and admin roles only. Takes the same filters, sort and paging as GET
+ *       /api/transactions, plus an exact email filter.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: paymentMethod
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: packageId
+ *         required: false
+ *         description: Comma-separated or repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: maxAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: -created_at
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: One page of transactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionPage'
+ *       '400':
+ *         description: >
+ *           A limit, offset or amount that is not a number in range (code VALIDATION_FAILED), or an
+ *           unknown status or sort, a bad date range or cursor, or cursor with offset (code INVALID_QUERY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api/admin/transactions', requireAuth, requireRole(...STAFF_ROLES), validateRequest, async (req, res) => {
+  let criteria;
+  try {
+    criteria = parseTransactionQuery(req.query);
+  } catch (error) {
+    if (!(error instanceof TransactionQueryError)) throw error;
+    return res.status(400).json({ status: 'error', code: 'INVALID_QUERY', message: error.message });
+  }
+
+  return sendTransactionPage(res, criteria, normalizeEmail(req.query.email) || null);
+});
+
+/**
+ * @openapi
+ * /api/admin/transactions/{id}/status:
+ *   put:
+ *     summary: Adjust the status of any user's transaction
+ *     description: >
+ *       Admin role only. Follows the same state machine as PUT /api/transactions/{id}, but a
+ *       reason is required; it is kept as status_reason, and REFUNDED records it on the refund.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/LoginRequest'
+ *             $ref: '#/components/schemas/AdminStatusRequest'
+ *     responses:
+ *       '200':
+ *         description: Updated transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       '400':
+ *         description: >
+ *           Missing status or reason, or an unknown status (code VALIDATION_FAILED), or a transaction ID
+ *           with a wrong check character (code INVALID_TRANSACTION_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '409':
+ *         description: The status change is not allowed (code INVALID_TRANSITION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionErrorResponse'
+ *       '422':
+ *         description: REFUNDED outside the refund window (code REFUND_WINDOW_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.put(
+  '/api/admin/transactions/:id/status',
+  requireAuth,
+  requireRole('admin'),
+  validateRequest,
+  loadAnyTransaction,
+  async (req, res) => {
+    const { status, reason } = req.body;
+    return updateTransactionStatus(req, res, status, reason.trim());
+  }
+);
+
+// Parses GET /api/audit filters that validateRequest passed, or returns { error } for dates.
+// `from`/`to` take any date Date.parse reads.
+function parseAuditQuery(query) {
+  const single = (name) => (query[name] === undefined ? null : String(query[name]).trim() || null);
+  // ?action=a,b and ?action=a&action=b both read as "a,b".
+  const actionList = single('action');
+  const actions = actionList && [...new Set(actionList.split(',').map((action) => action.trim()).filter(Boolean))];
+
+  const dates = {};
+  for (const name of ['from', 'to']) {
+    const value = single(name);
+    dates[name] = value === null ? null : new Date(value);
+    if (dates[name] && Number.isNaN(dates[name].getTime())) {
+      return { error: `${name} must be a date or timestamp` };
+    }
+  }
+  if (dates.from && dates.to && dates.from >= dates.to) {
+    return { error: 'from must be before to' };
+  }
+
+  return {
+    actions: actions && actions.length ? actions : null,
+    outcome: single('outcome'),
+    actorEmail: normalizeEmail(query.actor) || null,
+    targetType: single('targetType'),
+    targetId: single('targetId'),
+    requestId: single('requestId'),
+    createdFrom: dates.from,
+    createdTo: dates.to,
+    limit: query.limit === undefined ? AUDIT_DEFAULT_LIMIT : Number(query.limit),
+    offset: query.offset === undefined ? 0 : Number(query.offset),
+  };
+}
+
+/**
+ * @openapi
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: >
+ *       Support and admin roles only. Newest first. Events are written by register, login (including
+ *       failed attempts), password reset, orders, transaction status changes, refunds, deletes and the
+ *       admin user actions. The log is append-only; only POST /api/test/reset and restore clear it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         required: false
+ *         description: One action, a comma-separated list, or the parameter repeated.
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AuditAction'
+ *         example: auth.login,auth.password_reset
+ *       - in: query
+ *         name: outcome
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: actor
+ *         required: false
+ *         description: Exact actor email.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [user, transaction, card, wallet]
+ *       - in: query
+ *         name: targetId
+ *         required: false
+ *         description: Email (users and wallets), txn_id or card id.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         required: false
+ *         description: Value of the X-Request-Id response header.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Events at or after this time (ISO 8601).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Events before this time (ISO 8601).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
  *     responses:
  *       '200':
- *         description: Authenticated
+ *         description: One page of audit events
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               $ref: '#/components/schemas/AuditEventPage'
  *       '400':
- *         description: Invalid payload
+ *         description: >
+ *           Unknown action, outcome or targetType, or a bad limit or offset (code VALIDATION_FAILED);
+ *           from or to that is not a date, or from not before to (code INVALID_QUERY)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       '401':
- *         description: Invalid credentials
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
  */
-app.post('/api/login', async (req, res) => {
-  const email = normalizeEmail(req.body && req.body.email);
-  const password = String(req.body && req.body.password ? req.body.password : '').trim();
-
-  if (!email || !password) {
-    return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+app.get('/api/audit', requireAuth, requireRole(...STAFF_ROLES), validateRequest, async (req, res) => {
+  const criteria = parseAuditQuery(req.query);
+  if (criteria.error) {
+    return res.status(400).json({ status: 'error', code: 'INVALID_QUERY', message: criteria.error });
   }
 
   try {
-    const result = await pool.query('SELECT password FROM users WHERE email = $1', [email]);
-    if (result.rowCount === 0) {
-      return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
-    }
-
-    const storedPassword = String(result.rows[0].password || '');
-    if (storedPassword !== password) {
-      return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
-    }
-
-    return res.status(200).json({ token: 'mock-token' });
+    const { rows, total } = await storage.auditEvents.search(criteria);
+    return res.json({
+      data: rows.map(serializeAuditEvent),
+      pagination: {
+        total,
+        limit: criteria.limit,
+        offset: criteria.offset,
+        hasMore: criteria.offset + rows.length < total,
+      },
+    });
   } catch (error) {
-    console.error('Login failed', error);
+    console.error('Fetch audit events failed', error);
     return res.status(500).json({ status: 'error', message: 'Database error' });
   }
 });
 
 /**
  * @openapi
- * /api/auth/otp/request:
+ * /api/test/reset:
  *   post:
- *     summary: Request a password reset OTP
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/OtpRequest'
+ *     summary: Delete all data and restore the seeded catalog and promo codes
+ *     description: >
+ *       Part of the test data API, which only exists in sandbox mode and needs ADMIN_API_KEY
+ *       in the X-Admin-Key header. Ids restart from 1, rate limit counters are cleared and saved
+ *       snapshots are kept.
+ *     security:
+ *       - adminKey: []
  *     responses:
  *       '200':
- *         description: OTP sent
+ *         description: Data reset
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/BasicResponse'
- *       '400':
- *         description: Invalid payload
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key (code ADMIN_KEY_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '403':
+ *         description: ADMIN_API_KEY is not set (code ADMIN_KEY_NOT_CONFIGURED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '404':
+ *         description: SANDBOX_MODE is off
  */
-app.post('/api/auth/otp/request', (req, res) => {
-  const email = normalizeEmail(req.body && req.body.email);
-  if (!email) {
-    return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+app.post('/api/test/reset', requireTestApi, async (req, res) => {
+  try {
+    await storage.reset();
+    rateLimiter.clear();
+    return res.json({ status: 'success', message: 'Data reset' });
+  } catch (error) {
+    console.error('Test reset failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
   }
-  return res.status(200).json({ status: 'success', message: 'OTP sent' });
 });
 
 /**
  * @openapi
- * /api/auth/otp/verify:
+ * /api/test/seed:
  *   post:
- *     summary: Verify a password reset OTP
+ *     summary: Insert a fixture or a named preset
+ *     description: >
+ *       Everything is written in one transaction: if any entry is invalid or collides with
+ *       existing data, nothing is inserted. Send reset true to start from the seeded baseline,
+ *       which makes the resulting ids repeatable.
+ *     security:
+ *       - adminKey: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/OtpVerifyRequest'
+ *             $ref: '#/components/schemas/SeedRequest'
  *     responses:
- *       '200':
- *         description: OTP verified
+ *       '201':
+ *         description: Seeded; lists the created users (with passwords), catalog keys and transaction IDs
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/BasicResponse'
+ *               $ref: '#/components/schemas/SeedResponse'
  *       '400':
- *         description: Invalid payload
+ *         description: >
+ *           A field of the wrong type or an unknown preset (code VALIDATION_FAILED), or an invalid
+ *           fixture entry or bad params (code FIXTURE_INVALID)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       '401':
- *         description: Invalid OTP
+ *         description: Missing or wrong X-Admin-Key
+ *       '404':
+ *         description: SANDBOX_MODE is off
+ *       '409':
+ *         description: An entry already exists, e.g. a registered email (code FIXTURE_CONFLICT)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.post('/api/auth/otp/verify', (req, res) => {
-  const email = normalizeEmail(req.body && req.body.email);
-  const otp = String(req.body && req.body.otp ? req.body.otp : '').trim();
-  if (!email || !otp) {
-    return res.status(400).json({ status: 'error', message: 'Invalid payload' });
-  }
-  if (otp !== '1234') {
-    return res.status(401).json({ status: 'error', message: 'Invalid OTP' });
+app.post('/api/test/seed', requireTestApi, validateRequest, async (req, res) => {
+  const body = req.body;
+  try {
+    const fixture = body.preset !== undefined ? buildPreset(body.preset, body.params) : body;
+    if (body.reset === true) {
+      await storage.reset();
+    }
+    const seeded = await applyFixture(fixture);
+    return res.status(201).json({ status: 'success', ...seeded });
+  } catch (error) {
+    if (error instanceof FixtureError) {
+      return res.status(400).json({ status: 'error', code: 'FIXTURE_INVALID', message: error.message });
+    }
+    if (isStorageError(error, 'UNIQUE_VIOLATION')) {
+      return res.status(409).json({ status: 'error', code: 'FIXTURE_CONFLICT', message: error.message });
+    }
+    if (isStorageError(error, 'FOREIGN_KEY_VIOLATION') || isStorageError(error, 'CHECK_VIOLATION')) {
+      return res.status(400).json({ status: 'error', code: 'FIXTURE_INVALID', message: error.message });
+    }
+    console.error('Test seed failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
   }
-  return res.status(200).json({ status: 'success', message: 'OTP verified' });
 });
 
 /**
  * @openapi
- * /api/auth/reset-password:
+ * /api/test/snapshot:
  *   post:
- *     summary: Reset a user password
+ *     summary: Save the current data under a name
+ *     description: >
+ *       Snapshots are kept in server memory (the newest 20), so they do not survive a restart.
+ *       Saving under an existing name replaces it.
+ *     security:
+ *       - adminKey: []
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9_.-]{1,64}$'
+ *                 description: Up to 64 letters, digits, ".", "_" or "-". Defaults to a generated name.
+ *                 example: before-checkout
  *     responses:
- *       '200':
- *         description: Password updated
+ *       '201':
+ *         description: Snapshot saved
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/BasicResponse'
+ *               $ref: '#/components/schemas/Snapshot'
  *       '400':
- *         description: Invalid payload
+ *         description: Invalid name (code VALIDATION_FAILED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
  *       '404':
- *         description: User not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         description: SANDBOX_MODE is off
  */
-app.post('/api/auth/reset-password', async (req, res) => {
-  const email = normalizeEmail(req.body && req.body.email);
-  const newPassword = String(req.body && req.body.newPassword ? req.body.newPassword : '').trim();
-  if (!email || !newPassword) {
-    return res.status(400).json({ status: 'error', message: 'Invalid payload' });
-  }
+app.post('/api/test/snapshot', requireTestApi, validateRequest, async (req, res) => {
+  const name =
+    req.body && req.body.name !== undefined ? req.body.name.trim() : `snap_${crypto.randomBytes(4).toString('hex')}`;
 
   try {
-    const result = await pool.query('UPDATE users SET password = $1 WHERE email = $2', [newPassword, email]);
-    if (result.rowCount === 0) {
-      return res.status(404).json({ status: 'error', message: 'User not found' });
+    const data = await storage.snapshot();
+    const createdAt = new Date();
+    testSnapshots.delete(name);
+    testSnapshots.set(name, { data, createdAt });
+    if (testSnapshots.size > TEST_SNAPSHOT_LIMIT) {
+      testSnapshots.delete(testSnapshots.keys().next().value);
     }
-    return res.status(200).json({ status: 'success', message: 'Password updated' });
+    return res.status(201).json({ status: 'success', name, createdAt });
   } catch (error) {
-    console.error('Reset password failed', error);
+    console.error('Test snapshot failed', error);
     return res.status(500).json({ status: 'error', message: 'Database error' });
   }
 });
 
 /**
  * @openapi
- * /api/order:
+ * /api/test/restore:
  *   post:
- *     summary: Perform a order payment
- *     description: Simulates gateway behavior for QA testing scenarios.
+ *     summary: Replace all data with a saved snapshot
+ *     description: >
+ *       The snapshot is kept, so a suite can restore the same state before every test. New ids
+ *       continue after the largest restored one.
+ *     security:
+ *       - adminKey: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/OrderRequest'
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: before-checkout
+ *             required: [name]
  *     responses:
  *       '200':
- *         description: Payment processed successfully
+ *         description: Data restored
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 txnId:
- *                   type: string
- *                   example: TXN-1700000000000
- *                 amount:
- *                   type: number
- *                   example: 1199
+ *               $ref: '#/components/schemas/Snapshot'
  *       '400':
- *         description: Invalid payload
+ *         description: Missing name (code VALIDATION_FAILED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       '500':
- *         description: Gateway error
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
+ *       '404':
+ *         description: Unknown snapshot, or SANDBOX_MODE is off
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.post('/api/order', (req, res) => {
-  const { phone, amount, paymentMethod, email, package: packageName } = req.body || {};
-  const emailValue = normalizeEmail(email);
-  const phoneValue = String(phone || '').trim();
-  const packageValue = String(packageName || '').trim();
-  const amountValue = Number(amount);
-  const methodValue = String(paymentMethod || '').trim();
-
-  if (!emailValue || !packageValue || !phoneValue || Number.isNaN(amountValue) || !methodValue) {
-    return res.status(400).json({ status: 'error', message: 'Invalid payload' });
+app.post('/api/test/restore', requireTestApi, validateRequest, async (req, res) => {
+  const name = req.body.name.trim();
+  const snapshot = testSnapshots.get(name);
+  if (!snapshot) {
+    return res.status(404).json({ status: 'error', message: 'Snapshot not found' });
   }
 
-  // Mock payment gateway behaviors:
-  // 1) 099 prefix -> immediate gateway error (HTTP 500).
-  // 2) 088 prefix -> 5s delay to mimic timeout behavior.
-  // 3) All others -> 1.5s delay then success.
-  if (phoneValue.startsWith('099')) {
-    return res.status(500).json({ status: 'error', message: 'Gateway error' });
+  try {
+    await storage.restore(snapshot.data);
+    return res.json({ status: 'success', name, createdAt: snapshot.createdAt });
+  } catch (error) {
+    console.error('Test restore failed', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
   }
+});
 
-  const respondSuccess = async () => {
-    const transaction = createTransaction({
-      email: emailValue,
-      packageName: packageValue,
-      paymentMethod: methodValue,
-      amount: amountValue,
-      status: 'SUCCESS',
-    });
-
-    try {
-      await pool.query(
-        `
-          INSERT INTO transactions
-            (txn_id, email, package_name, payment_method, amount, status, created_at)
-          VALUES
-            ($1, $2, $3, $4, $5, $6, $7)
-        `,
-        [
-          transaction.id,
-          transaction.email,
-          transaction.packageName,
-          transaction.paymentMethod,
-          transaction.amount,
-          transaction.status,
-          transaction.createdAt,
-        ]
-      );
-
-      res.status(200).json({
-        status: 'success',
-        txnId: transaction.id,
-        amount: transaction.amount,
-      });
-    } catch (error) {
-      console.error('Order transaction failed', error);
-      res.status(500).json({ status: 'error', message: 'Database error' });
-    }
-  };
-
-  if (phoneValue.startsWith('088')) {
-    return setTimeout(() => {
-      respondSuccess();
-    }, 5000);
-  }
+function rateLimitSettings() {
+  return { policies: rateLimiter.policies(), loginLockout };
+}
 
-  return setTimeout(() => {
-    respondSuccess();
-  }, 1500);
+/**
+ * @openapi
+ * /api/test/rate-limits:
+ *   get:
+ *     summary: Show the rate limit policies and login lockout in effect
+ *     security:
+ *       - adminKey: []
+ *     responses:
+ *       '200':
+ *         description: Current settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitSettings'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
+ *       '404':
+ *         description: SANDBOX_MODE is off
+ */
+app.get('/api/test/rate-limits', requireTestApi, (req, res) => {
+  return res.json(rateLimitSettings());
 });
 
 /**
  * @openapi
- * /api/transactions:
- *   get:
- *     summary: Get transactions for a user
- *     parameters:
- *       - in: query
- *         name: email
- *         required: true
- *         schema:
- *           type: string
+ * /api/test/rate-limits:
+ *   put:
+ *     summary: Change rate limit policies or the login lockout until the next restart
+ *     description: >
+ *       Send only what should change, e.g. { "policies": { "login": { "max": 3 } } } to be refused on
+ *       the fourth login within the window. A changed policy starts with fresh counters. Settings
+ *       stay in effect across /api/test/reset; DELETE puts the configured ones back.
+ *     security:
+ *       - adminKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RateLimitSettings'
  *     responses:
  *       '200':
- *         description: List of transactions
+ *         description: Settings now in effect
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Transaction'
+ *               $ref: '#/components/schemas/RateLimitSettings'
  *       '400':
- *         description: Missing email query
+ *         description: >
+ *           A value that is not a positive integer (code VALIDATION_FAILED) or an unknown policy
+ *           (code RATE_LIMITS_INVALID)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
+ *       '404':
+ *         description: SANDBOX_MODE is off
  */
-app.get('/api/transactions', async (req, res) => {
-  const email = normalizeEmail(req.query && req.query.email);
-  if (!email) {
-    return res.status(400).json({ status: 'error', message: 'Email query required' });
-  }
+app.put('/api/test/rate-limits', requireTestApi, validateRequest, (req, res) => {
+  const { policies, loginLockout: lockout } = req.body;
 
   try {
-    const result = await pool.query('SELECT * FROM transactions WHERE email = $1 ORDER BY id DESC', [email]);
-    return res.json(result.rows);
+    rateLimiter.update(policies || {});
   } catch (error) {
-    console.error('Fetch transactions failed', error);
-    return res.status(500).json({ status: 'error', message: 'Database error' });
+    if (error instanceof RateLimitError) {
+      return res.status(400).json({ status: 'error', code: 'RATE_LIMITS_INVALID', message: error.message });
+    }
+    throw error;
+  }
+  if (lockout) {
+    loginLockout = {
+      maxFailures: lockout.maxFailures === undefined ? loginLockout.maxFailures : lockout.maxFailures,
+      lockoutSeconds: lockout.lockoutSeconds === undefined ? loginLockout.lockoutSeconds : lockout.lockoutSeconds,
+    };
   }
+  return res.json(rateLimitSettings());
 });
 
 /**
  * @openapi
- * /api/transactions/{id}:
- *   get:
- *     summary: Get a transaction by ID
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ * /api/test/rate-limits:
+ *   delete:
+ *     summary: Put the configured rate limits and login lockout back and clear all counters
+ *     security:
+ *       - adminKey: []
  *     responses:
  *       '200':
- *         description: Transaction detail
+ *         description: Settings now in effect
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Transaction'
+ *               $ref: '#/components/schemas/RateLimitSettings'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
  *       '404':
- *         description: Transaction not found
+ *         description: SANDBOX_MODE is off
+ */
+app.delete('/api/test/rate-limits', requireTestApi, (req, res) => {
+  rateLimiter.restore();
+  loginLockout = { ...LOGIN_LOCKOUT };
+  return res.json(rateLimitSettings());
+});
+
+/**
+ * @openapi
+ * /api/chaos:
+ *   get:
+ *     summary: List the active chaos rules
+ *     description: >
+ *       Chaos rules inject latency and faults into matching requests, in sandbox mode only. Besides
+ *       these rules, a request that also sends X-Admin-Key can carry its own fault in an X-Chaos
+ *       header, e.g. "fault=error; status=502; probability=0.5" (the ChaosRuleRequest fields except
+ *       method and path). Without the key the header gets 401 ADMIN_KEY_INVALID. The header rule
+ *       is tried first, then these rules in order; the first that fires applies, and the response
+ *       carries X-Chaos-Rule with its id ("header" for the header).
+ *       /api/chaos and /api/test are never affected.
+ *     security:
+ *       - adminKey: []
+ *     responses:
+ *       '200':
+ *         description: Rules in the order they are tried
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *               $ref: '#/components/schemas/ChaosRuleList'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
+ *       '404':
+ *         description: SANDBOX_MODE is off
  */
-app.get('/api/transactions/:id', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM transactions WHERE txn_id = $1 LIMIT 1', [req.params.id]);
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ status: 'error', message: 'Transaction not found' });
-    }
+app.get('/api/chaos', requireTestApi, (req, res) => {
+  return res.json({ rules: chaos.rules() });
+});
 
-    return res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Fetch transaction failed', error);
-    return res.status(500).json({ status: 'error', message: 'Database error' });
-  }
+/**
+ * @openapi
+ * /api/chaos:
+ *   delete:
+ *     summary: Remove every chaos rule
+ *     security:
+ *       - adminKey: []
+ *     responses:
+ *       '200':
+ *         description: No rules are left
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosRuleList'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
+ *       '404':
+ *         description: SANDBOX_MODE is off
+ */
+app.delete('/api/chaos', requireTestApi, (req, res) => {
+  chaos.clear();
+  return res.json({ rules: chaos.rules() });
 });
 
 /**
  * @openapi
- * /api/transactions/{id}:
- *   put:
- *     summary: Update a transaction status
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ * /api/chaos/rules:
+ *   post:
+ *     summary: Add a chaos rule
+ *     description: >
+ *       The rule is tried after the existing ones. It stays until it is deleted or the server
+ *       restarts; /api/test/reset leaves it in place.
+ *     security:
+ *       - adminKey: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UpdateStatusRequest'
+ *             $ref: '#/components/schemas/ChaosRuleRequest'
+ *           example:
+ *             method: POST
+ *             path: /api/login
+ *             probability: 0.5
+ *             latencyMs: 800
+ *             fault: error
+ *             status: 503
  *     responses:
- *       '200':
- *         description: Updated transaction
+ *       '201':
+ *         description: Rule added
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Transaction'
+ *               $ref: '#/components/schemas/ChaosRule'
  *       '400':
- *         description: Invalid payload
+ *         description: >
+ *           Invalid body (code VALIDATION_FAILED), or a rule that does nothing, a status without fault
+ *           error, or too many rules (code CHAOS_RULE_INVALID)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
  *       '404':
- *         description: Transaction not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         description: SANDBOX_MODE is off
  */
-app.put('/api/transactions/:id', async (req, res) => {
-  const { status } = req.body || {};
-  if (typeof status !== 'string' || !status.trim()) {
-    return res.status(400).json({ status: 'error', message: 'Invalid payload' });
-  }
-
-  const statusValue = status.trim().toUpperCase();
-
+app.post('/api/chaos/rules', requireTestApi, validateRequest, (req, res) => {
+  const { path: rulePath, ...rest } = req.body;
   try {
-    const result = await pool.query(
-      `
-        UPDATE transactions
-        SET status = $1
-        WHERE txn_id = $2
-        RETURNING *
-      `,
-      [statusValue, req.params.id]
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ status: 'error', message: 'Transaction not found' });
-    }
-
-    return res.json(result.rows[0]);
+    const rule = chaos.add({ path: rulePath.trim(), ...rest });
+    return res.status(201).json(rule);
   } catch (error) {
-    console.error('Update transaction failed', error);
-    return res.status(500).json({ status: 'error', message: 'Database error' });
+    if (error instanceof ChaosError) {
+      return res.status(400).json({ status: 'error', code: 'CHAOS_RULE_INVALID', message: error.message });
+    }
+    throw error;
   }
 });
 
 /**
  * @openapi
- * /api/transactions/{id}:
+ * /api/chaos/rules/{id}:
  *   delete:
- *     summary: Delete a transaction
+ *     summary: Remove one chaos rule
+ *     security:
+ *       - adminKey: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           type: integer
  *     responses:
  *       '200':
- *         description: Deleted transaction
+ *         description: Rule removed
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Transaction'
- *       '404':
- *         description: Transaction not found
+ *               $ref: '#/components/schemas/BasicResponse'
+ *       '400':
+ *         description: Invalid id (code VALIDATION_FAILED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         description: Missing or wrong X-Admin-Key
+ *       '404':
+ *         description: No such rule, or SANDBOX_MODE is off
  */
-app.delete('/api/transactions/:id', async (req, res) => {
-  try {
-    const result = await pool.query(
-      `
-        DELETE FROM transactions
-        WHERE txn_id = $1
-        RETURNING *
-      `,
-      [req.params.id]
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ status: 'error', message: 'Transaction not found' });
-    }
+app.delete('/api/chaos/rules/:id', requireTestApi, validateRequest, (req, res) => {
+  if (!chaos.remove(Number(req.params.id))) {
+    return res.status(404).json({ status: 'error', message: 'Chaos rule not found' });
+  }
+  return res.json({ status: 'success', message: 'Chaos rule removed' });
+});
 
-    return res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Delete transaction failed', error);
-    return res.status(500).json({ status: 'error', message: 'Database error' });
+// Errors no route answered. A body express.json() could not read gets the validation error shape;
+// anything else is a plain 500, never Express's HTML page with the stack trace.
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return validationFailed(res, [{ in: 'body', field: null, rule: 'json', message: 'Body is not valid JSON' }]);
+  }
+  if (error.type === 'entity.too.large') {
+    const message = `Body is larger than the ${error.limit} byte limit`;
+    return validationFailed(res, [{ in: 'body', field: null, rule: 'maxSize', message }], 413);
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ status: 'error', message: error.message });
   }
+  console.error('Unhandled error', error);
+  return res.status(500).json({ status: 'error', message: 'Internal server error' });
 });
 
 async function startServer() {
   try {
-    await initDb();
-    app.listen(PORT, () => {
-      console.log(`Mobile Internet Service Sandbox running on http://localhost:${PORT}`);
-    });
+    if (MIGRATE_ON_START) {
+      await storage.migrate();
+    }
   } catch (error) {
-    console.error('Failed to initialize database', error);
+    console.error('Failed to migrate database', error);
     process.exit(1);
   }
+  startBackgroundJobs();
+  return app.listen(PORT, () => {
+    console.log(`Mobile Internet Service Sandbox running on http://localhost:${PORT} (storage: ${storage.backend})`);
+  });
+}
+
+// Requiring this file (e.g. from tests) gives the app without listening or starting background jobs.
+if (require.main === module) {
+  startServer();
 }
 
-startServer();
+module.exports = {
+  app,
+  storage,
+  startServer,
+};
@@ -0,0 +1,151 @@
+// Registration, login, refresh token rotation and the OTP password reset.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp } = require('./helpers');
+
+const api = startApp();
+
+beforeEach(() => api.reset());
+
+test('register, log in and read the current user', async () => {
+  const credentials = { email: 'Auth@Example.com', password: PASSWORD };
+  assert.equal((await api.request('POST', '/api/register', { body: credentials })).status, 201);
+
+  const duplicate = await api.request('POST', '/api/register', { body: credentials });
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.body.message, 'Email already registered');
+
+  const login = await api.request('POST', '/api/login', { body: { email: 'auth@example.com', password: PASSWORD } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.tokenType, 'Bearer');
+
+  const me = await api.request('GET', '/api/auth/me', { token: login.body.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, 'auth@example.com');
+  assert.equal(me.body.role, 'customer');
+});
+
+test('a weak password is refused with the rules it fails', async () => {
+  const weak = await api.request('POST', '/api/register', { body: { email: 'weak@example.com', password: 'short' } });
+  assert.equal(weak.status, 400);
+  assert.equal(weak.body.code, 'PASSWORD_POLICY_VIOLATION');
+  assert.ok(weak.body.failedRules.length > 0);
+});
+
+test('a wrong password or unknown email gets the same 401', async () => {
+  await api.signIn('login@example.com');
+  const login = (email, password) => api.request('POST', '/api/login', { body: { email, password } });
+  const wrong = await login('login@example.com', 'Wrong1234');
+  const unknown = await login('nobody@example.com', PASSWORD);
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(unknown.body, wrong.body);
+});
+
+test('requests without a valid bearer token are refused', async () => {
+  const missing = await api.request('GET', '/api/auth/me');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.code, 'TOKEN_MISSING');
+
+  const garbage = await api.request('GET', '/api/auth/me', { token: 'not-a-token' });
+  assert.equal(garbage.status, 401);
+});
+
+test('a refresh token rotates, and replaying the old one revokes the session', async () => {
+  const { refreshToken } = await api.signIn('refresh@example.com');
+
+  const rotated = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, refreshToken);
+  assert.equal(rotated.body.refreshToken.split('.')[0], refreshToken.split('.')[0]);
+
+  const replayed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.body.code, 'TOKEN_REVOKED');
+
+  const current = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+  assert.equal(current.status, 401);
+  assert.equal(current.body.code, 'TOKEN_REVOKED');
+});
+
+test('a made-up refresh secret is rejected without signing the user out', async () => {
+  const { refreshToken } = await api.signIn('guess@example.com');
+  const sessionId = refreshToken.split('.')[0];
+
+  const guessed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: `${sessionId}.guess` } });
+  assert.equal(guessed.status, 401);
+  assert.equal(guessed.body.code, 'TOKEN_INVALID');
+
+  const malformed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: sessionId } });
+  assert.equal(malformed.status, 400);
+
+  const stillValid = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(stillValid.status, 200);
+});
+
+test('logout revokes the session behind the access token', async () => {
+  const { token, refreshToken } = await api.signIn('logout@example.com');
+  assert.equal((await api.request('POST', '/api/auth/logout', { token })).status, 200);
+
+  assert.equal((await api.request('GET', '/api/auth/me', { token })).status, 401);
+  const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(refreshed.body.code, 'TOKEN_REVOKED');
+});
+
+test('the OTP flow resets the password and signs out every session', async () => {
+  const email = 'otp@example.com';
+  const { token } = await api.signIn(email);
+
+  assert.equal((await api.request('POST', '/api/auth/otp/request', { body: { email } })).status, 200);
+  // Sandbox mode always issues OTP_SANDBOX_CODE.
+  const verified = await api.request('POST', '/api/auth/otp/verify', { body: { email, otp: '1234' } });
+  assert.equal(verified.status, 200);
+
+  const newPassword = 'Changed456';
+  const reset = await api.request('POST', '/api/auth/reset-password', {
+    body: { email, resetTicket: verified.body.resetTicket, newPassword },
+  });
+  assert.equal(reset.status, 200);
+  assert.equal((await api.request('GET', '/api/auth/me', { token })).status, 401);
+
+  const reused = await api.request('POST', '/api/auth/reset-password', {
+    body: { email, resetTicket: verified.body.resetTicket, newPassword: 'Another789' },
+  });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'RESET_TICKET_INVALID');
+
+  const login = await api.request('POST', '/api/login', { body: { email, password: newPassword } });
+  assert.equal(login.status, 200);
+});
+
+test('a wrong OTP counts down the attempts and then locks the email', async () => {
+  const email = 'otp-lock@example.com';
+  await api.signIn(email);
+  await api.request('POST', '/api/auth/otp/request', { body: { email } });
+
+  const first = await api.request('POST', '/api/auth/otp/verify', { body: { email, otp: '0000' } });
+  assert.equal(first.status, 401);
+  assert.equal(first.body.code, 'OTP_INVALID');
+  assert.equal(first.body.attemptsRemaining, 4);
+
+  let last;
+  for (let attempt = 2; attempt <= 5; attempt += 1) {
+    last = await api.request('POST', '/api/auth/otp/verify', { body: { email, otp: '0000' } });
+  }
+  assert.equal(last.status, 429);
+  assert.equal(last.body.code, 'OTP_LOCKED');
+  assert.ok(Number(last.headers.get('retry-after')) > 0);
+
+  const correct = await api.request('POST', '/api/auth/otp/verify', { body: { email, otp: '1234' } });
+  assert.equal(correct.status, 429);
+});
+
+test('an OTP request for an unknown email looks the same but issues nothing', async () => {
+  const email = 'ghost@example.com';
+  const requested = await api.request('POST', '/api/auth/otp/request', { body: { email } });
+  assert.equal(requested.status, 200);
+
+  const verified = await api.request('POST', '/api/auth/otp/verify', { body: { email, otp: '1234' } });
+  assert.equal(verified.status, 401);
+  assert.equal(verified.body.code, 'OTP_NOT_REQUESTED');
+});
@@ -0,0 +1,66 @@
+// Chaos rules and the X-Chaos header, which both need the admin key.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startApp } = require('./helpers');
+
+const api = startApp();
+
+beforeEach(async () => {
+  await api.reset();
+  await api.request('DELETE', '/api/chaos', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+});
+
+test('an X-Chaos header without the admin key is refused instead of applied', async () => {
+  const anonymous = await api.request('GET', '/api/packages', { headers: { 'X-Chaos': 'fault=error; status=502' } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, 'ADMIN_KEY_INVALID');
+  assert.equal(anonymous.headers.get('x-chaos-rule'), null);
+
+  const wrongKey = await api.request('GET', '/api/packages', {
+    headers: { 'X-Chaos': 'fault=error; status=502', 'X-Admin-Key': 'guess' },
+  });
+  assert.equal(wrongKey.status, 401);
+});
+
+test('an X-Chaos header with the admin key injects its fault', async () => {
+  const injected = await api.request('GET', '/api/packages', {
+    headers: { 'X-Chaos': 'fault=error; status=502', 'X-Admin-Key': ADMIN_KEY },
+  });
+  assert.equal(injected.status, 502);
+  assert.equal(injected.body.code, 'CHAOS_INJECTED');
+  assert.equal(injected.headers.get('x-chaos-rule'), 'header');
+
+  const invalid = await api.request('GET', '/api/packages', {
+    headers: { 'X-Chaos': 'fault=explode', 'X-Admin-Key': ADMIN_KEY },
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'CHAOS_HEADER_INVALID');
+});
+
+test('a chaos rule applies to matching requests until it is removed', async () => {
+  const created = await api.request('POST', '/api/chaos/rules', {
+    headers: { 'X-Admin-Key': ADMIN_KEY },
+    body: { method: 'GET', path: '/api/packages', fault: 'error', status: 503 },
+  });
+  assert.equal(created.status, 201);
+
+  const hit = await api.request('GET', '/api/packages');
+  assert.equal(hit.status, 503);
+  assert.equal(hit.headers.get('x-chaos-rule'), String(created.body.id));
+  assert.equal((await api.request('GET', '/api/addons')).status, 200);
+
+  const removed = await api.request('DELETE', `/api/chaos/rules/${created.body.id}`, {
+    headers: { 'X-Admin-Key': ADMIN_KEY },
+  });
+  assert.equal(removed.status, 200);
+  assert.equal((await api.request('GET', '/api/packages')).status, 200);
+});
+
+test('the chaos API needs the admin key', async () => {
+  const created = await api.request('POST', '/api/chaos/rules', {
+    body: { path: '/api/packages', fault: 'error', status: 503 },
+  });
+  assert.equal(created.status, 401);
+  assert.equal(created.body.code, 'ADMIN_KEY_INVALID');
+});
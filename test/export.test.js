@@ -0,0 +1,81 @@
+// GET /api/transactions/export in both formats, and the CSV escaping of risky text.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSV_COLUMNS, EXPORT_FORMATS } = require('../lib/exports');
+const { ADMIN_KEY, startApp } = require('./helpers');
+
+const api = startApp();
+const EMAIL = 'export@example.com';
+
+let token;
+let txnIds;
+
+beforeEach(async () => {
+  await api.reset();
+  const seeded = await api.request('POST', '/api/test/seed', {
+    headers: { 'X-Admin-Key': ADMIN_KEY },
+    body: { preset: 'user-with-transactions', params: { email: EMAIL, count: 3 } },
+  });
+  txnIds = seeded.body.transactions;
+  ({ token } = await api.signIn(EMAIL));
+});
+
+test('CSV export has a header row, CRLF line endings and newest rows first', async () => {
+  const exported = await api.request('GET', '/api/transactions/export?format=csv', { token });
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers.get('content-type'), /^text\/csv/);
+  assert.match(exported.headers.get('content-disposition'), /^attachment; filename="transactions-\d{8}-\d{6}\.csv"$/);
+
+  const lines = exported.body.split('\r\n');
+  assert.equal(lines.pop(), '');
+  assert.equal(lines[0], CSV_COLUMNS.join(','));
+  assert.deepEqual(
+    lines.slice(1).map((line) => line.split(',')[0]),
+    [...txnIds].reverse()
+  );
+});
+
+test('JSON Lines export follows the history filters and sort', async () => {
+  const exported = await api.request('GET', '/api/transactions/export?format=jsonl&sort=created_at', { token });
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers.get('content-type'), /^application\/x-ndjson/);
+
+  const rows = exported.body.trimEnd().split('\n').map(JSON.parse);
+  assert.deepEqual(
+    rows.map((row) => row.txn_id),
+    txnIds
+  );
+  assert.ok(rows.every((row) => row.email === EMAIL));
+});
+
+test('paging parameters, unknown formats and other users are refused', async () => {
+  const paged = await api.request('GET', '/api/transactions/export?format=csv&limit=1', { token });
+  assert.equal(paged.status, 400);
+  assert.equal(paged.body.code, 'INVALID_QUERY');
+
+  const unknownFormat = await api.request('GET', '/api/transactions/export?format=xlsx', { token });
+  assert.equal(unknownFormat.status, 400);
+
+  const otherUser = await api.request('GET', '/api/transactions/export?email=someone@example.com', { token });
+  assert.equal(otherUser.status, 403);
+
+  const anonymous = await api.request('GET', '/api/transactions/export');
+  assert.equal(anonymous.status, 401);
+});
+
+test('CSV fields that could run as a formula get a leading apostrophe', () => {
+  const cell = (packageName) => {
+    const line = EXPORT_FORMATS.csv.row({ package_name: packageName });
+    return line.split(',')[CSV_COLUMNS.indexOf('package_name')];
+  };
+
+  assert.equal(cell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(cell('+1'), "'+1");
+  assert.equal(cell('-1'), "'-1");
+  assert.equal(cell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(cell('\t=1+1'), "'\t=1+1");
+  assert.equal(cell('\r=1+1'), `"'\r=1+1"`);
+  assert.equal(cell('Weekly Lite'), 'Weekly Lite');
+  assert.equal(EXPORT_FORMATS.csv.row({ amount: -5 }).split(',')[CSV_COLUMNS.indexOf('amount')], '-5');
+});
@@ -0,0 +1,70 @@
+// Shared setup for the HTTP tests: the app on a random port with the in-memory store, sandbox mode
+// (unless `sandbox: false`) and a known admin key. Call startApp() at the top of a test file; it
+// registers the hooks.
+
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ADMIN_KEY = 'test-admin-key';
+const PASSWORD = 'Sandbox123';
+
+function startApp({ sandbox = true } = {}) {
+  process.env.STORAGE = 'memory';
+  process.env.SANDBOX_MODE = String(sandbox);
+  process.env.ADMIN_API_KEY = ADMIN_KEY;
+  const { app, storage } = require('../server');
+
+  let server;
+  const client = { storage };
+
+  // Resolves to { status, headers, body }; body is parsed when the response is JSON.
+  client.request = async (method, path, { body, token, headers } = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  // Empties the store and seeds admin@example.com and support@example.com.
+  client.reset = async () => {
+    const seeded = await client.request('POST', '/api/test/seed', {
+      body: { reset: true, preset: 'staff' },
+      headers: { 'X-Admin-Key': ADMIN_KEY },
+    });
+    assert.equal(seeded.status, 201, JSON.stringify(seeded.body));
+  };
+
+  // Registers `email` unless it exists, signs in and resolves to the login response.
+  client.signIn = async (email, password = PASSWORD) => {
+    await client.request('POST', '/api/register', { body: { email, password } });
+    const login = await client.request('POST', '/api/login', { body: { email, password } });
+    assert.equal(login.status, 200, JSON.stringify(login.body));
+    return login.body;
+  };
+
+  before(async () => {
+    await storage.migrate();
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  return client;
+}
+
+module.exports = {
+  ADMIN_KEY,
+  PASSWORD,
+  startApp,
+};
@@ -0,0 +1,74 @@
+// Idempotency-Key handling on POST /api/order, run against the in-memory storage.
+
+process.env.STORAGE = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerScenario } = require('../lib/gateway');
+const { app, storage } = require('../server');
+
+// Answers 502 the first time it runs and approves after that.
+let badGatewayCalls = 0;
+registerScenario('test_bad_gateway_once', {
+  description: 'Fails once with HTTP 502, then approves.',
+  run: async () => {
+    badGatewayCalls += 1;
+    if (badGatewayCalls === 1) {
+      return { approved: false, httpStatus: 502, code: 'BAD_GATEWAY', message: 'Bad gateway' };
+    }
+    return { approved: true };
+  },
+});
+
+let server;
+let baseUrl;
+let token;
+
+function post(path, body, headers) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+before(async () => {
+  await storage.migrate();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const credentials = { email: 'idempotency@example.com', password: 'Sandbox123' };
+  assert.equal((await post('/api/register', credentials)).status, 201);
+  token = (await (await post('/api/login', credentials)).json()).token;
+});
+
+after(() => {
+  server.close();
+});
+
+test('a retry after a 502 is processed again instead of replaying the failure', async () => {
+  const order = { packageId: '5g-max-speed', phone: '0812345678', paymentMethod: 'credit_card' };
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    'Idempotency-Key': 'retry-after-502',
+    'X-Gateway-Scenario': 'test_bad_gateway_once',
+  };
+
+  const failed = await post('/api/order', order, headers);
+  assert.equal(failed.status, 502);
+  assert.equal((await failed.json()).code, 'BAD_GATEWAY');
+
+  const retried = await post('/api/order', order, headers);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.headers.get('idempotent-replayed'), null);
+  const { txnId } = await retried.json();
+  assert.equal(badGatewayCalls, 2);
+
+  // The successful response is the one kept for the key.
+  const replayed = await post('/api/order', order, headers);
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.headers.get('idempotent-replayed'), 'true');
+  assert.equal((await replayed.json()).txnId, txnId);
+  assert.equal(badGatewayCalls, 2);
+});
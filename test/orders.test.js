@@ -0,0 +1,124 @@
+// POST /api/order end to end: wallet, card and qr payments, what they leave behind, and the
+// ways an order is refused.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const api = startApp();
+const PHONE = '0812345678';
+// 5g-max-speed: 1199 plus 7% VAT.
+const PACKAGE_TOTAL = 1282.93;
+
+let token;
+
+beforeEach(async () => {
+  await api.reset();
+  ({ token } = await api.signIn('orders@example.com'));
+});
+
+function order(body, headers) {
+  return api.request('POST', '/api/order', {
+    token,
+    headers,
+    body: { packageId: '5g-max-speed', phone: PHONE, ...body },
+  });
+}
+
+async function walletBalance() {
+  return (await api.request('GET', '/api/payment-instruments/wallet', { token })).body.balance;
+}
+
+test('a wallet order is paid at once and starts the subscription', async () => {
+  await api.request('POST', '/api/payment-instruments/wallet/top-up', { token, body: { amount: 2000 } });
+
+  const paid = await order({ paymentMethod: 'wallet' });
+  assert.equal(paid.status, 200);
+  assert.equal(paid.body.total, PACKAGE_TOTAL);
+  assert.equal(await walletBalance(), 717.07);
+
+  const transaction = await api.request('GET', `/api/transactions/${paid.body.txnId}`, { token });
+  assert.equal(transaction.body.status, 'SUCCESS');
+
+  const { body } = await api.request('GET', '/api/subscriptions', { token });
+  const [number] = body.data;
+  assert.equal(number.msisdn, PHONE);
+  assert.equal(number.subscriptions[0].txn_id, paid.body.txnId);
+  assert.equal(number.subscriptions[0].status, 'ACTIVE');
+});
+
+test('a wallet short of the total is refused and charges nothing', async () => {
+  await api.request('POST', '/api/payment-instruments/wallet/top-up', { token, body: { amount: 100 } });
+
+  const refused = await order({ paymentMethod: 'wallet' });
+  assert.equal(refused.status, 402);
+  assert.equal(refused.body.code, 'INSUFFICIENT_FUNDS');
+  assert.equal(refused.body.balance, 100);
+  assert.equal(refused.body.amount, PACKAGE_TOTAL);
+
+  assert.equal(await walletBalance(), 100);
+  const history = await api.request('GET', '/api/transactions', { token });
+  assert.equal(history.body.pagination.total, 0);
+});
+
+test('a declined card records no transaction and no subscription', async () => {
+  const declined = await order({ paymentMethod: 'credit_card' }, { 'X-Gateway-Scenario': 'declined_card' });
+  assert.equal(declined.status, 402);
+  assert.equal(declined.body.code, 'CARD_DECLINED');
+
+  const history = await api.request('GET', '/api/transactions', { token });
+  assert.equal(history.body.pagination.total, 0);
+  assert.deepEqual((await api.request('GET', '/api/subscriptions', { token })).body.data, []);
+});
+
+test('a qr order stays PENDING until its payload is confirmed', async () => {
+  const accepted = await order({ paymentMethod: 'qr' });
+  assert.equal(accepted.status, 202);
+  assert.equal(accepted.body.status, 'pending');
+  const { txnId, qr } = accepted.body;
+
+  const selfApproved = await api.request('PUT', `/api/transactions/${txnId}`, { token, body: { status: 'SUCCESS' } });
+  assert.equal(selfApproved.status, 403);
+
+  const wrongPayload = await api.request('POST', `/api/transactions/${txnId}/confirm`, {
+    token,
+    body: { payload: `${qr.payload}0` },
+  });
+  assert.equal(wrongPayload.status, 422);
+  assert.equal(wrongPayload.body.code, 'QR_PAYLOAD_MISMATCH');
+
+  const confirmed = await api.request('POST', `/api/transactions/${txnId}/confirm`, {
+    token,
+    body: { payload: qr.payload },
+  });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.status, 'SUCCESS');
+});
+
+test('orders with bad input are refused before any payment', async () => {
+  const unknownPackage = await order({ packageId: 'no-such-package', paymentMethod: 'qr' });
+  assert.equal(unknownPackage.status, 400);
+
+  const badPhone = await order({ phone: '12345', paymentMethod: 'qr' });
+  assert.equal(badPhone.status, 400);
+  assert.equal(badPhone.body.code, 'INVALID_PHONE_NUMBER');
+
+  const unknownScenario = await order({ paymentMethod: 'credit_card' }, { 'X-Gateway-Scenario': 'nope' });
+  assert.equal(unknownScenario.status, 400);
+  assert.equal(unknownScenario.body.code, 'UNKNOWN_GATEWAY_SCENARIO');
+
+  const anonymous = await api.request('POST', '/api/order', { body: { packageId: '5g-max-speed', phone: PHONE } });
+  assert.equal(anonymous.status, 401);
+
+  const history = await api.request('GET', '/api/transactions', { token });
+  assert.equal(history.body.pagination.total, 0);
+});
+
+test("another user's transaction cannot be read", async () => {
+  const accepted = await order({ paymentMethod: 'qr' });
+  const other = await api.signIn('someone-else@example.com');
+
+  const read = await api.request('GET', `/api/transactions/${accepted.body.txnId}`, { token: other.token });
+  assert.equal(read.status, 403);
+  assert.equal(read.body.code, 'FORBIDDEN');
+});
@@ -0,0 +1,51 @@
+// PromptPay QR payloads: field layout, reference length and checksum.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateId } = require('../lib/ids');
+const { buildPromptPayPayload, crc16, promptPayReference } = require('../lib/promptpay');
+
+// Splits an EMVCo string into { id: value } using the two-digit length after each ID.
+function parseFields(text) {
+  const fields = {};
+  for (let index = 0; index < text.length; ) {
+    const id = text.slice(index, index + 2);
+    const length = Number(text.slice(index + 2, index + 4));
+    fields[id] = text.slice(index + 4, index + 4 + length);
+    index += 4 + length;
+  }
+  return fields;
+}
+
+test('the reference label fits the 25 characters EMVCo allows', () => {
+  const txnId = generateId('TXN');
+  assert.equal(txnId.length, 27);
+
+  const payload = buildPromptPayPayload({
+    merchantId: '0105599999999',
+    amount: 1282.93,
+    reference: promptPayReference(txnId),
+  });
+  const reference = parseFields(parseFields(payload)['62'])['05'];
+  assert.ok(reference.length <= 25, `reference is ${reference.length} characters`);
+  assert.equal(reference, txnId.slice('TXN-'.length));
+});
+
+test('long fixture ids keep their last 25 characters', () => {
+  const reference = promptPayReference('TXN-FIXTURE-qa@example.com-2025-01-01T00:00:00Z');
+  assert.equal(reference.length, 25);
+  assert.equal(reference, '.com-2025-01-01T00:00:00Z');
+});
+
+test('a reference over 25 characters is refused', () => {
+  assert.throws(
+    () => buildPromptPayPayload({ merchantId: '0105599999999', amount: 1, reference: 'X'.repeat(26) }),
+    RangeError
+  );
+});
+
+test('the payload ends with the CRC of everything before it', () => {
+  const payload = buildPromptPayPayload({ merchantId: '0105599999999', amount: 50, reference: 'ABC123' });
+  assert.equal(payload.slice(-4), crc16(payload.slice(0, -4)));
+  assert.equal(crc16('123456789'), '29B1');
+});
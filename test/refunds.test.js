@@ -0,0 +1,159 @@
+// Refunds: only staff may issue them, any refund ends the subscription, and a wallet payment's
+// refund lands back on the wallet. Also the checks on what can be refunded.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startApp } = require('./helpers');
+
+const api = startApp();
+const PACKAGE_TOTAL = 1282.93;
+
+let customer;
+let support;
+let admin;
+
+beforeEach(async () => {
+  await api.reset();
+  customer = (await api.signIn('refunds@example.com')).token;
+  support = (await api.signIn('support@example.com')).token;
+  admin = (await api.signIn('admin@example.com')).token;
+});
+
+// Resolves to the txnId of a SUCCESS wallet order by the customer.
+async function walletOrder() {
+  await api.request('POST', '/api/payment-instruments/wallet/top-up', { token: customer, body: { amount: 2000 } });
+  const paid = await api.request('POST', '/api/order', {
+    token: customer,
+    body: { packageId: '5g-max-speed', phone: '0812345678', paymentMethod: 'wallet' },
+  });
+  assert.equal(paid.status, 200);
+  return paid.body.txnId;
+}
+
+function refund(txnId, token, body, headers) {
+  return api.request('POST', `/api/transactions/${txnId}/refunds`, { token, body, headers });
+}
+
+async function walletBalance() {
+  return (await api.request('GET', '/api/payment-instruments/wallet', { token: customer })).body.balance;
+}
+
+async function subscriptionStatus() {
+  const { body } = await api.request('GET', '/api/subscriptions', { token: customer });
+  return body.data[0].subscriptions[0].status;
+}
+
+test('customers cannot refund their own orders', async () => {
+  const txnId = await walletOrder();
+
+  const selfRefund = await refund(txnId, customer, { amount: 1282.92, reason: 'Changed my mind' });
+  assert.equal(selfRefund.status, 403);
+  assert.equal(selfRefund.body.code, 'FORBIDDEN');
+
+  const markedRefunded = await api.request('PUT', `/api/transactions/${txnId}`, {
+    token: customer,
+    body: { status: 'REFUNDED' },
+  });
+  assert.equal(markedRefunded.status, 403);
+
+  assert.equal(await walletBalance(), 717.07);
+  assert.equal(await subscriptionStatus(), 'ACTIVE');
+  assert.deepEqual((await api.request('GET', `/api/transactions/${txnId}/refunds`, { token: customer })).body, []);
+});
+
+test('a partial refund by support cancels the subscription and credits the wallet', async () => {
+  const txnId = await walletOrder();
+
+  const partial = await refund(txnId, support, { amount: 100, reason: 'Slow network' });
+  assert.equal(partial.status, 201);
+  assert.equal(partial.body.refund.amount, 100);
+  assert.equal(partial.body.transaction.status, 'SUCCESS');
+  assert.equal(partial.body.transaction.refund_status, 'PARTIAL');
+
+  assert.equal(await subscriptionStatus(), 'CANCELLED');
+  assert.equal(await walletBalance(), 817.07);
+
+  // The owner can still see what was refunded.
+  const listed = await api.request('GET', `/api/transactions/${txnId}/refunds`, { token: customer });
+  assert.deepEqual(
+    listed.body.map((row) => row.refund_id),
+    [partial.body.refund.refund_id]
+  );
+
+  const audit = await api.request('GET', `/api/audit?action=refund.create&targetId=${txnId}`, { token: admin });
+  assert.equal(audit.body.data[0].actorEmail, 'support@example.com');
+  assert.equal(audit.body.data[0].details.subscriptionCancelled, true);
+  assert.equal(audit.body.data[0].details.walletCredited, true);
+});
+
+test('refunding the rest moves the transaction to REFUNDED, and nothing more can be refunded', async () => {
+  const txnId = await walletOrder();
+  await refund(txnId, support, { amount: 82.93, reason: 'Partial' });
+
+  const tooMuch = await refund(txnId, support, { amount: 1200.01, reason: 'Too much' });
+  assert.equal(tooMuch.status, 422);
+  assert.equal(tooMuch.body.code, 'REFUND_EXCEEDS_BALANCE');
+  assert.equal(tooMuch.body.refundableAmount, 1200);
+
+  const rest = await refund(txnId, admin, { reason: 'The rest' });
+  assert.equal(rest.status, 201);
+  assert.equal(rest.body.refund.amount, 1200);
+  assert.equal(rest.body.transaction.status, 'REFUNDED');
+  assert.equal(rest.body.transaction.refunded_amount, PACKAGE_TOTAL);
+  assert.equal(await walletBalance(), 2000);
+
+  const again = await refund(txnId, admin, { amount: 1, reason: 'Again' });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'TRANSACTION_NOT_REFUNDABLE');
+});
+
+test('a refund replays for the same Idempotency-Key instead of refunding twice', async () => {
+  const txnId = await walletOrder();
+  const headers = { 'Idempotency-Key': 'refund-once' };
+
+  const first = await refund(txnId, support, { amount: 50, reason: 'Once' }, headers);
+  const second = await refund(txnId, support, { amount: 50, reason: 'Once' }, headers);
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.equal(second.body.refund.refund_id, first.body.refund.refund_id);
+  assert.equal(await walletBalance(), 767.07);
+});
+
+test('only SUCCESS transactions inside the refund window can be refunded', async () => {
+  const pending = await api.request('POST', '/api/order', {
+    token: customer,
+    body: { packageId: '5g-max-speed', phone: '0812345678', paymentMethod: 'qr' },
+  });
+  const notPaid = await refund(pending.body.txnId, support, { reason: 'Not paid' });
+  assert.equal(notPaid.status, 409);
+  assert.equal(notPaid.body.code, 'TRANSACTION_NOT_REFUNDABLE');
+
+  const seeded = await api.request('POST', '/api/test/seed', {
+    headers: { 'X-Admin-Key': ADMIN_KEY },
+    body: {
+      transactions: [{ email: 'refunds@example.com', packageId: '5g-max-speed', createdAt: '2025-01-01T00:00:00Z' }],
+    },
+  });
+  const expired = await refund(seeded.body.transactions[0], support, { reason: 'Too late' });
+  assert.equal(expired.status, 422);
+  assert.equal(expired.body.code, 'REFUND_WINDOW_EXPIRED');
+  assert.ok(expired.body.refundableUntil);
+
+  const unknown = await refund('TXN-NOPE', support, { reason: 'Missing' });
+  assert.equal(unknown.status, 404);
+});
+
+test('a refund needs a reason and a positive amount', async () => {
+  const txnId = await walletOrder();
+
+  const noReason = await refund(txnId, support, { amount: 10 });
+  assert.equal(noReason.status, 400);
+  assert.equal(noReason.body.code, 'VALIDATION_FAILED');
+
+  const negative = await refund(txnId, support, { amount: -5, reason: 'Negative' });
+  assert.equal(negative.status, 400);
+  assert.equal(negative.body.code, 'VALIDATION_FAILED');
+
+  assert.equal(await walletBalance(), 717.07);
+});
@@ -0,0 +1,32 @@
+// Without SANDBOX_MODE=true the QA shortcuts are gone: OTPs are random and the test data and
+// chaos APIs do not exist.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startApp } = require('./helpers');
+
+const api = startApp({ sandbox: false });
+
+test('the sandbox OTP code does not work', async () => {
+  const email = 'live@example.com';
+  await api.signIn(email);
+  assert.equal((await api.request('POST', '/api/auth/otp/request', { body: { email } })).status, 200);
+
+  const guessed = await api.request('POST', '/api/auth/otp/verify', { body: { email, otp: '1234' } });
+  // A random code could be 1234 one time in 10000.
+  if (guessed.status !== 200) {
+    assert.equal(guessed.status, 401);
+    assert.equal(guessed.body.code, 'OTP_INVALID');
+  }
+});
+
+test('the test data and chaos APIs answer 404 even with the admin key', async () => {
+  const headers = { 'X-Admin-Key': ADMIN_KEY };
+  assert.equal((await api.request('POST', '/api/test/reset', { headers })).status, 404);
+  assert.equal((await api.request('GET', '/api/chaos', { headers })).status, 404);
+});
+
+test('an X-Chaos header is ignored', async () => {
+  const packages = await api.request('GET', '/api/packages', { headers: { 'X-Chaos': 'fault=error; status=502' } });
+  assert.equal(packages.status, 200);
+});
@@ -0,0 +1,264 @@
+// Storage parity: constraint errors, not-found results, delete cascades, ordering and paging. Runs
+// against the in-memory backend, and against Postgres too when TEST_DATABASE_URL is set. That
+// database is reset, so never point it at one you need.
+
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, StorageError, isStorageError } = require('../lib/storage');
+
+const BACKENDS = [{ backend: 'memory' }];
+if (process.env.TEST_DATABASE_URL) {
+  BACKENDS.push({ backend: 'pg', databaseUrl: process.env.TEST_DATABASE_URL });
+}
+
+const EMAIL = 'storage@example.com';
+
+function rejectsWith(promise, code, constraint) {
+  return assert.rejects(promise, (error) => {
+    assert.ok(error instanceof StorageError, `expected a StorageError, got ${error}`);
+    assert.equal(error.code, code);
+    if (constraint) assert.equal(error.constraint, constraint);
+    return true;
+  });
+}
+
+// Every filter transactions.search() reads, unset.
+function searchCriteria(overrides) {
+  return {
+    email: EMAIL,
+    statuses: null,
+    paymentMethods: null,
+    packageIds: null,
+    createdFrom: null,
+    createdTo: null,
+    minAmount: null,
+    maxAmount: null,
+    sort: { field: 'created_at', descending: true },
+    after: null,
+    offset: 0,
+    limit: 20,
+    ...overrides,
+  };
+}
+
+for (const options of BACKENDS) {
+  describe(`${options.backend} storage`, () => {
+    const storage = createStorage(options);
+    let txnCount = 0;
+
+    function createTransaction(fields) {
+      txnCount += 1;
+      return storage.transactions.create({
+        txn_id: `TXN-STORAGE-${txnCount}`,
+        email: EMAIL,
+        phone: '0812345678',
+        package_id: '5g-max-speed',
+        package_name: '5G Max Speed',
+        addons: [],
+        payment_method: 'credit_card',
+        subtotal: 100,
+        discount: 0,
+        vat: 7,
+        amount: 107,
+        status: 'SUCCESS',
+        refunded_amount: 0,
+        ...fields,
+      });
+    }
+
+    function createSubscription(txnId, fields) {
+      return storage.subscriptions.create({
+        subscriptionId: `SUB-${txnId}`,
+        msisdn: '0812345678',
+        email: EMAIL,
+        txnId,
+        packageId: '5g-max-speed',
+        packageName: '5G Max Speed',
+        dataQuotaMb: 1024,
+        addons: [],
+        startsAt: new Date('2025-01-01T00:00:00Z'),
+        expiresAt: new Date('2025-01-31T00:00:00Z'),
+        ...fields,
+      });
+    }
+
+    before(async () => {
+      await storage.migrate();
+    });
+
+    beforeEach(async () => {
+      await storage.reset();
+      await storage.users.create({ email: EMAIL, password: 'hash' });
+    });
+
+    after(async () => {
+      await storage.close();
+    });
+
+    test('a duplicate unique key is a UNIQUE_VIOLATION', async () => {
+      await rejectsWith(storage.users.create({ email: EMAIL, password: 'hash' }), 'UNIQUE_VIOLATION');
+
+      const transaction = await createTransaction();
+      await rejectsWith(
+        createTransaction({ txn_id: transaction.txn_id }),
+        'UNIQUE_VIOLATION',
+        'transactions_txn_id_key'
+      );
+
+      await createSubscription(transaction.txn_id);
+      await rejectsWith(
+        createSubscription(transaction.txn_id, { subscriptionId: 'SUB-OTHER' }),
+        'UNIQUE_VIOLATION',
+        'subscriptions_txn_id_key'
+      );
+    });
+
+    test('a missing referenced row is a FOREIGN_KEY_VIOLATION', async () => {
+      await rejectsWith(
+        createTransaction({ email: 'nobody@example.com' }),
+        'FOREIGN_KEY_VIOLATION',
+        'transactions_email_fkey'
+      );
+      await rejectsWith(
+        storage.refunds.create({ refundId: 'RFD-1', txnId: 'TXN-MISSING', email: EMAIL, amount: 1, reason: 'x' }),
+        'FOREIGN_KEY_VIOLATION',
+        'refunds_txn_id_fkey'
+      );
+      await rejectsWith(createSubscription('TXN-MISSING'), 'FOREIGN_KEY_VIOLATION', 'subscriptions_txn_id_fkey');
+    });
+
+    test('a failed CHECK constraint is a CHECK_VIOLATION', async () => {
+      const transaction = await createTransaction();
+      await rejectsWith(
+        storage.transactions.addRefundedAmount(transaction.txn_id, 107.01),
+        'CHECK_VIOLATION',
+        'transactions_refunded_amount_check'
+      );
+      await rejectsWith(
+        storage.refunds.create({ refundId: 'RFD-1', txnId: transaction.txn_id, email: EMAIL, amount: 0, reason: 'x' }),
+        'CHECK_VIOLATION',
+        'refunds_amount_check'
+      );
+      await rejectsWith(storage.users.setRole(EMAIL, 'owner'), 'CHECK_VIOLATION', 'users_role_check');
+
+      const subscription = await createSubscription(transaction.txn_id);
+      await rejectsWith(storage.subscriptions.recordUsage(subscription.id, 1025), 'CHECK_VIOLATION');
+      await rejectsWith(storage.subscriptions.recordUsage(subscription.id, -1), 'CHECK_VIOLATION');
+    });
+
+    test('finders and mutations resolve to null for missing rows', async () => {
+      assert.equal(await storage.users.findByEmail('nobody@example.com'), null);
+      assert.equal(await storage.sessions.findById('missing'), null);
+      assert.equal(await storage.transactions.findByTxnId('TXN-MISSING'), null);
+      assert.equal(await storage.transactions.transition('TXN-MISSING', 'PENDING', 'FAILED', null), null);
+      assert.equal(await storage.transactions.addRefundedAmount('TXN-MISSING', 1), null);
+      assert.equal(await storage.transactions.delete('TXN-MISSING'), null);
+      assert.equal(await storage.subscriptions.cancelByTxnId('TXN-MISSING'), null);
+      assert.deepEqual(await storage.refunds.listByTxnId('TXN-MISSING'), []);
+    });
+
+    test('a transition only applies from the expected status', async () => {
+      const transaction = await createTransaction({ status: 'PENDING' });
+      assert.equal(await storage.transactions.transition(transaction.txn_id, 'SUCCESS', 'REFUNDED', null), null);
+
+      const failed = await storage.transactions.transition(transaction.txn_id, 'PENDING', 'FAILED', {
+        code: 'CARD_DECLINED',
+        message: 'Declined',
+      });
+      assert.equal(failed.status, 'FAILED');
+      assert.equal(failed.failure_code, 'CARD_DECLINED');
+      assert.equal(await storage.transactions.transition(transaction.txn_id, 'PENDING', 'SUCCESS', null), null);
+    });
+
+    test('deleting a transaction removes its refunds and unlinks its subscription', async () => {
+      const transaction = await createTransaction();
+      await storage.refunds.create({
+        refundId: 'RFD-1',
+        txnId: transaction.txn_id,
+        email: EMAIL,
+        amount: 7,
+        reason: 'x',
+      });
+      const subscription = await createSubscription(transaction.txn_id);
+
+      const deleted = await storage.transactions.delete(transaction.txn_id);
+      assert.equal(deleted.txn_id, transaction.txn_id);
+      assert.equal(await storage.transactions.findByTxnId(transaction.txn_id), null);
+      assert.deepEqual(await storage.refunds.listByTxnId(transaction.txn_id), []);
+
+      const [kept] = await storage.subscriptions.listByEmail(EMAIL);
+      assert.equal(kept.subscription_id, subscription.subscription_id);
+      assert.equal(kept.txn_id, null);
+    });
+
+    test('a failed storage.transaction() leaves nothing behind', async () => {
+      await assert.rejects(
+        storage.transaction(async (tx) => {
+          await tx.users.create({ email: 'rolled-back@example.com', password: 'hash' });
+          await tx.users.create({ email: EMAIL, password: 'hash' });
+        }),
+        (error) => isStorageError(error, 'UNIQUE_VIOLATION')
+      );
+      assert.equal(await storage.users.findByEmail('rolled-back@example.com'), null);
+    });
+
+    test('lists come back in a stable order', async () => {
+      const first = await createTransaction();
+      const second = await createTransaction();
+      const listed = await storage.transactions.listByEmail(EMAIL);
+      assert.deepEqual(
+        listed.map((row) => row.txn_id),
+        [second.txn_id, first.txn_id]
+      );
+
+      for (const refundId of ['RFD-B', 'RFD-A']) {
+        await storage.refunds.create({ refundId, txnId: first.txn_id, email: EMAIL, amount: 1, reason: 'x' });
+      }
+      const refunds = await storage.refunds.listByTxnId(first.txn_id);
+      assert.deepEqual(
+        refunds.map((row) => row.refund_id),
+        ['RFD-B', 'RFD-A']
+      );
+    });
+
+    test('search pages by offset and by cursor, with ties broken by id', async () => {
+      const day = (n) => new Date(`2025-01-0${n}T00:00:00Z`);
+      const rows = [];
+      // Two share a timestamp, so only the id keeps their order stable.
+      for (const [n, amount] of [
+        [1, 50],
+        [2, 300],
+        [2, 200],
+        [3, 100],
+        [4, 400],
+      ]) {
+        rows.push(await createTransaction({ created_at: day(n), amount }));
+      }
+      const ids = (page) => page.rows.map((row) => row.txn_id);
+
+      const firstPage = await storage.transactions.search(searchCriteria({ limit: 2 }));
+      assert.equal(firstPage.total, 5);
+      assert.deepEqual(ids(firstPage), [rows[4].txn_id, rows[3].txn_id]);
+
+      const byOffset = await storage.transactions.search(searchCriteria({ limit: 2, offset: 2 }));
+      assert.deepEqual(ids(byOffset), [rows[2].txn_id, rows[1].txn_id]);
+
+      const last = firstPage.rows[1];
+      const byCursor = await storage.transactions.search(
+        searchCriteria({ limit: 2, after: { value: last.created_at, id: last.id } })
+      );
+      assert.equal(byCursor.total, 5);
+      assert.deepEqual(ids(byCursor), [rows[2].txn_id, rows[1].txn_id]);
+
+      const byAmount = await storage.transactions.search(
+        searchCriteria({ sort: { field: 'amount', descending: false }, minAmount: 100, maxAmount: 300 })
+      );
+      assert.equal(byAmount.total, 3);
+      assert.deepEqual(ids(byAmount), [rows[3].txn_id, rows[2].txn_id, rows[1].txn_id]);
+
+      const withoutTotal = await storage.transactions.search(searchCriteria({ withTotal: false, offset: 4 }));
+      assert.equal(withoutTotal.total, null);
+      assert.deepEqual(ids(withoutTotal), [rows[0].txn_id]);
+    });
+  });
+}
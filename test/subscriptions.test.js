@@ -0,0 +1,92 @@
+// Subscriptions a paid order starts: queueing behind the same package, data usage, and what
+// happens when the transaction is deleted.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const api = startApp();
+const PHONE = '0812345678';
+const QUOTA_MB = 102400;
+
+let token;
+
+beforeEach(async () => {
+  await api.reset();
+  ({ token } = await api.signIn('subscriptions@example.com'));
+  await api.request('POST', '/api/payment-instruments/wallet/top-up', { token, body: { amount: 5000 } });
+});
+
+async function buy(packageId = '5g-max-speed') {
+  const paid = await api.request('POST', '/api/order', {
+    token,
+    body: { packageId, phone: PHONE, paymentMethod: 'wallet' },
+  });
+  assert.equal(paid.status, 200);
+  return paid.body.txnId;
+}
+
+async function numberSummary() {
+  const summary = await api.request('GET', `/api/numbers/${PHONE}/subscriptions`, { token });
+  assert.equal(summary.status, 200);
+  return summary.body;
+}
+
+test('buying the same package again queues it behind the active one', async () => {
+  const firstTxn = await buy();
+  const secondTxn = await buy();
+
+  const { subscriptions, dataRemainingMb } = await numberSummary();
+  assert.deepEqual(
+    subscriptions.map((row) => [row.txn_id, row.status]),
+    [
+      [firstTxn, 'ACTIVE'],
+      [secondTxn, 'QUEUED'],
+    ]
+  );
+  assert.equal(subscriptions[1].starts_at, subscriptions[0].expires_at);
+  assert.equal(dataRemainingMb, QUOTA_MB);
+});
+
+test('usage draws down the quota until the package is depleted', async () => {
+  await buy();
+
+  const used = await api.request('POST', `/api/numbers/${PHONE}/usage`, { token, body: { dataMb: 2048 } });
+  assert.equal(used.status, 200);
+  assert.equal(used.body.consumedMb, 2048);
+  assert.equal(used.body.dataRemainingMb, QUOTA_MB - 2048);
+
+  const rest = await api.request('POST', `/api/numbers/${PHONE}/usage`, { token, body: { dataMb: QUOTA_MB } });
+  assert.equal(rest.body.consumedMb, QUOTA_MB - 2048);
+  assert.equal(rest.body.deniedMb, 2048);
+  assert.equal(rest.body.subscriptions[0].status, 'DEPLETED');
+
+  const exhausted = await api.request('POST', `/api/numbers/${PHONE}/usage`, { token, body: { dataMb: 1 } });
+  assert.equal(exhausted.status, 409);
+  assert.equal(exhausted.body.code, 'DATA_QUOTA_EXHAUSTED');
+});
+
+test('usage on a number without packages is a 404', async () => {
+  const none = await api.request('POST', `/api/numbers/${PHONE}/usage`, { token, body: { dataMb: 1 } });
+  assert.equal(none.status, 404);
+});
+
+test('deleting the transaction cancels its subscription and unlinks it', async () => {
+  const txnId = await buy();
+
+  const deleted = await api.request('DELETE', `/api/transactions/${txnId}`, { token });
+  assert.equal(deleted.status, 200);
+
+  const [subscription] = (await numberSummary()).subscriptions;
+  assert.equal(subscription.status, 'CANCELLED');
+  assert.equal(subscription.txn_id, null);
+});
+
+test("another user's subscriptions on the same number stay hidden", async () => {
+  await buy();
+  const other = await api.signIn('neighbour@example.com');
+
+  const summary = await api.request('GET', `/api/numbers/${PHONE}/subscriptions`, { token: other.token });
+  assert.deepEqual(summary.body.subscriptions, []);
+  assert.deepEqual((await api.request('GET', '/api/subscriptions', { token: other.token })).body.data, []);
+});